@@ -0,0 +1,460 @@
+// Commands of the ledger CLI. They drive the same DamlApi client and template
+// registry as the dashboard, so validation and package resolution behave the same.
+import { parseArgs } from 'node:util';
+import DamlApi from '../src/services/damlApi.js';
+import { displayDecimal, isDecimal } from '../src/services/decimal.js';
+import {
+  TEMPLATES,
+  availableChoices,
+  choiceLabel,
+  createFields,
+  encodeFields,
+  findTemplate,
+  templateModuleEntity,
+  validateFields,
+} from '../src/services/templates.js';
+import { DEFAULT_BASE_URL, ProfileStorage, loadProfile, profilePath, saveProfile } from './profile.mjs';
+
+// CLI nouns for the registry templates
+const NOUNS = {
+  tokens: 'simpleTokens',
+  escrow: 'escrows',
+  collateral: 'collateralLocks',
+  assets: 'assets',
+};
+
+// `create <kind>` names
+const CREATE_KINDS = {
+  token: 'simpleTokens',
+  escrow: 'escrows',
+  collateral: 'collateralLocks',
+  asset: 'assets',
+};
+
+const USAGE = `Usage: npm run cli -- <command> [options]
+
+Session
+  login <userId> [--url <base URL>] [--token <jwt>]   Log in and store the session in the profile
+  logout                                              Forget the stored session
+  whoami                                              Show the profile's user, party and ledger
+  users                                               List ledger users (needs admin rights)
+  parties                                             List parties
+
+Contracts
+  query [<template>...]                   Active contracts; templates are Module:Entity, full
+                                          template IDs or nouns (tokens, escrow, ...); default all
+  create token <owner> <amount>
+  create escrow <receiver> <amount> [<note>]
+  create collateral <custodian> <asset> <amount> <minCollateralAmount>
+  create asset <name> <owner>
+  exercise <contractId> <choice> [<arg>=<value>...] [--template <Module:Entity>]
+
+Shortcuts
+  tokens list | transfer <cid> <party>
+  escrow list | approve <cid> | cancel <cid> | claim <cid>
+  collateral list | add <cid> <amount> | withdraw <cid> <amount> | release <cid> | liquidate <cid>
+  assets list | give <cid> <party>
+
+Options
+  --json               Print JSON instead of tables
+  --profile <file>     Profile file (default $DAML_CLI_PROFILE or ~/.daml-cli.json)
+  --url <base URL>     JSON API /v1 URL (default ${DEFAULT_BASE_URL}, stored by login)
+
+Parties may be given by display name or party ID. Tokens come from the provider
+selected by REACT_APP_AUTH_MODE, as in the dashboard.`;
+
+class UsageError extends Error {}
+
+function parseCommandLine(argv) {
+  const { values, positionals } = parseArgs({
+    args: argv,
+    allowPositionals: true,
+    options: {
+      json: { type: 'boolean', default: false },
+      profile: { type: 'string' },
+      url: { type: 'string' },
+      token: { type: 'string' },
+      template: { type: 'string' },
+      help: { type: 'boolean', short: 'h', default: false },
+    },
+  });
+  return { options: values, args: positionals };
+}
+
+function templateByKey(key) {
+  return TEMPLATES.find(template => template.key === key);
+}
+
+// "tokens", "SimpleToken:SimpleToken" or "<packageId>:SimpleToken:SimpleToken"
+function templateByName(name) {
+  if (NOUNS[name]) {
+    return templateByKey(NOUNS[name]);
+  }
+  return TEMPLATES.find(template =>
+    name === templateModuleEntity(template) || name.endsWith(`:${templateModuleEntity(template)}`)
+  ) || null;
+}
+
+function printTable(rows, columns) {
+  if (rows.length === 0) {
+    console.log('(none)');
+    return;
+  }
+  const cells = rows.map(row => columns.map(column => String(row[column] ?? '')));
+  const widths = columns.map((column, i) => Math.max(column.length, ...cells.map(line => line[i].length)));
+  const format = (line) => line.map((cell, i) => cell.padEnd(widths[i])).join('  ').trimEnd();
+  console.log(format(columns));
+  console.log(format(widths.map(width => '-'.repeat(width))));
+  for (const line of cells) {
+    console.log(format(line));
+  }
+}
+
+class Cli {
+  constructor(options) {
+    this.options = options;
+    this.profileFile = profilePath(options.profile);
+    this.profile = loadProfile(this.profileFile);
+    this.client = new DamlApi({
+      baseUrl: options.url || this.profile.baseUrl || DEFAULT_BASE_URL,
+      storage: new ProfileStorage(this.profileFile, this.profile),
+    });
+    this.parties = null;
+  }
+
+  output(data, toTable) {
+    if (this.options.json) {
+      console.log(JSON.stringify(data, null, 2));
+    } else {
+      toTable(data);
+    }
+  }
+
+  requireLogin() {
+    if (!this.client.isAuthenticated()) {
+      throw new UsageError(`Not logged in; run \`login <userId>\` first (profile ${this.profileFile}).`);
+    }
+  }
+
+  async loadParties() {
+    if (!this.parties) {
+      this.parties = (await this.client.getParties()).result || [];
+    }
+    return this.parties;
+  }
+
+  partyName(identifier) {
+    const party = (this.parties || []).find(p => p.identifier === identifier);
+    return party?.displayName || identifier;
+  }
+
+  // A party ID, or a display name that matches exactly one party (case-insensitive)
+  async resolveParty(value) {
+    const parties = await this.loadParties();
+    if (parties.some(party => party.identifier === value)) {
+      return value;
+    }
+    const matches = parties.filter(party => (party.displayName || '').toLowerCase() === value.toLowerCase());
+    if (matches.length === 1) {
+      return matches[0].identifier;
+    }
+    throw new UsageError(matches.length > 1
+      ? `Display name "${value}" matches ${matches.length} parties; use the party ID.`
+      : `Unknown party "${value}".`);
+  }
+
+  // Resolve Party fields given by display name to party IDs
+  async resolvePartyFields(fields, values) {
+    const resolved = { ...values };
+    for (const field of fields) {
+      if (field.type === 'Party' && resolved[field.name]) {
+        resolved[field.name] = await this.resolveParty(resolved[field.name]);
+      }
+    }
+    return resolved;
+  }
+
+  async login(userId) {
+    if (!userId) throw new UsageError('login needs a user ID.');
+    this.profile.baseUrl = this.client.baseUrl;
+    if (this.options.token && this.client.tokenProvider.kind === 'external') {
+      this.client.tokenProvider.setToken(this.options.token);
+    }
+    await this.client.login(userId);
+    this.profile.userId = userId;
+    saveProfile(this.profileFile, this.profile);
+    await this.whoami();
+  }
+
+  logout() {
+    this.client.logout();
+    this.profile.userId = null;
+    saveProfile(this.profileFile, this.profile);
+    console.log('Logged out.');
+  }
+
+  async whoami() {
+    const info = {
+      userId: this.client.getUserId(),
+      party: this.client.getPartyIdentifier(),
+      baseUrl: this.client.baseUrl,
+      profile: this.profileFile,
+    };
+    this.output(info, () => {
+      if (!info.userId) {
+        console.log(`Not logged in (ledger ${info.baseUrl}, profile ${info.profile}).`);
+        return;
+      }
+      console.log(`User ${info.userId} acting as ${info.party} on ${info.baseUrl}`);
+    });
+  }
+
+  async users() {
+    const users = await this.client.listUsers();
+    this.output(users, rows => printTable(rows.map(user => ({
+      userId: user.userId,
+      primaryParty: user.primaryParty || '',
+      actAs: user.actAs.join(' '),
+      readAs: user.readAs.join(' '),
+    })), ['userId', 'primaryParty', 'actAs', 'readAs']));
+  }
+
+  async listParties() {
+    this.requireLogin();
+    const parties = await this.loadParties();
+    this.output(parties, rows => printTable(rows, ['displayName', 'identifier', 'isLocal']));
+  }
+
+  async query(names) {
+    this.requireLogin();
+    const templates = names.map(name => {
+      const template = templateByName(name);
+      if (!template && name.split(':').length < 3) {
+        throw new UsageError(`Unknown template "${name}"; use Module:Entity or a full template ID.`);
+      }
+      return template || name;
+    });
+
+    const templateIds = [];
+    for (const template of templates) {
+      templateIds.push(typeof template === 'string'
+        ? template
+        : await this.client.resolveTemplateId(templateModuleEntity(template)));
+    }
+    const contracts = (await this.client.queryContracts(templateIds)).result || [];
+    await this.loadParties();
+    this.printContracts(contracts);
+  }
+
+  printContracts(contracts) {
+    this.output(contracts, rows => {
+      const byTemplate = new Map();
+      for (const contract of rows) {
+        const template = findTemplate(contract);
+        const key = template ? template.title : contract.templateId;
+        if (!byTemplate.has(key)) byTemplate.set(key, { template, contracts: [] });
+        byTemplate.get(key).contracts.push(contract);
+      }
+      if (byTemplate.size === 0) {
+        console.log('(no contracts)');
+      }
+      for (const [title, group] of byTemplate) {
+        console.log(`\n${title} (${group.contracts.length})`);
+        const fields = group.template ? group.template.fields.map(field => field.name) : ['payload'];
+        printTable(group.contracts.map(contract => ({
+          contractId: contract.contractId,
+          ...Object.fromEntries(fields.map(name => {
+            const field = group.template?.fields.find(f => f.name === name);
+            const value = field ? contract.payload[name] : JSON.stringify(contract.payload);
+            if (field?.type === 'Party') return [name, this.partyName(value)];
+            return [name, field?.type === 'Decimal' && isDecimal(value) ? displayDecimal(value) : value];
+          })),
+        })), ['contractId', ...fields]);
+      }
+    });
+  }
+
+  async create(kind, values) {
+    this.requireLogin();
+    const template = templateByKey(CREATE_KINDS[kind]);
+    if (!template) {
+      throw new UsageError(`Unknown kind "${kind}"; use one of: ${Object.keys(CREATE_KINDS).join(', ')}.`);
+    }
+
+    const create = template.create;
+    const fields = createFields(template);
+    const given = Object.fromEntries(fields.map((field, i) => [
+      field.name,
+      field.type === 'Bool' ? values[i] === 'true' : (values[i] ?? ''),
+    ]));
+    const error = validateFields(fields, given, create.optional || []);
+    if (error) {
+      throw new UsageError(`${error} Expected: create ${kind} ${fields.map(f => `<${f.name}>`).join(' ')}`);
+    }
+
+    const payload = {
+      ...create.defaults,
+      [create.signatory]: this.client.getPartyIdentifier(),
+      ...encodeFields(fields, await this.resolvePartyFields(fields, given)),
+    };
+    const rejection = create.validate ? create.validate(payload) : null;
+    if (rejection) {
+      throw new UsageError(rejection);
+    }
+
+    const response = await this.client.createWithPackageDiscovery(templateModuleEntity(template), payload);
+    this.output(response.result, result => {
+      console.log(result
+        ? `Created ${create.title}: ${result.contractId}`
+        : `Created ${create.title}; the ledger had already applied this command, so its contract ID is unknown.`);
+    });
+  }
+
+  // Find a visible contract, in the given template or in any registry template
+  async findContract(contractId, template) {
+    const templateIds = template ? [await this.client.resolveTemplateId(templateModuleEntity(template))] : [];
+    const contracts = (await this.client.queryContracts(templateIds)).result || [];
+    const contract = contracts.find(c => c.contractId === contractId);
+    if (!contract) {
+      throw new UsageError(`No active contract ${contractId} is visible to ${this.client.getPartyIdentifier()}.`);
+    }
+    return contract;
+  }
+
+  // Exercise a choice with positional (`values`) or name=value (`named`) arguments.
+  // Registry choices are validated like in the dashboard; other choices are sent as given.
+  async exercise(contractId, choiceName, { values = [], named = {}, template = null }) {
+    this.requireLogin();
+    if (!contractId || !choiceName) {
+      throw new UsageError('exercise needs a contract ID and a choice.');
+    }
+
+    const contract = await this.findContract(contractId, template);
+    const contractTemplate = findTemplate(contract);
+    const choice = contractTemplate?.choices.find(c => c.name === choiceName);
+
+    if (!choice) {
+      const argument = Object.fromEntries(Object.entries(named).map(([name, value]) => {
+        try {
+          return [name, JSON.parse(value)];
+        } catch (err) {
+          return [name, value];
+        }
+      }));
+      return this.submitExercise(contract, choiceName, argument, `${choiceName} succeeded.`);
+    }
+
+    const payload = contract.payload;
+    const party = this.client.getPartyIdentifier();
+    if (!availableChoices(contractTemplate, payload, party).includes(choice)) {
+      throw new UsageError(`${party} cannot exercise ${choice.name} on this contract now.`);
+    }
+
+    const args = choice.args || [];
+    const given = Object.fromEntries(args.map((arg, i) => [arg.name, named[arg.name] ?? values[i] ?? '']));
+    const error = validateFields(args, given);
+    if (error) {
+      throw new UsageError(error);
+    }
+    await this.loadParties();
+    const argument = encodeFields(args, await this.resolvePartyFields(args, given));
+    const rejection = choice.validate ? choice.validate(payload, argument) : null;
+    if (rejection) {
+      throw new UsageError(rejection);
+    }
+
+    const summary = choice.describeSuccess
+      ? choice.describeSuccess(payload, argument, identifier => this.partyName(identifier))
+      : `${choiceLabel(choice)} succeeded.`;
+    return this.submitExercise(contract, choice.name, argument, summary);
+  }
+
+  async submitExercise(contract, choiceName, argument, summary) {
+    const response = await this.client.exerciseChoice(contract.contractId, choiceName, argument, contract.templateId);
+    this.output(response.result, result => {
+      const exerciseResult = result?.exerciseResult;
+      console.log(typeof exerciseResult === 'string' ? `${summary} New contract ID: ${exerciseResult}` : summary);
+    });
+  }
+
+  // `<noun> list` or `<noun> <verb> <cid> [args...]`, where the verb names a choice
+  async shortcut(noun, verb, rest) {
+    const template = templateByKey(NOUNS[noun]);
+    if (!verb || verb === 'list') {
+      return this.query([noun]);
+    }
+    const choice = template.choices.find(c =>
+      c.name.toLowerCase() === verb || choiceLabel(c).split(' ')[0].toLowerCase() === verb
+    );
+    if (!choice) {
+      const verbs = template.choices.map(c => choiceLabel(c).split(' ')[0].toLowerCase());
+      throw new UsageError(`Unknown ${noun} command "${verb}"; use one of: list, ${verbs.join(', ')}.`);
+    }
+    const [contractId, ...values] = rest;
+    return this.exercise(contractId, choice.name, { values, template });
+  }
+}
+
+export async function run(argv) {
+  let options;
+  let args;
+  try {
+    ({ options, args } = parseCommandLine(argv));
+  } catch (err) {
+    console.error(`${err.message}\nRun with --help for usage.`);
+    process.exitCode = 2;
+    return;
+  }
+  const [command, ...rest] = args;
+  if (!command || options.help || command === 'help') {
+    console.log(USAGE);
+    return;
+  }
+
+  const cli = new Cli(options);
+  try {
+    switch (command) {
+      case 'login':
+        return await cli.login(rest[0]);
+      case 'logout':
+        return cli.logout();
+      case 'whoami':
+        return await cli.whoami();
+      case 'users':
+        return await cli.users();
+      case 'parties':
+        return await cli.listParties();
+      case 'query':
+        return await cli.query(rest);
+      case 'create':
+        return await cli.create(rest[0], rest.slice(1));
+      case 'exercise': {
+        const [contractId, choice, ...pairs] = rest;
+        const named = {};
+        for (const pair of pairs) {
+          const separator = pair.indexOf('=');
+          if (separator < 1) {
+            throw new UsageError(`Choice arguments are <name>=<value>, got "${pair}".`);
+          }
+          named[pair.slice(0, separator)] = pair.slice(separator + 1);
+        }
+        const template = options.template ? templateByName(options.template) : null;
+        return await cli.exercise(contractId, choice, { named, template });
+      }
+      default:
+        if (NOUNS[command]) {
+          return await cli.shortcut(command, rest[0], rest.slice(1));
+        }
+        throw new UsageError(`Unknown command "${command}". Run with --help for usage.`);
+    }
+  } catch (err) {
+    if (err instanceof UsageError) {
+      console.error(err.message);
+      process.exitCode = 2;
+      return;
+    }
+    const status = err.status ? ` (HTTP ${err.status})` : '';
+    console.error(`${err.name || 'Error'}${status}: ${err.message}`);
+    process.exitCode = 1;
+  }
+}
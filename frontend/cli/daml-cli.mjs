@@ -0,0 +1,9 @@
+#!/usr/bin/env node
+// Command-line client for the ledger: `npm run cli -- --help`.
+// The hooks must be registered before the app's services are imported, hence the dynamic import.
+import { register } from 'node:module';
+
+register('./loader.mjs', import.meta.url);
+
+const { run } = await import('./commands.mjs');
+await run(process.argv.slice(2));
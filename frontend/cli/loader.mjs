@@ -0,0 +1,26 @@
+// Module hooks that let Node load the app's services (src/services) unchanged.
+// Those files are written for the CRA bundler: ES modules in a package without
+// "type": "module", imported without file extensions ('./templates').
+import { fileURLToPath } from 'node:url';
+import path from 'node:path';
+
+const SRC_DIR = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '../src');
+
+function inSrc(url) {
+  return url.startsWith('file:') && fileURLToPath(url).startsWith(`${SRC_DIR}${path.sep}`);
+}
+
+export async function resolve(specifier, context, nextResolve) {
+  const relative = specifier.startsWith('./') || specifier.startsWith('../');
+  if (relative && context.parentURL && inSrc(context.parentURL) && !path.extname(specifier)) {
+    return nextResolve(`${specifier}.js`, context);
+  }
+  return nextResolve(specifier, context);
+}
+
+export async function load(url, context, nextLoad) {
+  if (inSrc(url) && url.endsWith('.js')) {
+    return nextLoad(url, { ...context, format: 'module' });
+  }
+  return nextLoad(url, context);
+}
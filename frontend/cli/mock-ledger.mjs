@@ -0,0 +1,50 @@
+#!/usr/bin/env node
+// Serves the in-memory mock JSON API (src/mocks/mockJsonApi.js) over HTTP, so the dashboard
+// and the CLI can run without a ledger: `npm run mock-ledger`, then `npm start`.
+// Listens on MOCK_LEDGER_PORT (default 7575, where the CRA proxy points). State is lost on exit.
+import http from 'node:http';
+import { register } from 'node:module';
+
+register('./loader.mjs', import.meta.url);
+
+const { MockJsonApi } = await import('../src/mocks/mockJsonApi.js');
+
+const port = Number(process.env.MOCK_LEDGER_PORT || 7575);
+const ledger = new MockJsonApi();
+
+function readBody(request) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    request.on('data', chunk => chunks.push(chunk));
+    request.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+    request.on('error', reject);
+  });
+}
+
+const server = http.createServer(async (request, response) => {
+  try {
+    const text = await readBody(request);
+    const path = new URL(request.url, `http://localhost:${port}`).pathname;
+    const { status, body, bytes } = ledger.handle(
+      request.method, path, request.headers.authorization || null, text ? JSON.parse(text) : null
+    );
+
+    if (bytes) {
+      response.writeHead(status, { 'Content-Type': 'application/octet-stream' });
+      response.end(Buffer.from(bytes));
+    } else {
+      response.writeHead(status, { 'Content-Type': 'application/json' });
+      response.end(JSON.stringify(body));
+    }
+    console.log(`${request.method} ${path} ${status}`);
+  } catch (err) {
+    response.writeHead(500, { 'Content-Type': 'application/json' });
+    response.end(JSON.stringify({ errors: [err.message], status: 500 }));
+    console.error(`${request.method} ${request.url} failed:`, err);
+  }
+});
+
+server.listen(port, () => {
+  console.log(`Mock JSON API listening on http://localhost:${port}/v1`);
+  console.log(`Parties: ${ledger.parties.map(party => party.identifier).join(', ')}`);
+});
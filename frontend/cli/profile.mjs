@@ -0,0 +1,53 @@
+// The CLI profile: a JSON file holding the JSON API base URL, the logged-in user and
+// whatever DamlApi keeps in storage (token, party, resolved package IDs).
+//   { "baseUrl": "http://localhost:7575/v1", "userId": "alice", "storage": { ... } }
+// It defaults to ~/.daml-cli.json; DAML_CLI_PROFILE or --profile point elsewhere.
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+
+export const DEFAULT_BASE_URL = 'http://localhost:7575/v1';
+
+export function profilePath(option) {
+  return option || process.env.DAML_CLI_PROFILE || path.join(os.homedir(), '.daml-cli.json');
+}
+
+export function loadProfile(file) {
+  try {
+    return { storage: {}, ...JSON.parse(fs.readFileSync(file, 'utf8')) };
+  } catch (err) {
+    if (err.code === 'ENOENT') {
+      return { baseUrl: null, userId: null, storage: {} };
+    }
+    throw new Error(`Cannot read profile ${file}: ${err.message}`);
+  }
+}
+
+// The file holds a bearer token, so only its owner may read it
+export function saveProfile(file, profile) {
+  fs.writeFileSync(file, `${JSON.stringify(profile, null, 2)}\n`, { mode: 0o600 });
+}
+
+// localStorage-compatible view of profile.storage that writes the profile on every change
+export class ProfileStorage {
+  constructor(file, profile) {
+    this.file = file;
+    this.profile = profile;
+  }
+
+  getItem(key) {
+    return key in this.profile.storage ? this.profile.storage[key] : null;
+  }
+
+  setItem(key, value) {
+    this.profile.storage[key] = String(value);
+    saveProfile(this.file, this.profile);
+  }
+
+  removeItem(key) {
+    if (key in this.profile.storage) {
+      delete this.profile.storage[key];
+      saveProfile(this.file, this.profile);
+    }
+  }
+}
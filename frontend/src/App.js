@@ -1,37 +1,138 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useCallback } from 'react';
 import './App.css';
-import damlApi from './services/damlApi';
+import sessions from './services/sessions';
+import health from './services/health';
+import inbox from './services/inbox';
+import { TEMPLATES } from './services/templates';
+import { appPath, goBack, navigate, paths } from './services/router';
+import {
+  AuthenticationError,
+  AuthorizationError,
+  UnknownTemplateError,
+  ContractNotFoundError,
+  AssertionFailedError,
+  DuplicateCommandError,
+  NetworkError,
+} from './services/errors';
+import ContractDetail from './components/ContractDetail';
+import HistoryView from './components/HistoryView';
+import Link, { useRoute } from './components/Link';
+import PartyDashboard from './components/PartyDashboard';
+import UserPicker from './components/UserPicker';
+
+function ledgerStatusLabel(status) {
+  if (status === 'up') return '● Ledger up';
+  if (status === 'starting') return '◐ Ledger starting';
+  if (status === 'down') return '○ Ledger unreachable';
+  return '◌ Checking ledger...';
+}
+
+function streamStatusLabel(status) {
+  if (status === 'live') return '● Live';
+  if (status === 'connecting') return '◌ Connecting...';
+  return '○ Offline';
+}
+
+// The first ledger error line; for Daml exceptions, just the message the contract gave
+function errorDetail(err) {
+  const detail = (err.errors && err.errors[0]) || err.message;
+  const daml = /message = "((?:[^"\\]|\\.)*)"/.exec(detail);
+  return daml ? daml[1] : detail;
+}
+
+// Turn a DamlApi error into a message that says what went wrong and what to do about it
+function describeError(err) {
+  const status = err.status ? ` (HTTP ${err.status})` : '';
+  if (err instanceof NetworkError) {
+    return `Cannot reach the JSON API${status}. Check that the ledger and JSON API are running and try again.`;
+  }
+  if (err instanceof AuthenticationError) {
+    return `The ledger did not accept your credentials${status}: ${errorDetail(err)}. ` +
+      'Log out and log in again; if it persists, check the token provider settings.';
+  }
+  if (err instanceof AuthorizationError) {
+    return `Not allowed${status}: ${errorDetail(err)}. ` +
+      'The party you act as lacks the rights this needs on the ledger.';
+  }
+  if (err instanceof UnknownTemplateError) {
+    return `${err.message} If the DAR is not uploaded, run \`daml start\` or \`daml ledger upload-dar\`, ` +
+      'then use Clear Cache.';
+  }
+  if (err instanceof ContractNotFoundError) {
+    return 'That contract no longer exists; it was probably archived by another command. ' +
+      'Refresh to see the current contracts.';
+  }
+  if (err instanceof DuplicateCommandError) {
+    return 'The ledger had already accepted this command, so it was not run twice. ' +
+      'Refresh to see its result.';
+  }
+  if (err instanceof AssertionFailedError) {
+    return `The contract rejected the command: ${errorDetail(err)}`;
+  }
+  return err.message;
+}
 
 function App() {
-  const [user, setUser] = useState(null);
+  // Bumped whenever sessions change so the header and views re-render
+  const [, setSessionsVersion] = useState(0);
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState(null);
-  const [simpleTokens, setSimpleTokens] = useState([]);
-  const [escrows, setEscrows] = useState([]);
-  const [collateralLocks, setCollateralLocks] = useState([]);
-  const [showCreateToken, setShowCreateToken] = useState(false);
-  const [createTokenForm, setCreateTokenForm] = useState({
-    owner: '',
-    amount: ''
-  });
+  // Show every session's contracts side by side
+  const [splitView, setSplitView] = useState(false);
+  // Token pasted on the login screen when using the external token provider
+  const [externalToken, setExternalToken] = useState('');
+  // Websocket contract stream status per session: 'connecting', 'live' or 'offline'
+  const [streamStatuses, setStreamStatuses] = useState({});
+  // JSON API health: { status, heldCommands } from the health monitor
+  const [ledgerHealth, setLedgerHealth] = useState({ status: health.status, heldCommands: 0 });
+  // Which page is shown comes from the URL; see services/router.js
+  const route = useRoute();
+
+  useEffect(() => sessions.subscribe(() => setSessionsVersion(version => version + 1)), []);
+  // Unread inbox counts are shown in the header
+  useEffect(() => inbox.subscribe(() => setSessionsVersion(version => version + 1)), []);
 
   useEffect(() => {
-    // Check if user is already logged in
-    if (damlApi.isAuthenticated()) {
-      setUser(damlApi.getUserId());
-      fetchAllContracts();
-    }
+    const unsubscribe = health.subscribe(monitor => setLedgerHealth({
+      status: monitor.status,
+      heldCommands: monitor.heldCommands,
+    }));
+    health.start();
+    return () => {
+      unsubscribe();
+      health.stop();
+    };
   }, []);
 
+  const handleStreamStatus = useCallback((sessionId, status) => {
+    setStreamStatuses(statuses => ({ ...statuses, [sessionId]: status }));
+  }, []);
+
+  const activeClient = sessions.getActive();
+  const clients = sessions.list();
+  const lobbyProvider = sessions.lobbyClient().tokenProvider;
+  // The login page logs in another party alongside existing sessions when ?add=1
+  const addingParty = route.name === 'login' && route.query.get('add') === '1';
+  const nextPath = route.name === 'login' ? appPath(route.query.get('next')) : route.path;
+
+  // Send signed-out visitors through login and back to the page they asked for;
+  // a signed-in visitor on the login page goes on to where it would have led
+  useEffect(() => {
+    if (!activeClient && route.name !== 'login') {
+      navigate(paths.login({ next: route.path }), { replace: true });
+    } else if (activeClient && route.name === 'login' && !addingParty) {
+      navigate(nextPath, { replace: true });
+    }
+  }, [activeClient, route, addingParty, nextPath]);
+
   const login = async (userId) => {
     setLoading(true);
     setError(null);
     try {
-      await damlApi.login(userId);
-      setUser(userId);
-      await fetchAllContracts();
+      await sessions.login(userId, { token: externalToken });
+      navigate(nextPath, { replace: true });
     } catch (err) {
-      setError(err.message);
+      setError(describeError(err));
       console.error('Login failed:', err);
     } finally {
       setLoading(false);
@@ -39,87 +140,62 @@ function App() {
   };
 
   const logout = () => {
-    damlApi.logout();
-    setUser(null);
-    setSimpleTokens([]);
-    setEscrows([]);
-    setCollateralLocks([]);
-    setError(null);
-  };
-
-  const fetchAllContracts = async () => {
-    if (!damlApi.isAuthenticated()) return;
-
-    setLoading(true);
+    sessions.logout();
     setError(null);
-    try {
-      // Query all contracts - the queryContracts method will handle finding package ID
-      // and constructing proper template IDs, or query all and filter
-      const allContractsResult = await damlApi.queryContracts([]).catch(() => ({ result: [] }));
-      const allContracts = allContractsResult.result || [];
-
-      // Filter contracts by template name (works for both specific queries and all-contracts fallback)
-      const tokensResult = { 
-        result: allContracts.filter(c => {
-          const templateId = c.templateId || '';
-          return templateId.includes('SimpleToken:SimpleToken') || templateId.endsWith(':SimpleToken:SimpleToken');
-        })
-      };
-      
-      const escrowsResult = { 
-        result: allContracts.filter(c => {
-          const templateId = c.templateId || '';
-          return templateId.includes('Escrow:Escrow') || templateId.endsWith(':Escrow:Escrow');
-        })
-      };
-      
-      const locksResult = { 
-        result: allContracts.filter(c => {
-          const templateId = c.templateId || '';
-          return templateId.includes('CollateralLock:CollateralLock') || templateId.endsWith(':CollateralLock:CollateralLock');
-        })
-      };
-
-      setSimpleTokens(tokensResult.result || []);
-      setEscrows(escrowsResult.result || []);
-      setCollateralLocks(locksResult.result || []);
-    } catch (err) {
-      setError(err.message);
-      console.error('Failed to fetch contracts:', err);
-    } finally {
-      setLoading(false);
+    if (!sessions.getActive()) {
+      navigate(paths.login(), { replace: true });
     }
   };
 
-  if (!user) {
+  // Contracts open in the session that showed them; ?as= names it when it is not the active one
+  const openContractDetail = useCallback((sessionId, contractId) => {
+    navigate(paths.contract(contractId, sessionId !== sessions.getActive()?.sessionId ? sessionId : null));
+  }, []);
+
+  if (!activeClient || addingParty) {
     return (
       <div className="App">
         <div className="login-container">
           <h1>DAML Application</h1>
-          <p className="subtitle">Connect to your DAML ledger</p>
+          <p className="subtitle">
+            {addingParty ? 'Log in another party alongside your current sessions' : 'Connect to your DAML ledger'}
+          </p>
           {error && <div className="error-message">{error}</div>}
-          <div className="login-buttons">
-            <button 
-              onClick={() => login('alice')} 
-              disabled={loading}
-              className="login-button"
-            >
-              {loading ? 'Connecting...' : 'Login as Alice'}
-            </button>
-            <button 
-              onClick={() => login('bob')} 
-              disabled={loading}
+          {lobbyProvider.kind === 'external' && lobbyProvider.usesPastedToken() && (
+            <div className="token-input">
+              <label>
+                Access token
+                <textarea
+                  value={externalToken}
+                  onChange={(e) => {
+                    setExternalToken(e.target.value);
+                    // The login screen lists the ledger users with the same token
+                    lobbyProvider.setToken(e.target.value);
+                  }}
+                  placeholder="Paste a JWT issued for the ledger"
+                  rows={3}
+                />
+              </label>
+            </div>
+          )}
+          <UserPicker loading={loading} token={externalToken} onLogin={login} />
+          {addingParty && (
+            <button
+              onClick={() => {
+                setError(null);
+                goBack(nextPath);
+              }}
               className="login-button"
             >
-              {loading ? 'Connecting...' : 'Login as Bob'}
+              Back to Dashboard
             </button>
-          </div>
+          )}
           {error && (
             <div className="error-help">
               <p>Make sure:</p>
               <ul>
                 <li>DAML JSON API is running on port 7575</li>
-                <li>Users 'alice' and 'bob' are created in the ledger</li>
+                <li>The user exists on the ledger and has a party it can act as</li>
                 <li>CORS is enabled for localhost:3000</li>
               </ul>
             </div>
@@ -129,321 +205,182 @@ function App() {
     );
   }
 
+  const activeStatus = streamStatuses[activeClient.sessionId] || 'offline';
+  const activeUnread = inbox.unreadCount(activeClient.getPartyIdentifier());
+  // ?as= shows a page as another logged-in session; otherwise the active one
+  const routeClient = sessions.get(route.query.get('as')) || activeClient;
+  const sectionTemplate = route.name === 'section'
+    ? TEMPLATES.find(template => template.key === route.params.sectionKey)
+    : null;
+
+  let page;
+  if (route.name === 'history') {
+    page = <HistoryView key={routeClient.sessionId} client={routeClient} />;
+  } else if (route.name === 'inbox') {
+    page = (
+      <PartyDashboard
+        key={`${routeClient.sessionId}:inbox`}
+        client={routeClient}
+        inboxPage
+        onStreamStatus={handleStreamStatus}
+        describeError={describeError}
+        onOpenContract={(contractId) => openContractDetail(routeClient.sessionId, contractId)}
+      />
+    );
+  } else if (route.name === 'contract') {
+    page = (
+      <ContractDetail
+        client={routeClient}
+        contractId={route.params.contractId}
+        describeError={describeError}
+        onOpenContract={(contractId) => openContractDetail(routeClient.sessionId, contractId)}
+        onClose={() => goBack(paths.dashboard())}
+      />
+    );
+  } else if (route.name === 'section' && sectionTemplate) {
+    page = (
+      <PartyDashboard
+        key={`${routeClient.sessionId}:section`}
+        client={routeClient}
+        sectionKey={sectionTemplate.key}
+        onStreamStatus={handleStreamStatus}
+        describeError={describeError}
+        onOpenContract={(contractId) => openContractDetail(routeClient.sessionId, contractId)}
+      />
+    );
+  } else if (route.name === 'party') {
+    page = (
+      <PartyDashboard
+        key={`${routeClient.sessionId}:party`}
+        client={routeClient}
+        partyFilter={route.params.partyId}
+        onStreamStatus={handleStreamStatus}
+        describeError={describeError}
+        onOpenContract={(contractId) => openContractDetail(routeClient.sessionId, contractId)}
+      />
+    );
+  } else if (route.name === 'dashboard' && splitView && clients.length > 1) {
+    page = (
+      <div className="split-view">
+        {clients.map(client => {
+          const status = streamStatuses[client.sessionId] || 'offline';
+          const unread = inbox.unreadCount(client.getPartyIdentifier());
+          return (
+            <div key={client.sessionId} className="split-column">
+              <div className="split-column-header">
+                <strong>{client.getUserId()}</strong>
+                {unread > 0 && (
+                  <Link to={paths.inbox(client.sessionId)} title="Unread inbox entries">🔔 {unread}</Link>
+                )}
+                <span className={`stream-status ${status}`}>{streamStatusLabel(status)}</span>
+              </div>
+              <PartyDashboard
+                client={client}
+                compact
+                filterPrefix={client.sessionId}
+                onStreamStatus={handleStreamStatus}
+                describeError={describeError}
+                onOpenContract={(contractId) => openContractDetail(client.sessionId, contractId)}
+              />
+            </div>
+          );
+        })}
+      </div>
+    );
+  } else if (route.name === 'dashboard') {
+    page = (
+      <PartyDashboard
+        key={activeClient.sessionId}
+        client={activeClient}
+        onStreamStatus={handleStreamStatus}
+        describeError={describeError}
+        onOpenContract={(contractId) => openContractDetail(activeClient.sessionId, contractId)}
+      />
+    );
+  } else {
+    page = (
+      <section className="contract-section">
+        <h2 className="section-title">Page not found</h2>
+        <div className="empty-state">
+          Nothing lives at {route.path}. <Link to={paths.dashboard()}>Go to the dashboard</Link>
+        </div>
+      </section>
+    );
+  }
+
   return (
     <div className="App">
       <header className="app-header">
         <div className="header-content">
-          <h1>DAML Application Dashboard</h1>
+          <h1>
+            <Link to={paths.dashboard()} className="home-link">DAML Application Dashboard</Link>
+          </h1>
           <div className="user-info">
-            <span className="user-badge">Logged in as: <strong>{user}</strong></span>
+            <span
+              className={`ledger-status ${ledgerHealth.status}`}
+              title="JSON API health from /livez and /readyz"
+            >
+              {ledgerStatusLabel(ledgerHealth.status)}
+              {ledgerHealth.heldCommands > 0 && ` · ${ledgerHealth.heldCommands} held`}
+            </span>
+            <span
+              className={`stream-status ${activeStatus}`}
+              title="Contract updates from the JSON API stream"
+            >
+              {streamStatusLabel(activeStatus)}
+            </span>
+            <label className="user-badge">
+              Logged in as:{' '}
+              <select
+                value={activeClient.sessionId}
+                onChange={(e) => sessions.activate(e.target.value)}
+                className="party-switcher"
+              >
+                {clients.map(client => {
+                  const unread = inbox.unreadCount(client.getPartyIdentifier());
+                  return (
+                    <option key={client.sessionId} value={client.sessionId}>
+                      {client.getUserId()}{unread > 0 ? ` (${unread} unread)` : ''}
+                    </option>
+                  );
+                })}
+              </select>
+            </label>
+            <button
+              onClick={() => navigate(route.name === 'history' ? paths.dashboard() : paths.history())}
+              className="header-button"
+            >
+              {route.name === 'history' ? '▤ Dashboard' : '📜 History'}
+            </button>
+            <button
+              onClick={() => navigate(route.name === 'inbox' ? paths.dashboard() : paths.inbox())}
+              className="header-button"
+              title="Activity other parties caused for you"
+            >
+              {route.name === 'inbox' ? '▤ Dashboard' : '🔔 Inbox'}
+              {activeUnread > 0 && <span className="unread-badge">{activeUnread}</span>}
+            </button>
+            <button
+              onClick={() => navigate(paths.login({ add: true, next: route.path }))}
+              className="header-button"
+            >
+              ➕ Add Party
+            </button>
+            {clients.length > 1 && route.name === 'dashboard' && (
+              <button onClick={() => setSplitView(!splitView)} className="header-button">
+                {splitView ? '▣ Single View' : '◫ Split View'}
+              </button>
+            )}
             <button onClick={logout} className="logout-button">Logout</button>
           </div>
         </div>
       </header>
 
       <main className="app-main">
-        {error && <div className="error-banner">{error}</div>}
-        
-        <div className="controls">
-          <button 
-            onClick={fetchAllContracts} 
-            disabled={loading}
-            className="refresh-button"
-          >
-            {loading ? 'Refreshing...' : '🔄 Refresh Contracts'}
-          </button>
-          <button 
-            onClick={() => {
-              localStorage.removeItem('daml_package_id');
-              fetchAllContracts();
-            }}
-            className="clear-cache-button"
-            title="Clear package ID cache and refresh"
-          >
-            🔄 Clear Cache
-          </button>
-          <button 
-            onClick={() => setShowCreateToken(!showCreateToken)}
-            className="create-button"
-          >
-            {showCreateToken ? '✕ Cancel' : '➕ Create Token'}
-          </button>
-        </div>
-
-        {showCreateToken && (
-          <CreateTokenForm
-            user={user}
-            partyIdentifier={damlApi.getPartyIdentifier()}
-            onSubmit={async (formData) => {
-              setLoading(true);
-              setError(null);
-              try {
-                await damlApi.createSimpleToken(
-                  formData.issuer,
-                  formData.owner,
-                  formData.amount
-                );
-                setShowCreateToken(false);
-                setCreateTokenForm({ owner: '', amount: '' });
-                await fetchAllContracts();
-              } catch (err) {
-                let errorMsg = err.message;
-                // Provide more helpful error message
-                if (errorMsg.includes('Could not find the correct package ID') || 
-                    errorMsg.includes('DAR file is not uploaded')) {
-                  errorMsg += ' Try running `daml start` in your terminal to upload the DAR file.';
-                }
-                setError(errorMsg);
-                console.error('Failed to create token:', err);
-              } finally {
-                setLoading(false);
-              }
-            }}
-            onCancel={() => {
-              setShowCreateToken(false);
-              setCreateTokenForm({ owner: '', amount: '' });
-            }}
-          />
-        )}
-
-        <div className="contracts-grid">
-          <ContractSection
-            title="Simple Tokens"
-            contracts={simpleTokens}
-            renderContract={(contract) => (
-              <div className="contract-card">
-                <div className="contract-field">
-                  <span className="field-label">Contract ID:</span>
-                  <span className="field-value contract-id">{contract.contractId}</span>
-                </div>
-                <div className="contract-field">
-                  <span className="field-label">Issuer:</span>
-                  <span className="field-value">{contract.payload?.issuer || 'N/A'}</span>
-                </div>
-                <div className="contract-field">
-                  <span className="field-label">Owner:</span>
-                  <span className="field-value">{contract.payload?.owner || 'N/A'}</span>
-                </div>
-                <div className="contract-field">
-                  <span className="field-label">Amount:</span>
-                  <span className="field-value amount">{contract.payload?.amount || 'N/A'}</span>
-                </div>
-              </div>
-            )}
-            emptyMessage="No SimpleToken contracts found"
-          />
-
-          <ContractSection
-            title="Escrow Contracts"
-            contracts={escrows}
-            renderContract={(contract) => (
-              <div className="contract-card">
-                <div className="contract-field">
-                  <span className="field-label">Contract ID:</span>
-                  <span className="field-value contract-id">{contract.contractId}</span>
-                </div>
-                <div className="contract-field">
-                  <span className="field-label">Sender:</span>
-                  <span className="field-value">{contract.payload?.sender || 'N/A'}</span>
-                </div>
-                <div className="contract-field">
-                  <span className="field-label">Receiver:</span>
-                  <span className="field-value">{contract.payload?.receiver || 'N/A'}</span>
-                </div>
-                <div className="contract-field">
-                  <span className="field-label">Amount:</span>
-                  <span className="field-value amount">{contract.payload?.amount || 'N/A'}</span>
-                </div>
-                <div className="contract-field">
-                  <span className="field-label">Status:</span>
-                  <span className={`field-value status ${contract.payload?.isApproved ? 'approved' : 'pending'}`}>
-                    {contract.payload?.isApproved ? '✓ Approved' : '⏳ Pending'}
-                  </span>
-                </div>
-                <div className="contract-field">
-                  <span className="field-label">Note:</span>
-                  <span className="field-value">{contract.payload?.note || 'N/A'}</span>
-                </div>
-              </div>
-            )}
-            emptyMessage="No Escrow contracts found"
-          />
-
-          <ContractSection
-            title="Collateral Locks"
-            contracts={collateralLocks}
-            renderContract={(contract) => (
-              <div className="contract-card">
-                <div className="contract-field">
-                  <span className="field-label">Contract ID:</span>
-                  <span className="field-value contract-id">{contract.contractId}</span>
-                </div>
-                <div className="contract-field">
-                  <span className="field-label">Owner:</span>
-                  <span className="field-value">{contract.payload?.owner || 'N/A'}</span>
-                </div>
-                <div className="contract-field">
-                  <span className="field-label">Custodian:</span>
-                  <span className="field-value">{contract.payload?.custodian || 'N/A'}</span>
-                </div>
-                <div className="contract-field">
-                  <span className="field-label">Asset:</span>
-                  <span className="field-value">{contract.payload?.asset || 'N/A'}</span>
-                </div>
-                <div className="contract-field">
-                  <span className="field-label">Amount:</span>
-                  <span className="field-value amount">{contract.payload?.amount || 'N/A'}</span>
-                </div>
-                <div className="contract-field">
-                  <span className="field-label">Min Collateral:</span>
-                  <span className="field-value">{contract.payload?.minCollateralAmount || 'N/A'}</span>
-                </div>
-              </div>
-            )}
-            emptyMessage="No CollateralLock contracts found"
-          />
-        </div>
+        {page}
       </main>
     </div>
   );
 }
 
-function ContractSection({ title, contracts, renderContract, emptyMessage }) {
-  return (
-    <section className="contract-section">
-      <h2 className="section-title">
-        {title} <span className="count-badge">({contracts.length})</span>
-      </h2>
-      {contracts.length === 0 ? (
-        <div className="empty-state">{emptyMessage}</div>
-      ) : (
-        <div className="contracts-list">
-          {contracts.map((contract, i) => (
-            <div key={contract.contractId || i}>
-              {renderContract(contract)}
-            </div>
-          ))}
-        </div>
-      )}
-    </section>
-  );
-}
-
-function CreateTokenForm({ user, partyIdentifier, onSubmit, onCancel }) {
-  const [formData, setFormData] = useState({
-    owner: '',
-    amount: ''
-  });
-  const [submitting, setSubmitting] = useState(false);
-  const [parties, setParties] = useState([]);
-  const [loadingParties, setLoadingParties] = useState(true);
-
-  useEffect(() => {
-    // Fetch available parties for the dropdown
-    const fetchParties = async () => {
-      try {
-        const response = await fetch('/v1/parties', {
-          headers: {
-            'Authorization': `Bearer ${localStorage.getItem('daml_token')}`
-          }
-        });
-        if (response.ok) {
-          const data = await response.json();
-          setParties(data.result || []);
-        }
-      } catch (err) {
-        console.error('Failed to fetch parties:', err);
-      } finally {
-        setLoadingParties(false);
-      }
-    };
-    fetchParties();
-  }, []);
-
-  const handleSubmit = async (e) => {
-    e.preventDefault();
-    if (!formData.owner || !formData.amount) {
-      alert('Please fill in all fields');
-      return;
-    }
-
-    setSubmitting(true);
-    try {
-      // Use current user's party identifier as issuer
-      await onSubmit({
-        issuer: partyIdentifier,
-        owner: formData.owner,
-        amount: parseFloat(formData.amount)
-      });
-    } catch (err) {
-      console.error('Create token error:', err);
-    } finally {
-      setSubmitting(false);
-    }
-  };
-
-  return (
-    <div className="create-token-form">
-      <h3>Create Simple Token</h3>
-      <form onSubmit={handleSubmit}>
-        <div className="form-field">
-          <label>
-            Issuer (You): <span className="field-hint">{partyIdentifier || 'Loading...'}</span>
-          </label>
-        </div>
-        <div className="form-field">
-          <label>
-            Owner Party: *
-            {loadingParties ? (
-              <input
-                type="text"
-                value={formData.owner}
-                onChange={(e) => setFormData({ ...formData, owner: e.target.value })}
-                placeholder="Loading parties..."
-                disabled
-              />
-            ) : (
-              <select
-                value={formData.owner}
-                onChange={(e) => setFormData({ ...formData, owner: e.target.value })}
-                required
-              >
-                <option value="">Select a party...</option>
-                {parties.map((party) => (
-                  <option key={party.identifier} value={party.identifier}>
-                    {party.displayName || party.identifier}
-                  </option>
-                ))}
-              </select>
-            )}
-          </label>
-          <small className="form-hint">Select the party who will own the token</small>
-        </div>
-        <div className="form-field">
-          <label>
-            Amount: *
-            <input
-              type="number"
-              step="0.01"
-              min="0"
-              value={formData.amount}
-              onChange={(e) => setFormData({ ...formData, amount: e.target.value })}
-              placeholder="100.00"
-              required
-            />
-          </label>
-        </div>
-        <div className="form-actions">
-          <button type="submit" disabled={submitting} className="submit-button">
-            {submitting ? 'Creating...' : 'Create Token'}
-          </button>
-          <button type="button" onClick={onCancel} className="cancel-button">
-            Cancel
-          </button>
-        </div>
-      </form>
-    </div>
-  );
-}
-
 export default App;
@@ -1,8 +1,661 @@
-import { render, screen } from '@testing-library/react';
+import { act, render, screen, waitFor, within } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
 import App from './App';
+import { MockJsonApi } from './mocks/mockJsonApi';
+import { FakeWebSocket } from './mocks/fakeWebSocket';
+import sessions from './services/sessions';
+import health from './services/health';
+import lineage from './services/lineage';
+import inbox from './services/inbox';
+import DamlApi from './services/damlApi';
+import { navigate } from './services/router';
+import { TEMPLATES } from './services/templates';
 
-test('renders learn react link', () => {
+let ledger;
+
+beforeEach(() => {
+  // The URL outlives a test too; start each one at the root
+  window.history.replaceState(null, '', '/');
+  localStorage.clear();
+  // The mock reuses contract IDs, so lineage from an earlier test would be misleading
+  lineage.links = [];
+  lineage.snapshots = {};
+  lineage.seen.clear();
+  inbox.entries = [];
+  inbox.baselines = {};
+  ledger = new MockJsonApi();
+  global.fetch = ledger.fetch;
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+  // Sessions outlive a render; log out so every test starts on the login screen
+  sessions.list().forEach(client => sessions.logout(client.sessionId));
+  delete global.fetch;
+});
+
+test('lists ledger users on the login screen and logs in as one', async () => {
+  ledger.seed('SimpleToken:SimpleToken', {
+    issuer: ledger.partyId('Bob'),
+    owner: ledger.partyId('Alice'),
+    amount: '42.0',
+  });
+  render(<App />);
+
+  userEvent.click(await screen.findByText('Login as alice'));
+
+  expect(await screen.findByText('DAML Application Dashboard')).toBeInTheDocument();
+  expect(await screen.findByText('42')).toBeInTheDocument();
+});
+
+test('with pasted tokens, the ledger users are listed once a token is pasted', async () => {
+  const mode = process.env.REACT_APP_AUTH_MODE;
+  process.env.REACT_APP_AUTH_MODE = 'external';
+  sessions.lobby = null;
+  const encode = (value) => Buffer.from(JSON.stringify(value)).toString('base64url');
+  const token = `${encode({ alg: 'HS256', typ: 'JWT' })}.${encode({
+    sub: 'alice',
+    'https://daml.com/ledger-api': { actAs: [ledger.partyId('Alice')], readAs: [], admin: true },
+    exp: Math.floor(Date.now() / 1000) + 3600,
+  })}.signature`;
+  try {
+    render(<App />);
+
+    expect(await screen.findByText(/^Paste an access token to list the ledger users/)).toBeInTheDocument();
+    expect(ledger.requests.some(request => request.path.startsWith('/v1/user'))).toBe(false);
+
+    userEvent.paste(screen.getByPlaceholderText('Paste a JWT issued for the ledger'), token);
+    userEvent.click(await screen.findByText('Login as alice'));
+
+    expect(await screen.findByText('DAML Application Dashboard')).toBeInTheDocument();
+    expect(sessions.getActive().token).toBe(token);
+  } finally {
+    // Assigning undefined would store the string 'undefined'
+    if (mode === undefined) {
+      delete process.env.REACT_APP_AUTH_MODE;
+    } else {
+      process.env.REACT_APP_AUTH_MODE = mode;
+    }
+    sessions.lobby = null;
+  }
+});
+
+test('opens a contract\'s detail page from its card', async () => {
+  const token = ledger.seed('SimpleToken:SimpleToken', {
+    issuer: ledger.partyId('Bob'),
+    owner: ledger.partyId('Alice'),
+    amount: '42.0',
+  });
   render(<App />);
-  const linkElement = screen.getByText(/learn react/i);
-  expect(linkElement).toBeInTheDocument();
+
+  userEvent.click(await screen.findByText('Login as alice'));
+  userEvent.click(await screen.findByText(token.contractId));
+
+  expect(await screen.findByText('(Active)')).toBeInTheDocument();
+  expect(screen.getByText('Signatories:')).toBeInTheDocument();
+  expect(screen.getByText('No earlier or later contracts are known for this contract')).toBeInTheDocument();
+  expect(ledger.requests.some(request => request.path === '/v1/fetch')).toBe(true);
+});
+
+test('exercises any choice from the generic Exercise dialog and shows the result', async () => {
+  const lock = ledger.seed('CollateralLock:CollateralLock', {
+    owner: ledger.partyId('Alice'),
+    custodian: ledger.partyId('Carol'),
+    asset: 'USD',
+    amount: '1000.0',
+    minCollateralAmount: '500.0',
+  });
+  render(<App />);
+
+  userEvent.click(await screen.findByText('Login as alice'));
+  expect(await screen.findByText('1,000')).toBeInTheDocument();
+  userEvent.click(await screen.findByText('Exercise…'));
+  const dialog = await screen.findByRole('dialog');
+  const [choiceSelect] = await within(dialog).findAllByRole('combobox');
+
+  userEvent.selectOptions(choiceSelect, 'Withdraw');
+  userEvent.type(within(dialog).getByPlaceholderText('Amount to withdraw'), '600');
+  userEvent.click(within(dialog).getByText('Exercise Withdraw'));
+  expect(within(dialog).getByText(
+    'Cannot withdraw 600: the lock must keep at least 500 USD. You can withdraw at most 500.',
+  )).toBeInTheDocument();
+  expect(ledger.requests.some(request => request.path === '/v1/exercise')).toBe(false);
+
+  userEvent.clear(within(dialog).getByPlaceholderText('Amount to withdraw'));
+  userEvent.type(within(dialog).getByPlaceholderText('Amount to withdraw'), '250');
+  userEvent.click(within(dialog).getByText('Exercise Withdraw'));
+
+  expect(await within(dialog).findByText('✓ Withdraw was exercised.')).toBeInTheDocument();
+  const [successor] = ledger.activeContracts();
+  expect(successor.payload.amount).toBe('750.0');
+  expect(within(dialog).getAllByText(successor.contractId)).toHaveLength(2);
+  expect(within(dialog).getByText('Archived CollateralLock:CollateralLock:')).toBeInTheDocument();
+  expect(within(dialog).getAllByText(lock.contractId)).toHaveLength(2);
+});
+
+test('builds the argument form of a choice the registry does not describe from its package', async () => {
+  const registry = TEMPLATES.find(template => template.key === 'collateralLocks');
+  const registered = registry.choices;
+  registry.choices = registered.filter(choice => choice.name !== 'AddCollateral');
+  try {
+    ledger.seed('CollateralLock:CollateralLock', {
+      owner: ledger.partyId('Alice'),
+      custodian: ledger.partyId('Carol'),
+      asset: 'USD',
+      amount: '1000.0',
+      minCollateralAmount: '500.0',
+    });
+    render(<App />);
+
+    userEvent.click(await screen.findByText('Login as alice'));
+    userEvent.click(await screen.findByText('Exercise…'));
+    const dialog = await screen.findByRole('dialog');
+    const [choiceSelect] = await within(dialog).findAllByRole('combobox');
+    expect(within(choiceSelect).getByText('AddCollateral (addAmount: Decimal)')).toBeInTheDocument();
+
+    userEvent.selectOptions(choiceSelect, 'AddCollateral');
+    userEvent.type(within(dialog).getByPlaceholderText('addAmount'), '250');
+    userEvent.click(within(dialog).getByText('Exercise AddCollateral'));
+
+    expect(await within(dialog).findByText('✓ AddCollateral was exercised.')).toBeInTheDocument();
+    expect(ledger.activeContracts()[0].payload.amount).toBe('1250.0');
+  } finally {
+    registry.choices = registered;
+  }
+});
+
+test('takes an argument the form cannot edit as JSON', async () => {
+  jest.spyOn(DamlApi.prototype, 'getTemplateChoices').mockResolvedValue([
+    { name: 'AddCollateral', consuming: true, argument: [{ name: 'addAmount', type: 'Decimal' }, { name: 'until', type: 'Date' }] },
+  ]);
+  ledger.seed('CollateralLock:CollateralLock', {
+    owner: ledger.partyId('Alice'),
+    custodian: ledger.partyId('Carol'),
+    asset: 'USD',
+    amount: '1000.0',
+    minCollateralAmount: '500.0',
+  });
+  render(<App />);
+
+  userEvent.click(await screen.findByText('Login as alice'));
+  userEvent.click(await screen.findByText('Exercise…'));
+  const dialog = await screen.findByRole('dialog');
+  const argument = await within(dialog).findByRole('textbox');
+  expect(argument).toHaveValue('{\n  "addAmount": null,\n  "until": null\n}');
+
+  userEvent.clear(argument);
+  userEvent.paste(argument, '{"addAmount": "5",');
+  userEvent.click(within(dialog).getByText('Exercise AddCollateral'));
+  expect(within(dialog).getByText(/The argument is not valid JSON/)).toBeInTheDocument();
+
+  userEvent.paste(argument, ' "until": "2027-01-01"}');
+  userEvent.click(within(dialog).getByText('Exercise AddCollateral'));
+  expect(await within(dialog).findByText('✓ Add Collateral was exercised.')).toBeInTheDocument();
+  expect(ledger.activeContracts()[0].payload.amount).toBe('1005.0');
+});
+
+test('a deep link to a contract goes through login and back to the contract', async () => {
+  const escrow = ledger.seed('Escrow:Escrow', {
+    sender: ledger.partyId('Alice'),
+    receiver: ledger.partyId('Bob'),
+    amount: '75.0',
+    isApproved: false,
+    note: 'Broken escrow',
+  });
+  window.history.replaceState(null, '', `/contracts/${escrow.contractId}`);
+  render(<App />);
+
+  userEvent.click(await screen.findByText('Login as bob'));
+
+  expect(await screen.findByText('Broken escrow')).toBeInTheDocument();
+  expect(window.location.pathname).toBe(`/contracts/${escrow.contractId}`);
+});
+
+test.each([
+  '//evil.example/phish',
+  '/\\evil.example/phish',
+  'https://evil.example/phish',
+  'evil.example/phish',
+])('login ignores a ?next= of %s that leaves the app', async (next) => {
+  window.history.replaceState(null, '', `/login?next=${encodeURIComponent(next)}`);
+  const pushState = jest.spyOn(window.history, 'pushState');
+  const replaceState = jest.spyOn(window.history, 'replaceState');
+  render(<App />);
+
+  userEvent.click(await screen.findByText('Login as alice'));
+
+  expect(await screen.findByText('DAML Application Dashboard')).toBeInTheDocument();
+  expect(`${window.location.pathname}${window.location.search}`).toBe('/');
+  [...pushState.mock.calls, ...replaceState.mock.calls].forEach(([, , url]) => expect(url).toBe('/'));
+});
+
+test('section and party pages follow links and browser back', async () => {
+  ledger.seed('SimpleToken:SimpleToken', {
+    issuer: ledger.partyId('Bob'),
+    owner: ledger.partyId('Alice'),
+    amount: '42.0',
+  });
+  ledger.seed('SimpleToken:SimpleToken', {
+    issuer: ledger.partyId('Alice'),
+    owner: ledger.partyId('Carol'),
+    amount: '7.0',
+  });
+  render(<App />);
+
+  userEvent.click(await screen.findByText('Login as alice'));
+  userEvent.click(await screen.findByRole('link', { name: 'Simple Tokens' }));
+  expect(window.location.pathname).toBe('/sections/simpleTokens');
+  expect(await screen.findByText('← All sections')).toBeInTheDocument();
+  expect(screen.queryByText('Escrow Contracts')).toBeNull();
+
+  userEvent.click(screen.getByRole('link', { name: ledger.partyId('Carol') }));
+  expect(await screen.findByText('Contracts with Carol')).toBeInTheDocument();
+  expect(await screen.findByText('7')).toBeInTheDocument();
+  expect(screen.queryByText('42')).toBeNull();
+
+  act(() => window.history.back());
+  expect(await screen.findByText('← All sections')).toBeInTheDocument();
+  expect(window.location.pathname).toBe('/sections/simpleTokens');
+});
+
+test('contract filters follow the URL, including links and back/forward', async () => {
+  ledger.seed('SimpleToken:SimpleToken', {
+    issuer: ledger.partyId('Bob'),
+    owner: ledger.partyId('Alice'),
+    amount: '42.0',
+  });
+  ledger.seed('SimpleToken:SimpleToken', {
+    issuer: ledger.partyId('Alice'),
+    owner: ledger.partyId('Carol'),
+    amount: '7.0',
+  });
+  render(<App />);
+
+  userEvent.click(await screen.findByText('Login as alice'));
+  expect(await screen.findByText('42')).toBeInTheDocument();
+  // One checks the login, one loads the party names for every section
+  expect(ledger.requests.filter(r => r.path === '/v1/parties')).toHaveLength(2);
+  const requestsBefore = ledger.requests.length;
+
+  userEvent.type(screen.getByPlaceholderText('Search contract ID or party'), 'Carol');
+  expect(new URLSearchParams(window.location.search).get('simpleTokens.q')).toBe('Carol');
+  expect(screen.queryByText('42')).toBeNull();
+  // Filtering is local: no section asks the ledger for its parties again
+  expect(ledger.requests.slice(requestsBefore).filter(r => r.path === '/v1/parties')).toEqual([]);
+
+  act(() => navigate('/?simpleTokens.q=Bob'));
+  expect(screen.getByPlaceholderText('Search contract ID or party')).toHaveValue('Bob');
+  expect(await screen.findByText('42')).toBeInTheDocument();
+  expect(screen.queryByText('7')).toBeNull();
+
+  act(() => navigate('/sections/escrows'));
+  act(() => window.history.back());
+  expect(await screen.findByPlaceholderText('Search contract ID or party')).toHaveValue('Bob');
+  expect(screen.queryByText('7')).toBeNull();
+});
+
+test('split-view columns keep their filters apart', async () => {
+  ledger.seed('SimpleToken:SimpleToken', {
+    issuer: ledger.partyId('Bob'),
+    owner: ledger.partyId('Alice'),
+    amount: '42.0',
+  });
+  render(<App />);
+
+  userEvent.click(await screen.findByText('Login as alice'));
+  userEvent.click(await screen.findByText('➕ Add Party'));
+  userEvent.click(await screen.findByText('Login as bob'));
+  userEvent.click(await screen.findByText('◫ Split View'));
+  await waitFor(() => expect(screen.getAllByPlaceholderText('Search contract ID or party')).toHaveLength(2));
+  const [aliceSearch, bobSearch] = screen.getAllByPlaceholderText('Search contract ID or party');
+
+  userEvent.type(aliceSearch, 'nobody');
+  expect(new URLSearchParams(window.location.search).get('alice.simpleTokens.q')).toBe('nobody');
+  expect(bobSearch).toHaveValue('');
+  expect(screen.getAllByText('42')).toHaveLength(1);
+});
+
+test('an escrow approved by its sender shows up in the receiver\'s inbox', async () => {
+  const escrow = ledger.seed('Escrow:Escrow', {
+    sender: ledger.partyId('Alice'),
+    receiver: ledger.partyId('Bob'),
+    amount: '100.0',
+    isApproved: false,
+    note: 'Rent',
+  });
+  render(<App />);
+
+  userEvent.click(await screen.findByText('Login as bob'));
+  expect(await screen.findByText('Rent')).toBeInTheDocument();
+
+  const alice = new DamlApi({ sessionId: 'alice-elsewhere' });
+  await alice.login('alice');
+  await alice.exerciseChoice(escrow.contractId, 'Approve', {}, escrow.templateId);
+
+  userEvent.click(screen.getByText('🔄 Refresh Contracts'));
+  const inboxButton = await screen.findByRole('button', { name: /Inbox/ });
+  expect(await within(inboxButton).findByText('1')).toBeInTheDocument();
+
+  userEvent.click(inboxButton);
+  expect(await screen.findByText('Escrow of 100 from Alice approved — you can Claim.')).toBeInTheDocument();
+  expect(window.location.pathname).toBe('/inbox');
+  expect(inbox.unreadCount(ledger.partyId('Bob'))).toBe(0);
+});
+
+test('a create whose response was lost closes the form and lists the token once', async () => {
+  render(<App />);
+
+  userEvent.click(await screen.findByText('Login as alice'));
+  userEvent.click(await screen.findByText('➕ Create Token'));
+  await screen.findByRole('option', { name: 'Select a party...' });
+  const ownerSelect = screen.getAllByRole('combobox')
+    .find(select => within(select).queryByRole('option', { name: 'Select a party...' }));
+  userEvent.selectOptions(ownerSelect, within(ownerSelect).getByRole('option', { name: 'Bob' }));
+  userEvent.type(screen.getByPlaceholderText('100.00'), '42');
+  ledger.dropResponses = 1;
+  userEvent.click(screen.getByRole('button', { name: 'Create Token' }));
+
+  expect(await screen.findByText('42')).toBeInTheDocument();
+  expect(screen.queryByRole('button', { name: 'Create Token' })).toBeNull();
+  expect(screen.queryByText(/failed/)).toBeNull();
+  expect(ledger.activeContracts()).toHaveLength(1);
+});
+
+test('reloads the contracts once the ledger connection comes back', async () => {
+  render(<App />);
+
+  userEvent.click(await screen.findByText('Login as alice'));
+  expect(await screen.findByText('No SimpleToken contracts found')).toBeInTheDocument();
+
+  act(() => health.setStatus('down'));
+  ledger.seed('SimpleToken:SimpleToken', {
+    issuer: ledger.partyId('Bob'),
+    owner: ledger.partyId('Alice'),
+    amount: '12.0',
+  });
+  act(() => health.setStatus('up'));
+
+  expect(await screen.findByText('12')).toBeInTheDocument();
+});
+
+test('the sender approves an escrow from its card, after confirming', async () => {
+  const escrow = ledger.seed('Escrow:Escrow', {
+    sender: ledger.partyId('Alice'),
+    receiver: ledger.partyId('Bob'),
+    amount: '100.0',
+    isApproved: false,
+    note: 'Rent',
+  });
+  const confirm = jest.spyOn(window, 'confirm').mockReturnValue(true);
+  render(<App />);
+
+  userEvent.click(await screen.findByText('Login as alice'));
+  userEvent.click(await screen.findByRole('button', { name: '✓ Approve' }));
+
+  expect(confirm).toHaveBeenCalledWith('Approve escrow of 100 for Bob?');
+  expect(await screen.findByText(/^Escrow approved\. New contract ID: /)).toBeInTheDocument();
+  const [approved] = ledger.activeContracts();
+  expect(approved.contractId).not.toBe(escrow.contractId);
+  expect(approved.payload.isApproved).toBe(true);
+  expect(await screen.findByText('✓ Approved', { selector: '.status' })).toBeInTheDocument();
+  // Only the receiver can act on an approved escrow
+  expect(screen.queryByRole('button', { name: '✓ Approve' })).toBeNull();
+  expect(screen.queryByRole('button', { name: '✕ Cancel' })).toBeNull();
+  expect(screen.queryByRole('button', { name: '⬇ Claim' })).toBeNull();
+});
+
+test('adding and withdrawing collateral from the card follows the lock to its new contract', async () => {
+  const lock = ledger.seed('CollateralLock:CollateralLock', {
+    owner: ledger.partyId('Alice'),
+    custodian: ledger.partyId('Carol'),
+    asset: 'USD',
+    amount: '1000.0',
+    minCollateralAmount: '500.0',
+  });
+  render(<App />);
+
+  userEvent.click(await screen.findByText('Login as alice'));
+  userEvent.click(await screen.findByRole('button', { name: '➕ Add Collateral' }));
+  userEvent.type(screen.getByPlaceholderText('Amount to add'), '250.5');
+  userEvent.click(screen.getByRole('button', { name: 'Review' }));
+  expect(screen.getByText('250.5')).toBeInTheDocument();
+  userEvent.click(screen.getByRole('button', { name: '✓ Confirm Add Collateral' }));
+
+  const [added] = await waitFor(() => {
+    const active = ledger.activeContracts();
+    expect(active[0].contractId).not.toBe(lock.contractId);
+    return active;
+  });
+  expect(added.payload.amount).toBe('1250.5');
+  expect(await screen.findByText(`Add Collateral succeeded. New contract ID: ${added.contractId}`)).toBeInTheDocument();
+  expect(await screen.findByText('1,250.5')).toBeInTheDocument();
+  expect(screen.getByText('Previous Contract:')).toBeInTheDocument();
+  expect(screen.getByText(lock.contractId)).toBeInTheDocument();
+
+  userEvent.click(screen.getByRole('button', { name: '➖ Withdraw' }));
+  userEvent.type(screen.getByPlaceholderText('Amount to withdraw'), '750.5');
+  userEvent.click(screen.getByRole('button', { name: 'Review' }));
+  userEvent.click(screen.getByRole('button', { name: '✓ Confirm Withdraw' }));
+
+  expect(await screen.findByText('500', { selector: '.amount' })).toBeInTheDocument();
+  const [withdrawn] = ledger.activeContracts();
+  expect(withdrawn.payload.amount).toBe('500.0');
+  expect(screen.getByText(`Withdraw succeeded. New contract ID: ${withdrawn.contractId}`)).toBeInTheDocument();
+  // The card now points back to the lock it replaced, not the original one
+  expect(screen.getByText(added.contractId)).toBeInTheDocument();
+  expect(screen.queryByText(lock.contractId)).toBeNull();
+
+  // The detail page lists the whole chain with its amounts formatted like the cards
+  userEvent.click(screen.getByText(added.contractId));
+  expect(await screen.findByText('Owner: Alice · Custodian: Carol · Amount: 1,000')).toBeInTheDocument();
+  expect(screen.getByText('Owner: Alice · Custodian: Carol · Amount: 1,250.5')).toBeInTheDocument();
+  expect(screen.getByText('Owner: Alice · Custodian: Carol · Amount: 500')).toBeInTheDocument();
+});
+
+test('forms, dialogs and the portfolio name parties from the dashboard\'s list', async () => {
+  ledger.seed('SimpleToken:SimpleToken', {
+    issuer: ledger.partyId('Bob'),
+    owner: ledger.partyId('Alice'),
+    amount: '42.0',
+  });
+  render(<App />);
+
+  userEvent.click(await screen.findByText('Login as alice'));
+  expect(await screen.findByText('42')).toBeInTheDocument();
+  const partyRequests = () => ledger.requests.filter(r => r.path === '/v1/parties').length;
+  const loaded = partyRequests();
+
+  userEvent.click(screen.getByRole('button', { name: '➕ Create Escrow' }));
+  expect(await screen.findByRole('option', { name: 'Bob' })).toBeInTheDocument();
+  userEvent.click(screen.getByRole('button', { name: '📥 Bulk Issue Tokens' }));
+  userEvent.click(screen.getByRole('button', { name: '📊 Portfolio' }));
+  userEvent.click(screen.getByRole('button', { name: '➜ Transfer' }));
+  userEvent.click(screen.getByRole('button', { name: 'Exercise…' }));
+  expect(await screen.findByRole('dialog', { name: 'Exercise a choice' })).toBeInTheDocument();
+  expect(await screen.findByRole('option', { name: /^Transfer/ })).toBeInTheDocument();
+
+  expect(partyRequests()).toBe(loaded);
+});
+
+test('the owner transfers a token from its card to a party picked by name', async () => {
+  ledger.seed('SimpleToken:SimpleToken', {
+    issuer: ledger.partyId('Bob'),
+    owner: ledger.partyId('Alice'),
+    amount: '42.0',
+  });
+  render(<App />);
+
+  userEvent.click(await screen.findByText('Login as alice'));
+  userEvent.click(await screen.findByRole('button', { name: '➜ Transfer' }));
+  await screen.findByRole('option', { name: 'Select a party...' });
+  const newOwnerSelect = screen.getAllByRole('combobox')
+    .find(select => within(select).queryByRole('option', { name: 'Select a party...' }));
+  // The current owner is not offered
+  expect(within(newOwnerSelect).queryByRole('option', { name: 'Alice' })).toBeNull();
+  userEvent.selectOptions(newOwnerSelect, within(newOwnerSelect).getByRole('option', { name: 'Carol' }));
+  userEvent.click(screen.getByRole('button', { name: 'Review' }));
+  expect(screen.getByText('Carol')).toBeInTheDocument();
+  userEvent.click(screen.getByRole('button', { name: '✓ Confirm Transfer' }));
+
+  expect(await screen.findByText(/^Transferred 42 tokens to Carol\. New contract ID: /)).toBeInTheDocument();
+  const [transferred] = ledger.activeContracts();
+  expect(transferred.payload.owner).toBe(ledger.partyId('Carol'));
+  // Neither issuer nor owner any more, Alice no longer sees the token
+  expect(await screen.findByText('No SimpleToken contracts found')).toBeInTheDocument();
+});
+
+test('creates an escrow from its form, pending and signed by the current party', async () => {
+  render(<App />);
+
+  userEvent.click(await screen.findByText('Login as alice'));
+  userEvent.click(await screen.findByText('➕ Create Escrow'));
+  await screen.findByRole('option', { name: 'Select a party...' });
+  const receiverSelect = screen.getAllByRole('combobox')
+    .find(select => within(select).queryByRole('option', { name: 'Select a party...' }));
+  expect(within(receiverSelect).queryByRole('option', { name: 'Alice' })).toBeNull();
+  userEvent.selectOptions(receiverSelect, within(receiverSelect).getByRole('option', { name: 'Bob' }));
+  userEvent.type(screen.getByPlaceholderText('100.00'), '75.25');
+  userEvent.type(screen.getByPlaceholderText('What is this escrow for?'), 'Deposit');
+  userEvent.click(screen.getByRole('button', { name: 'Create Escrow' }));
+
+  expect(await screen.findByText('Deposit')).toBeInTheDocument();
+  expect(screen.getByText('⏳ Pending', { selector: '.status' })).toBeInTheDocument();
+  expect(ledger.activeContracts().map(contract => contract.payload)).toEqual([{
+    sender: ledger.partyId('Alice'),
+    receiver: ledger.partyId('Bob'),
+    amount: '75.25',
+    isApproved: false,
+    note: 'Deposit',
+  }]);
+});
+
+test('creates an asset owned by the current party and gives it away', async () => {
+  render(<App />);
+
+  userEvent.click(await screen.findByText('Login as alice'));
+  userEvent.click(await screen.findByText('➕ Create Asset'));
+  // The owner defaults to the current party
+  expect(await screen.findByDisplayValue('Alice')).toBeInTheDocument();
+  userEvent.type(screen.getByPlaceholderText('TV'), 'TV');
+  userEvent.click(screen.getByRole('button', { name: 'Create Asset' }));
+
+  expect(await screen.findByText('TV')).toBeInTheDocument();
+  const [asset] = ledger.activeContracts();
+  expect(asset.payload).toEqual({ issuer: ledger.partyId('Alice'), owner: ledger.partyId('Alice'), name: 'TV' });
+
+  userEvent.click(screen.getByRole('button', { name: '🎁 Give' }));
+  await screen.findByRole('option', { name: 'Select a party...' });
+  const newOwnerSelect = screen.getAllByRole('combobox')
+    .find(select => within(select).queryByRole('option', { name: 'Select a party...' }));
+  userEvent.selectOptions(newOwnerSelect, within(newOwnerSelect).getByRole('option', { name: 'Bob' }));
+  userEvent.click(screen.getByRole('button', { name: 'Review' }));
+  userEvent.click(screen.getByRole('button', { name: '✓ Confirm Give' }));
+
+  expect(await screen.findByText(/^Gave "TV" to Bob\. New contract ID: /)).toBeInTheDocument();
+  const [given] = ledger.activeContracts();
+  expect(given.payload.owner).toBe(ledger.partyId('Bob'));
+  // Still visible to Alice as its issuer, but only the new owner can give it on
+  await waitFor(() => expect(screen.queryByRole('button', { name: '🎁 Give' })).toBeNull());
+  expect(screen.getByText(given.contractId)).toBeInTheDocument();
+});
+
+test('several parties stay logged in and each acts as itself', async () => {
+  ledger.seed('Escrow:Escrow', {
+    sender: ledger.partyId('Alice'),
+    receiver: ledger.partyId('Bob'),
+    amount: '100.0',
+    isApproved: false,
+    note: 'Rent',
+  });
+  jest.spyOn(window, 'confirm').mockReturnValue(true);
+  render(<App />);
+
+  userEvent.click(await screen.findByText('Login as alice'));
+  userEvent.click(await screen.findByText('➕ Add Party'));
+  userEvent.click(await screen.findByText('Login as bob'));
+  const switcher = await screen.findByDisplayValue('bob');
+  expect(await screen.findByText('Rent')).toBeInTheDocument();
+  expect(screen.queryByRole('button', { name: '✓ Approve' })).toBeNull();
+  expect(JSON.parse(localStorage.getItem('daml_sessions'))).toEqual(['alice', 'bob']);
+
+  userEvent.selectOptions(switcher, 'alice');
+  userEvent.click(await screen.findByRole('button', { name: '✓ Approve' }));
+  expect(await screen.findByText(/^Escrow approved\./)).toBeInTheDocument();
+
+  userEvent.selectOptions(switcher, 'bob');
+  userEvent.click(await screen.findByRole('button', { name: '⬇ Claim' }));
+  expect(await screen.findByText(/^Escrow claimed\./)).toBeInTheDocument();
+  expect(ledger.activeContracts().filter(contract => contract.templateId.endsWith(':Escrow:Escrow'))).toEqual([]);
+});
+
+test('a user who may act as the custodian too creates a collateral lock from its form', async () => {
+  ledger.grantActAs('alice', 'Carol');
+  render(<App />);
+
+  userEvent.click(await screen.findByText('Login as alice'));
+  userEvent.click(await screen.findByText('➕ Create Collateral Lock'));
+  expect(screen.getByText(/your user must be allowed to act as the custodian too/)).toBeInTheDocument();
+  await screen.findByRole('option', { name: 'Select a party...' });
+  const custodianSelect = screen.getAllByRole('combobox')
+    .find(select => within(select).queryByRole('option', { name: 'Select a party...' }));
+  userEvent.selectOptions(custodianSelect, within(custodianSelect).getByRole('option', { name: 'Carol' }));
+  userEvent.type(screen.getByPlaceholderText('USD'), 'USD');
+  userEvent.type(screen.getByPlaceholderText('1000.00'), '400');
+  userEvent.type(screen.getByPlaceholderText('500.00'), '500');
+  userEvent.click(screen.getByRole('button', { name: 'Create Collateral Lock' }));
+  expect(screen.getByText('Amount (400) must be at least the minimum collateral (500).')).toBeInTheDocument();
+
+  userEvent.clear(screen.getByPlaceholderText('1000.00'));
+  userEvent.type(screen.getByPlaceholderText('1000.00'), '1000');
+  userEvent.click(screen.getByRole('button', { name: 'Create Collateral Lock' }));
+
+  expect(await screen.findByText('1,000', { selector: '.amount' })).toBeInTheDocument();
+  expect(ledger.activeContracts().map(contract => contract.payload)).toEqual([{
+    owner: ledger.partyId('Alice'),
+    custodian: ledger.partyId('Carol'),
+    asset: 'USD',
+    amount: '1000.0',
+    minCollateralAmount: '500.0',
+  }]);
+});
+
+describe('with the contract stream', () => {
+  let realWebSocket;
+
+  beforeEach(() => {
+    realWebSocket = global.WebSocket;
+    global.WebSocket = FakeWebSocket;
+    FakeWebSocket.reset();
+  });
+
+  afterEach(() => {
+    global.WebSocket = realWebSocket;
+  });
+
+  test('created and archived events update the lists without a reload', async () => {
+    render(<App />);
+
+    userEvent.click(await screen.findByText('Login as alice'));
+    expect(await screen.findByText('No SimpleToken contracts found')).toBeInTheDocument();
+    const socket = await waitFor(() => {
+      expect(FakeWebSocket.sockets).toHaveLength(1);
+      return FakeWebSocket.sockets[0];
+    });
+    act(() => socket.open());
+    expect(screen.getAllByText('● Live').length).toBeGreaterThan(0);
+    expect(socket.sent).toEqual([{ templateIds: expect.arrayContaining([ledger.templateId('SimpleToken:SimpleToken')]) }]);
+
+    const queries = ledger.requests.filter(request => request.path === '/v1/query').length;
+    const token = ledger.seed('SimpleToken:SimpleToken', {
+      issuer: ledger.partyId('Bob'),
+      owner: ledger.partyId('Alice'),
+      amount: '42.0',
+    });
+    act(() => socket.receive({ events: [{ created: token }], offset: '1' }));
+    expect(await screen.findByText('42')).toBeInTheDocument();
+
+    act(() => socket.receive({ events: [{ archived: { contractId: token.contractId, templateId: token.templateId } }], offset: '2' }));
+    expect(await screen.findByText('No SimpleToken contracts found')).toBeInTheDocument();
+    expect(ledger.requests.filter(request => request.path === '/v1/query')).toHaveLength(queries);
+  });
 });
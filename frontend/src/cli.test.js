@@ -0,0 +1,124 @@
+// The ledger CLI (cli/commands.mjs) against the mock JSON API. It lives outside src/,
+// where the test runner does not look, so its tests are kept here.
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { run } from '../cli/commands.mjs';
+import { MockJsonApi } from './mocks/mockJsonApi';
+
+let ledger;
+let profileDir;
+let output;
+
+beforeEach(() => {
+  ledger = new MockJsonApi();
+  global.fetch = ledger.fetch;
+  profileDir = fs.mkdtempSync(path.join(os.tmpdir(), 'daml-cli-'));
+  output = [];
+  jest.spyOn(console, 'log').mockImplementation(line => output.push(line));
+  jest.spyOn(console, 'error').mockImplementation(line => output.push(line));
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+  delete global.fetch;
+  fs.rmSync(profileDir, { recursive: true, force: true });
+  process.exitCode = undefined;
+});
+
+// Run one CLI command as userId, with that user's profile
+async function cli(userId, ...argv) {
+  output = [];
+  await run([...argv, '--profile', path.join(profileDir, `${userId}.json`), '--url', 'http://ledger.test/v1']);
+  return output.join('\n');
+}
+
+test('login stores the session in the profile for later commands', async () => {
+  expect(await cli('alice', 'login', 'alice'))
+    .toBe(`User alice acting as ${ledger.partyId('Alice')} on http://ledger.test/v1`);
+
+  const profile = JSON.parse(fs.readFileSync(path.join(profileDir, 'alice.json'), 'utf8'));
+  expect(profile).toMatchObject({ baseUrl: 'http://ledger.test/v1', userId: 'alice' });
+  expect(Object.keys(profile.storage).length).toBeGreaterThan(0);
+  expect((fs.statSync(path.join(profileDir, 'alice.json')).mode & 0o777).toString(8)).toBe('600');
+
+  expect(JSON.parse(await cli('alice', 'whoami', '--json'))).toMatchObject({ userId: 'alice', party: ledger.partyId('Alice') });
+  expect(await cli('alice', 'logout')).toBe('Logged out.');
+  await cli('alice', 'tokens', 'list');
+  expect(output[0]).toMatch(/^Not logged in; run `login <userId>` first/);
+  expect(process.exitCode).toBe(2);
+});
+
+test('creates, lists and transfers a token, naming parties by display name', async () => {
+  await cli('alice', 'login', 'alice');
+  await cli('bob', 'login', 'bob');
+
+  expect(await cli('alice', 'create', 'token', 'bob', '1000.5')).toMatch(/^Created Token: /);
+  const [token] = ledger.activeContracts();
+  expect(token.payload).toEqual({ issuer: ledger.partyId('Alice'), owner: ledger.partyId('Bob'), amount: '1000.5' });
+
+  const table = (await cli('bob', 'tokens', 'list')).split('\n');
+  expect(table[1]).toBe('Simple Tokens (1)');
+  expect(table[4].split(/\s+/)).toEqual([token.contractId, 'Alice', 'Bob', '1,000.5']);
+
+  expect(await cli('bob', 'tokens', 'transfer', token.contractId, 'Carol'))
+    .toMatch(/^Transferred 1,000\.5 tokens to Carol\. New contract ID: /);
+  expect(ledger.activeContracts()[0].payload.owner).toBe(ledger.partyId('Carol'));
+});
+
+test('creates a collateral lock when the user may act as the custodian too', async () => {
+  await cli('alice', 'login', 'alice');
+  expect(await cli('alice', 'create', 'collateral', 'Carol', 'USD', '1000', '500')).toMatch(/^AuthorizationError /);
+  expect(process.exitCode).toBe(1);
+
+  ledger.grantActAs('alice', 'Carol');
+  await cli('alice', 'login', 'alice');
+  expect(await cli('alice', 'create', 'collateral', 'Carol', 'USD', '400', '500'))
+    .toBe('Amount (400) must be at least the minimum collateral (500).');
+  expect(await cli('alice', 'create', 'collateral', 'Carol', 'USD', '1000', '500')).toMatch(/^Created Collateral Lock: /);
+  expect(ledger.activeContracts().map(contract => contract.payload)).toEqual([{
+    owner: ledger.partyId('Alice'),
+    custodian: ledger.partyId('Carol'),
+    asset: 'USD',
+    amount: '1000.0',
+    minCollateralAmount: '500.0',
+  }]);
+});
+
+test('checks arguments like the dashboard before submitting anything', async () => {
+  ledger.seed('CollateralLock:CollateralLock', {
+    owner: ledger.partyId('Alice'),
+    custodian: ledger.partyId('Carol'),
+    asset: 'USD',
+    amount: '1000.0',
+    minCollateralAmount: '500.0',
+  });
+  const [lock] = ledger.activeContracts();
+  await cli('alice', 'login', 'alice');
+
+  expect(await cli('alice', 'collateral', 'withdraw', lock.contractId, '600'))
+    .toBe('Cannot withdraw 600: the lock must keep at least 500 USD. You can withdraw at most 500.');
+  expect(await cli('alice', 'collateral', 'release', lock.contractId))
+    .toBe(`${ledger.partyId('Alice')} cannot exercise Release on this contract now.`);
+  expect(await cli('alice', 'create', 'escrow', 'Mallory', '5')).toBe('Unknown party "Mallory".');
+  expect(process.exitCode).toBe(2);
+  expect(ledger.requests.some(request => request.path === '/v1/exercise' || request.path === '/v1/create')).toBe(false);
+});
+
+test('reports ledger rejections with their error type and status', async () => {
+  await cli('alice', 'login', 'alice');
+  await cli('bob', 'login', 'bob');
+  await cli('alice', 'create', 'token', 'bob', '5');
+  const [token] = ledger.activeContracts();
+
+  // Archive is not in the registry, so the CLI sends it as given and the ledger decides
+  expect(await cli('bob', 'exercise', token.contractId, 'Archive', '--template', 'tokens'))
+    .toMatch(/^AuthorizationError \(HTTP \d+\): /);
+  expect(process.exitCode).toBe(1);
+  expect(ledger.activeContracts()).toHaveLength(1);
+
+  expect(await cli('alice', 'exercise', token.contractId, 'Archive')).toBe('Archive succeeded.');
+  expect(await cli('alice', 'exercise', token.contractId, 'Archive')).toBe(
+    `No active contract ${token.contractId} is visible to ${ledger.partyId('Alice')}.`,
+  );
+});
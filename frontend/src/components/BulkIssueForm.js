@@ -0,0 +1,194 @@
+import React, { useState, useRef } from 'react';
+import { useClient } from './ClientContext';
+import { partyDisplayName } from './PartySelect';
+import { parseTokenRows, runWithConcurrency, issueReport, reportToCsv } from '../services/bulkIssue';
+import { displayDecimal, isDecimal } from '../services/decimal';
+import { downloadFile } from '../services/fileExport';
+
+// How many createSimpleToken commands may be in flight at once
+const MAX_CONCURRENT_CREATES = 4;
+
+const STATUS_LABELS = {
+  invalid: '✕ Invalid',
+  succeeded: '✓ Created',
+  failed: '✕ Failed',
+  cancelled: '— Cancelled',
+};
+
+// Issue one SimpleToken per CSV row ("owner,amount") with the current party as issuer.
+// Owners are matched against parties, the dashboard's list of the ledger's parties.
+function BulkIssueForm({ partyIdentifier, parties, loadingParties, describeError, onFinished, onCancel }) {
+  const client = useClient();
+  const [csvText, setCsvText] = useState('');
+  // Validated rows, or null until the CSV has been checked
+  const [rows, setRows] = useState(null);
+  const [progress, setProgress] = useState(null);
+  // Per-row outcome, once a run has finished
+  const [report, setReport] = useState(null);
+  const [running, setRunning] = useState(false);
+  const cancelled = useRef(false);
+
+  const loadFile = async (file) => {
+    if (!file) return;
+    setCsvText(await file.text());
+    setRows(null);
+    setReport(null);
+  };
+
+  const validate = () => {
+    setRows(parseTokenRows(csvText, parties));
+    setReport(null);
+  };
+
+  const issueTokens = async () => {
+    const validRows = rows.filter(row => !row.error);
+    cancelled.current = false;
+    setRunning(true);
+    setProgress({ done: 0, total: validRows.length });
+
+    const results = await runWithConcurrency(
+      validRows,
+      MAX_CONCURRENT_CREATES,
+      (row) => client.createSimpleToken(partyIdentifier, row.party, row.amount),
+      {
+        isCancelled: () => cancelled.current,
+        onResult: () => setProgress(current => ({ ...current, done: current.done + 1 })),
+      }
+    );
+
+    setReport(issueReport(rows, results, describeError));
+    setRunning(false);
+    if (results.some(result => result.status === 'succeeded')) {
+      onFinished();
+    }
+  };
+
+  const validCount = rows ? rows.filter(row => !row.error).length : 0;
+  const displayed = report || rows || [];
+  const counts = report
+    ? Object.fromEntries(Object.keys(STATUS_LABELS).map(status => [
+        status,
+        report.filter(row => row.status === status).length,
+      ]))
+    : null;
+
+  return (
+    <div className="create-token-form bulk-issue-form">
+      <h3>Bulk Issue Tokens</h3>
+      <div className="form-field">
+        <label>
+          CSV file or text (owner,amount per line; owner is a display name or party ID):
+          <input
+            type="file"
+            accept=".csv,text/csv"
+            onChange={(e) => loadFile(e.target.files[0])}
+            disabled={running}
+          />
+        </label>
+        <textarea
+          className="csv-input"
+          value={csvText}
+          onChange={(e) => {
+            setCsvText(e.target.value);
+            setRows(null);
+            setReport(null);
+          }}
+          placeholder={'owner,amount\nBob,100.00\nCharlie,25.5'}
+          rows={6}
+          disabled={running}
+        />
+      </div>
+
+      {progress && (
+        <div className="bulk-progress">
+          <div className="progress-bar">
+            <div
+              className="progress-fill"
+              style={{ width: `${progress.total ? (progress.done / progress.total) * 100 : 100}%` }}
+            />
+          </div>
+          <span>{progress.done} / {progress.total} submitted</span>
+        </div>
+      )}
+
+      {counts && (
+        <div className={counts.failed || counts.invalid ? 'validation-error' : 'success-banner'}>
+          {counts.succeeded} created, {counts.failed} failed, {counts.invalid} invalid
+          {counts.cancelled ? `, ${counts.cancelled} cancelled` : ''}.
+        </div>
+      )}
+
+      {displayed.length > 0 && (
+        <div className="history-table-wrapper">
+          <table className="summary-table">
+            <thead>
+              <tr>
+                <th>Line</th>
+                <th>Owner</th>
+                <th>Amount</th>
+                <th>{report ? 'Result' : 'Check'}</th>
+              </tr>
+            </thead>
+            <tbody>
+              {displayed.map(row => (
+                <tr key={row.line}>
+                  <td>{row.line}</td>
+                  <td>{row.party ? partyDisplayName(parties, row.party) : row.owner}</td>
+                  <td>{isDecimal(row.amount) ? displayDecimal(row.amount) : row.amount}</td>
+                  <td>
+                    {report ? STATUS_LABELS[row.status] : (row.error ? '✕ Invalid' : '✓ OK')}
+                    {row.contractId && <div className="contract-id">{row.contractId}</div>}
+                    {row.error && <div className="history-error">{row.error}</div>}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      <div className="form-actions">
+        {running ? (
+          <button type="button" onClick={() => { cancelled.current = true; }} className="cancel-button">
+            Stop After Running Rows
+          </button>
+        ) : (
+          <>
+            <button
+              type="button"
+              onClick={validate}
+              disabled={!csvText.trim() || loadingParties}
+              className="submit-button"
+            >
+              {loadingParties ? 'Loading parties...' : 'Check Rows'}
+            </button>
+            {rows && !report && (
+              <button
+                type="button"
+                onClick={issueTokens}
+                disabled={validCount === 0}
+                className="submit-button"
+              >
+                Issue {validCount} Token{validCount === 1 ? '' : 's'}
+              </button>
+            )}
+            {report && (
+              <button
+                type="button"
+                onClick={() => downloadFile(`token-issuance-report-${Date.now()}.csv`, reportToCsv(report), 'text/csv')}
+                className="submit-button"
+              >
+                ⬇ Download Report
+              </button>
+            )}
+            <button type="button" onClick={onCancel} className="cancel-button">
+              Close
+            </button>
+          </>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default BulkIssueForm;
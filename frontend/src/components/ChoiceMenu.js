@@ -0,0 +1,174 @@
+import React, { useState, useRef } from 'react';
+import FieldInput from './FieldInput';
+import { partyDisplayName } from './PartySelect';
+import {
+  availableChoices,
+  choiceLabel,
+  emptyValue,
+  encodeFields,
+  validateFields,
+} from '../services/templates';
+import { CommandSubmission } from '../services/damlApi';
+import { displayDecimal, isDecimal } from '../services/decimal';
+
+// Action buttons for the choices the current party controls on a contract.
+// Choices without arguments are confirmed with a dialog; choices with arguments
+// open a form followed by a review step. onExercise(choice, argument, partyName, submission)
+// gets the card's CommandSubmission, so retrying after a lost response runs the choice once.
+function ChoiceMenu({ template, contract, partyIdentifier, parties, loadingParties, busyChoice, onExercise }) {
+  const [activeChoice, setActiveChoice] = useState(null);
+  const submission = useRef(new CommandSubmission());
+
+  const payload = contract.payload || {};
+  const choices = availableChoices(template, payload, partyIdentifier);
+  if (choices.length === 0) {
+    return null;
+  }
+
+  const busy = !!busyChoice;
+  const active = choices.find(choice => choice.name === activeChoice);
+  const partyName = (identifier) => partyDisplayName(parties, identifier);
+
+  const handleClick = async (choice) => {
+    if (choice.args && choice.args.length > 0) {
+      setActiveChoice(choice.name);
+      return;
+    }
+    const message = choice.confirm ? choice.confirm(payload, partyName) : `${choiceLabel(choice)} this contract?`;
+    if (!window.confirm(message)) {
+      return;
+    }
+    await onExercise(choice, {}, partyName, submission.current);
+  };
+
+  if (active) {
+    return (
+      <ChoiceForm
+        template={template}
+        choice={active}
+        payload={payload}
+        parties={parties}
+        loadingParties={loadingParties}
+        busy={busyChoice === active.name}
+        onSubmit={(argument, partyName) => onExercise(active, argument, partyName, submission.current)}
+        onClose={() => setActiveChoice(null)}
+      />
+    );
+  }
+
+  return (
+    <div className="contract-actions">
+      {choices.map(choice => (
+        <button
+          key={choice.name}
+          onClick={() => handleClick(choice)}
+          disabled={busy}
+          className={choice.style ? `action-button ${choice.style}` : 'action-button'}
+        >
+          {busyChoice === choice.name
+            ? (choice.busyLabel || 'Submitting...')
+            : `${choice.icon ? `${choice.icon} ` : ''}${choiceLabel(choice)}`}
+        </button>
+      ))}
+    </div>
+  );
+}
+
+// Argument form and review step for a choice
+function ChoiceForm({ template, choice, payload, parties, loadingParties, busy, onSubmit, onClose }) {
+  const [values, setValues] = useState(() =>
+    Object.fromEntries(choice.args.map(arg => [arg.name, emptyValue(arg)]))
+  );
+  const [step, setStep] = useState('edit');
+  const [validationError, setValidationError] = useState(null);
+
+  const partyName = (identifier) => partyDisplayName(parties, identifier);
+  const argument = encodeFields(choice.args, values);
+
+  const formatValue = (field, value) => {
+    if (field.type === 'Party') return partyName(value);
+    if (field.type === 'Bool') return value ? (field.trueLabel || 'Yes') : (field.falseLabel || 'No');
+    if (field.type === 'Decimal' && isDecimal(value)) return displayDecimal(value);
+    return value;
+  };
+
+  const handleReview = (e) => {
+    e.preventDefault();
+    const error = validateFields(choice.args, values) ||
+      (choice.validate ? choice.validate(payload, argument) : null);
+    setValidationError(error);
+    if (!error) {
+      setStep('review');
+    }
+  };
+
+  const handleConfirm = async () => {
+    const ok = await onSubmit(argument, partyName);
+    if (ok) onClose();
+  };
+
+  if (step === 'edit') {
+    return (
+      <form className="panel-body" onSubmit={handleReview}>
+        {validationError && <div className="validation-error">{validationError}</div>}
+        {choice.args.map(arg => (
+          <div className="inline-form" key={arg.name}>
+            <FieldInput
+              field={arg}
+              value={values[arg.name]}
+              onChange={(value) => setValues({ ...values, [arg.name]: value })}
+              parties={parties}
+              loadingParties={loadingParties}
+              exclude={(arg.excludeFields || []).map(name => payload[name])}
+              disabled={busy}
+            />
+          </div>
+        ))}
+        <div className="contract-actions">
+          <button type="submit" disabled={busy} className="action-button">
+            Review
+          </button>
+          <button type="button" onClick={onClose} className="action-button danger">
+            Cancel
+          </button>
+        </div>
+      </form>
+    );
+  }
+
+  const reviewFields = (choice.review || [])
+    .map(name => template.fields.find(field => field.name === name))
+    .filter(Boolean);
+
+  return (
+    <div className="panel-body">
+      <div className="confirm-summary">
+        {reviewFields.map(field => (
+          <div className="contract-field" key={field.name}>
+            <span className="field-label">{field.label}:</span>
+            <span className="field-value">{formatValue(field, payload[field.name])}</span>
+          </div>
+        ))}
+        {choice.args.map(arg => (
+          <div className="contract-field" key={arg.name}>
+            <span className="field-label">{arg.label}:</span>
+            <span className="field-value amount">{formatValue(arg, argument[arg.name])}</span>
+          </div>
+        ))}
+      </div>
+      <div className="contract-actions">
+        <button onClick={handleConfirm} disabled={busy} className={`action-button ${choice.style || 'approve'}`}>
+          {busy ? (choice.busyLabel || 'Submitting...') : `✓ Confirm ${choiceLabel(choice)}`}
+        </button>
+        <button onClick={() => setStep('edit')} disabled={busy} className="action-button">
+          Back
+        </button>
+        <button onClick={onClose} disabled={busy} className="action-button danger">
+          Cancel
+        </button>
+      </div>
+    </div>
+  );
+}
+
+export default ChoiceMenu;
@@ -0,0 +1,10 @@
+import { createContext, useContext } from 'react';
+
+// The DamlApi client of the session a component tree belongs to
+const ClientContext = createContext(null);
+
+export function useClient() {
+  return useContext(ClientContext);
+}
+
+export default ClientContext;
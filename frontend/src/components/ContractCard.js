@@ -0,0 +1,106 @@
+import React from 'react';
+import ChoiceMenu from './ChoiceMenu';
+import Link from './Link';
+import { paths } from '../services/router';
+import { displayDecimal, isDecimal } from '../services/decimal';
+
+function FieldValue({ field, value }) {
+  if (field.type === 'Bool') {
+    return (
+      <span className={`field-value status ${value ? 'approved' : 'pending'}`}>
+        {value ? (field.trueLabel || 'Yes') : (field.falseLabel || 'No')}
+      </span>
+    );
+  }
+  if (field.type === 'Party' && value) {
+    return (
+      <span className="field-value">
+        <Link to={paths.party(value)} title="Show this party's contracts">{value}</Link>
+      </span>
+    );
+  }
+  if (field.type === 'Decimal' && isDecimal(value)) {
+    return (
+      <span className={`field-value${field.highlight ? ' amount' : ''}`}>
+        {displayDecimal(value)}
+      </span>
+    );
+  }
+  return (
+    <span className={`field-value${field.highlight ? ' amount' : ''}`}>
+      {value || 'N/A'}
+    </span>
+  );
+}
+
+// Card for one contract, laid out from its registry entry.
+// previousContractId is set when this contract is known to replace an archived one.
+// Contract IDs open the contract's detail page through onOpenContract; "Exercise…" opens
+// the generic dialog for any of the template's choices through onOpenExerciseDialog.
+// parties and loadingParties are the dashboard's, for the choice forms.
+function ContractCard({
+  template,
+  contract,
+  partyIdentifier,
+  parties,
+  loadingParties,
+  previousContractId,
+  busyChoice,
+  onExercise,
+  onOpenContract,
+  onOpenExerciseDialog,
+}) {
+  const payload = contract.payload || {};
+
+  return (
+    <div className={`contract-card${previousContractId ? ' followed' : ''}`}>
+      <div className="contract-field">
+        <span className="field-label">Contract ID:</span>
+        <button
+          type="button"
+          onClick={() => onOpenContract(contract.contractId)}
+          className="field-value contract-id link-button"
+          title="Show contract details"
+        >
+          {contract.contractId}
+        </button>
+      </div>
+      {template.fields.map(field => (
+        <div className="contract-field" key={field.name}>
+          <span className="field-label">{field.label}:</span>
+          <FieldValue field={field} value={payload[field.name]} />
+        </div>
+      ))}
+      {previousContractId && (
+        <div className="contract-field">
+          <span className="field-label">Previous Contract:</span>
+          <button
+            type="button"
+            onClick={() => onOpenContract(previousContractId)}
+            className="field-value contract-id link-button"
+            title="Show contract details"
+          >
+            {previousContractId}
+          </button>
+        </div>
+      )}
+      <ChoiceMenu
+        template={template}
+        contract={contract}
+        partyIdentifier={partyIdentifier}
+        parties={parties}
+        loadingParties={loadingParties}
+        busyChoice={busyChoice}
+        onExercise={(choice, argument, partyName, submission) =>
+          onExercise(template, contract, choice, argument, partyName, submission)}
+      />
+      <div className="contract-actions">
+        <button onClick={onOpenExerciseDialog} disabled={!!busyChoice} className="action-button secondary">
+          Exercise…
+        </button>
+      </div>
+    </div>
+  );
+}
+
+export default ContractCard;
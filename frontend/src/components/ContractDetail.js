@@ -0,0 +1,214 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { findTemplate, templateModuleEntity } from '../services/templates';
+import lineage from '../services/lineage';
+import ClientContext from './ClientContext';
+import { useParties, partyDisplayName } from './PartySelect';
+import Link from './Link';
+import { paths } from '../services/router';
+import { displayDecimal, isDecimal } from '../services/decimal';
+
+function PartyList({ parties, identifiers }) {
+  if (identifiers.length === 0) {
+    return <span className="field-value">None</span>;
+  }
+  return (
+    <span className="field-value">
+      {identifiers.map(identifier => (
+        <Link key={identifier} to={paths.party(identifier)} className="party-chip" title={identifier}>
+          {partyDisplayName(parties, identifier)}
+        </Link>
+      ))}
+    </span>
+  );
+}
+
+// Every payload field, labelled from the registry where the template is known;
+// nested values (records, lists, optionals) are shown as JSON
+function PayloadTable({ template, payload, parties }) {
+  const fields = new Map((template?.fields || []).map(field => [field.name, field]));
+  return Object.entries(payload).map(([name, value]) => {
+    const field = fields.get(name);
+    let shown;
+    if (field?.type === 'Party') {
+      shown = <Link to={paths.party(value)} title={value}>{partyDisplayName(parties, value)}</Link>;
+    } else if (field?.type === 'Decimal' && isDecimal(value)) {
+      shown = displayDecimal(value);
+    } else if (value !== null && typeof value === 'object') {
+      shown = <pre className="payload-json">{JSON.stringify(value, null, 2)}</pre>;
+    } else {
+      shown = String(value);
+    }
+    return (
+      <div className="contract-field" key={name}>
+        <span className="field-label">{field?.label || name}:</span>
+        <span className="field-value">{shown}</span>
+      </div>
+    );
+  });
+}
+
+// One line of the lineage chain: the contract and its party fields as last seen
+function summaryValue(field, value, parties) {
+  if (field.type === 'Party') return partyDisplayName(parties, value);
+  if (field.type === 'Decimal' && isDecimal(value)) return displayDecimal(value);
+  return value;
+}
+
+function LineageEntry({ contractId, current, parties, onOpenContract }) {
+  const snapshot = lineage.snapshot(contractId);
+  const template = snapshot ? findTemplate(snapshot) : null;
+  const summary = template && snapshot.payload
+    ? template.fields
+        .filter(field => field.type === 'Party' || field.highlight)
+        .map(field => `${field.label}: ${summaryValue(field, snapshot.payload[field.name], parties)}`)
+        .join(' · ')
+    : 'Not seen by this dashboard';
+
+  return (
+    <li className={`lineage-entry${current ? ' current' : ''}`}>
+      {current ? (
+        <span className="contract-id">{contractId}</span>
+      ) : (
+        <button type="button" onClick={() => onOpenContract(contractId)} className="contract-id link-button">
+          {contractId}
+        </button>
+      )}
+      <span className="lineage-summary">{summary}</span>
+    </li>
+  );
+}
+
+function LineageStep({ link }) {
+  return (
+    <li className="lineage-step">
+      ↓ {link.choice || 'Archived and recreated'}
+      <span className="lineage-source">{link.source === 'command' ? 'from this dashboard' : 'seen on the stream'}</span>
+    </li>
+  );
+}
+
+function ContractDetailBody({ client, contractId, describeError, onOpenContract, onClose }) {
+  const { parties } = useParties();
+  // The fetch result: the active contract, or null when archived or not visible
+  const [contract, setContract] = useState(undefined);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  // Bumped when lineage changes so the chain stays current
+  const [, setLineageVersion] = useState(0);
+
+  useEffect(() => lineage.subscribe(() => setLineageVersion(version => version + 1)), []);
+
+  const load = useCallback(async () => {
+    setLoading(true);
+    setError(null);
+    try {
+      const templateId = lineage.snapshot(contractId)?.templateId;
+      const response = await client.fetchContract(contractId, templateId);
+      setContract(response.result || null);
+    } catch (err) {
+      setError(describeError(err));
+      console.error(`Failed to fetch contract ${contractId}:`, err);
+    } finally {
+      setLoading(false);
+    }
+  }, [client, contractId, describeError]);
+
+  useEffect(() => {
+    setContract(undefined);
+    load();
+  }, [load]);
+
+  const snapshot = lineage.snapshot(contractId);
+  // An archived contract can still be shown as the dashboard last saw it
+  const shown = contract || snapshot;
+  const template = shown ? findTemplate(shown) : null;
+  const { earlier, later } = lineage.chain(contractId);
+
+  let status = 'Loading...';
+  if (contract) {
+    status = 'Active';
+  } else if (contract === null) {
+    status = snapshot?.archivedBy
+      ? `Archived by ${snapshot.archivedBy}`
+      : later.length > 0 ? 'Archived' : `Archived or not visible to ${partyDisplayName(parties, client.getPartyIdentifier())}`;
+  }
+
+  return (
+    <section className="contract-section contract-detail">
+      <h2 className="section-title">
+        {template ? templateModuleEntity(template) : 'Contract'}{' '}
+        <span className={`count-badge${contract ? '' : ' archived'}`}>({status})</span>
+      </h2>
+
+      <div className="controls">
+        <button onClick={onClose} className="refresh-button">← Back</button>
+        <button onClick={load} disabled={loading} className="refresh-button">
+          {loading ? 'Loading...' : '🔄 Refresh'}
+        </button>
+      </div>
+
+      {error && <div className="error-banner">{error}</div>}
+
+      <div className="contract-field">
+        <span className="field-label">Contract ID:</span>
+        <span className="field-value contract-id">{contractId}</span>
+      </div>
+      {shown && (
+        <>
+          <div className="contract-field">
+            <span className="field-label">Template ID:</span>
+            <span className="field-value contract-id">{shown.templateId}</span>
+          </div>
+          <div className="contract-field">
+            <span className="field-label">Signatories:</span>
+            <PartyList parties={parties} identifiers={shown.signatories || []} />
+          </div>
+          <div className="contract-field">
+            <span className="field-label">Observers:</span>
+            <PartyList parties={parties} identifiers={shown.observers || []} />
+          </div>
+        </>
+      )}
+
+      {shown?.payload && (
+        <>
+          <h3 className="detail-heading">{contract ? 'Payload' : 'Payload (as last seen)'}</h3>
+          <PayloadTable template={template} payload={shown.payload} parties={parties} />
+        </>
+      )}
+
+      <h3 className="detail-heading">Lineage</h3>
+      {earlier.length === 0 && later.length === 0 ? (
+        <div className="empty-state">No earlier or later contracts are known for this contract</div>
+      ) : (
+        <ol className="lineage-chain">
+          {earlier.map(({ contractId: earlierId, link }) => (
+            <React.Fragment key={earlierId}>
+              <LineageEntry contractId={earlierId} parties={parties} onOpenContract={onOpenContract} />
+              <LineageStep link={link} />
+            </React.Fragment>
+          ))}
+          <LineageEntry contractId={contractId} current parties={parties} onOpenContract={onOpenContract} />
+          {later.map(({ contractId: laterId, link }) => (
+            <React.Fragment key={laterId}>
+              <LineageStep link={link} />
+              <LineageEntry contractId={laterId} parties={parties} onOpenContract={onOpenContract} />
+            </React.Fragment>
+          ))}
+        </ol>
+      )}
+    </section>
+  );
+}
+
+// Detail page for one contract: fetched by ID, with its payload, parties and the chain of
+// contracts it replaced and was replaced by (see services/lineage.js)
+function ContractDetail(props) {
+  return (
+    <ClientContext.Provider value={props.client}>
+      <ContractDetailBody {...props} />
+    </ClientContext.Provider>
+  );
+}
+
+export default ContractDetail;
@@ -0,0 +1,156 @@
+import React from 'react';
+import { partyDisplayName } from './PartySelect';
+import { useRoute } from './Link';
+import { navigate } from '../services/router';
+import {
+  EMPTY_FILTERS,
+  readFilters,
+  filtersPath,
+  hasActiveFilters,
+  filterOptions,
+  applyFilters,
+  paginate,
+} from '../services/contractFilters';
+
+// Search, role/amount/status filters and sorting for one section; the controls
+// offered depend on the template's fields
+function FilterBar({ template, filters, onChange }) {
+  const { partyFields, amountField, statusField, sortFields } = filterOptions(template);
+  const update = (changes) => onChange({ ...filters, ...changes, page: '' });
+
+  return (
+    <div className="filter-bar">
+      <input
+        type="text"
+        value={filters.q}
+        onChange={(e) => update({ q: e.target.value })}
+        placeholder="Search contract ID or party"
+      />
+      {amountField && (
+        <>
+          <input
+            type="number"
+            className="amount-filter"
+            value={filters.min}
+            onChange={(e) => update({ min: e.target.value })}
+            placeholder={`Min ${amountField.label.toLowerCase()}`}
+          />
+          <input
+            type="number"
+            className="amount-filter"
+            value={filters.max}
+            onChange={(e) => update({ max: e.target.value })}
+            placeholder={`Max ${amountField.label.toLowerCase()}`}
+          />
+        </>
+      )}
+      <select value={filters.role} onChange={(e) => update({ role: e.target.value })}>
+        <option value="">Any role</option>
+        {partyFields.map(field => (
+          <option key={field.name} value={field.name}>I am {field.label.toLowerCase()}</option>
+        ))}
+      </select>
+      {statusField && (
+        <select value={filters.status} onChange={(e) => update({ status: e.target.value })}>
+          <option value="">Any {statusField.label.toLowerCase()}</option>
+          <option value="false">{statusField.falseLabel || 'No'}</option>
+          <option value="true">{statusField.trueLabel || 'Yes'}</option>
+        </select>
+      )}
+      <select value={filters.sort} onChange={(e) => update({ sort: e.target.value })}>
+        <option value="">Ledger order</option>
+        {sortFields.flatMap(field => (field.type === 'Decimal'
+          ? [
+              <option key={`${field.name}:asc`} value={`${field.name}:asc`}>{field.label} ↑</option>,
+              <option key={`${field.name}:desc`} value={`${field.name}:desc`}>{field.label} ↓</option>,
+            ]
+          : [<option key={field.name} value={`${field.name}:asc`}>{field.label} A–Z</option>]
+        ))}
+      </select>
+      {hasActiveFilters(filters) && (
+        <button type="button" onClick={() => onChange(EMPTY_FILTERS)} className="action-button">
+          ✕ Clear
+        </button>
+      )}
+    </div>
+  );
+}
+
+function Pagination({ page, pages, onChange }) {
+  if (pages <= 1) {
+    return null;
+  }
+  return (
+    <div className="pagination">
+      <button onClick={() => onChange(page - 1)} disabled={page <= 1} className="action-button">
+        ‹ Prev
+      </button>
+      <span>Page {page} of {pages}</span>
+      <button onClick={() => onChange(page + 1)} disabled={page >= pages} className="action-button">
+        Next ›
+      </button>
+    </div>
+  );
+}
+
+// A titled list of contracts. With a registry template the section gets a filter
+// bar and pagination, with the filter state kept in the URL under filterKey
+// (the template key unless given). parties are the ledger's parties, for display names.
+function ContractSection({
+  title,
+  contracts,
+  renderContract,
+  emptyMessage,
+  template,
+  filterKey = template?.key,
+  parties = [],
+  partyIdentifier,
+}) {
+  const route = useRoute();
+  const filters = template ? readFilters(filterKey, route.query) : EMPTY_FILTERS;
+
+  const changeFilters = (next) => {
+    navigate(filtersPath(filterKey, next, route.path), { replace: true });
+  };
+
+  const matching = template
+    ? applyFilters(template, contracts, filters, partyIdentifier, (id) => partyDisplayName(parties, id))
+    : contracts;
+  const { page, pages, items } = template
+    ? paginate(matching, filters.page)
+    : { page: 1, pages: 1, items: contracts };
+
+  return (
+    <section className="contract-section">
+      <h2 className="section-title">
+        {title}{' '}
+        <span className="count-badge">
+          ({matching.length === contracts.length ? contracts.length : `${matching.length} of ${contracts.length}`})
+        </span>
+      </h2>
+      {template && contracts.length > 0 && (
+        <FilterBar template={template} filters={filters} onChange={changeFilters} />
+      )}
+      {matching.length === 0 ? (
+        <div className="empty-state">
+          {contracts.length === 0 ? emptyMessage : 'No contracts match the filters'}
+        </div>
+      ) : (
+        <div className="contracts-list">
+          {items.map((contract, i) => (
+            <div key={contract.contractId || i}>
+              {renderContract(contract)}
+            </div>
+          ))}
+        </div>
+      )}
+      <Pagination
+        page={page}
+        pages={pages}
+        onChange={(next) => changeFilters({ ...filters, page: next > 1 ? String(next) : '' })}
+      />
+    </section>
+  );
+}
+
+export default ContractSection;
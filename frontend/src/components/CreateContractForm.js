@@ -0,0 +1,97 @@
+import React, { useState, useRef } from 'react';
+import FieldInput from './FieldInput';
+import { createFields, emptyValue, encodeFields, validateFields } from '../services/templates';
+import { CommandSubmission } from '../services/damlApi';
+
+// Create form for a registry template; the current party fills the signatory field.
+// onSubmit(payload, submission) gets the form's CommandSubmission, so submitting again after
+// the ledger could not be reached cannot create the contract twice. parties and loadingParties
+// are the dashboard's, for the party pickers.
+function CreateContractForm({ template, partyIdentifier, parties, loadingParties, onSubmit, onCancel }) {
+  const create = template.create;
+  const fields = createFields(template);
+  const signatoryField = template.fields.find(field => field.name === create.signatory);
+  const optional = create.optional || [];
+
+  const [values, setValues] = useState(() => Object.fromEntries(fields.map(field => [
+    field.name,
+    (create.defaultSelf || []).includes(field.name) ? (partyIdentifier || '') : emptyValue(field),
+  ])));
+  const [submitting, setSubmitting] = useState(false);
+  // Set synchronously so a double-click cannot submit twice before the re-render disables the button
+  const submittingRef = useRef(false);
+  const submission = useRef(new CommandSubmission());
+  const [validationError, setValidationError] = useState(null);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (submittingRef.current) return;
+    setValidationError(null);
+
+    const payload = {
+      ...create.defaults,
+      [create.signatory]: partyIdentifier,
+      ...encodeFields(fields, values),
+    };
+    const error = validateFields(fields, values, optional) ||
+      (create.validate ? create.validate(payload) : null);
+    if (error) {
+      setValidationError(error);
+      return;
+    }
+
+    submittingRef.current = true;
+    setSubmitting(true);
+    try {
+      await onSubmit(payload, submission.current);
+    } catch (err) {
+      console.error(`Create ${create.title} error:`, err);
+    } finally {
+      submittingRef.current = false;
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <div className="create-token-form">
+      <h3>Create {create.title}</h3>
+      <form onSubmit={handleSubmit}>
+        {validationError && <div className="validation-error">{validationError}</div>}
+        <div className="form-field">
+          <label>
+            {signatoryField.label} (You): <span className="field-hint">{partyIdentifier || 'Loading...'}</span>
+          </label>
+        </div>
+        {fields.map(field => (
+          <div className="form-field" key={field.name}>
+            <label>
+              {field.label}:{optional.includes(field.name) || field.type === 'Bool' ? '' : ' *'}
+              <FieldInput
+                field={field}
+                value={values[field.name]}
+                onChange={(value) => setValues({ ...values, [field.name]: value })}
+                parties={parties}
+                loadingParties={loadingParties}
+                exclude={(create.excludeSelf || []).includes(field.name) ? [partyIdentifier] : []}
+                placeholder={create.placeholders?.[field.name]}
+              />
+            </label>
+            {create.hints?.[field.name] && (
+              <small className="form-hint">{create.hints[field.name]}</small>
+            )}
+          </div>
+        ))}
+        <div className="form-actions">
+          <button type="submit" disabled={submitting} className="submit-button">
+            {submitting ? 'Creating...' : `Create ${create.title}`}
+          </button>
+          <button type="button" onClick={onCancel} className="cancel-button">
+            Cancel
+          </button>
+        </div>
+      </form>
+    </div>
+  );
+}
+
+export default CreateContractForm;
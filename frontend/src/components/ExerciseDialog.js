@@ -0,0 +1,296 @@
+import React, { useState, useRef, useEffect } from 'react';
+import FieldInput from './FieldInput';
+import { useClient } from './ClientContext';
+import { partyDisplayName } from './PartySelect';
+import {
+  allChoices,
+  choiceControllers,
+  choiceLabel,
+  emptyValue,
+  encodeFields,
+  findTemplate,
+  packageChoices,
+  templateModuleEntity,
+  validateFields,
+} from '../services/templates';
+import { CommandSubmission } from '../services/damlApi';
+
+// "name: Type, ..." for a choice's argument fields, as far as they are known
+function signatureText(choice) {
+  return (choice.args || choice.signature || []).map(field => `${field.name}: ${field.type}`).join(', ');
+}
+
+// What a JSON argument box starts with: the choice's fields, where the package lists them
+function argumentTemplate(choice) {
+  return JSON.stringify(Object.fromEntries((choice.signature || []).map(field => [field.name, null])), null, 2);
+}
+
+// A JSON argument as typed: { argument } or { error }
+function parseArgument(text) {
+  let argument;
+  try {
+    argument = JSON.parse(text);
+  } catch (err) {
+    return { error: `The argument is not valid JSON: ${err.message}` };
+  }
+  if (!argument || typeof argument !== 'object' || Array.isArray(argument)) {
+    return { error: 'The argument must be a JSON object with the choice\'s fields.' };
+  }
+  return { argument };
+}
+
+function ContractLink({ contractId, onOpenContract }) {
+  return (
+    <button type="button" onClick={() => onOpenContract(contractId)} className="contract-id link-button">
+      {contractId}
+    </button>
+  );
+}
+
+// The JSON API response of a successful exercise: the choice's return value and its events
+function ExerciseOutcome({ choice, response, onOpenContract }) {
+  if (response.deduplicated) {
+    return (
+      <div className="confirm-summary">
+        <div className="success-banner">
+          ✓ {choiceLabel(choice)} was exercised. The ledger had already applied it when the dialog
+          submitted it again, so its result is not known here; refresh to see it.
+        </div>
+      </div>
+    );
+  }
+
+  const { exerciseResult, events = [] } = response.result || {};
+  const createdIds = new Set(events.filter(e => e.created).map(e => e.created.contractId));
+
+  let shown;
+  if (typeof exerciseResult === 'string' && createdIds.has(exerciseResult)) {
+    shown = <ContractLink contractId={exerciseResult} onOpenContract={onOpenContract} />;
+  } else if (exerciseResult && typeof exerciseResult === 'object' && Object.keys(exerciseResult).length === 0) {
+    shown = '() — the choice returns nothing';
+  } else {
+    shown = <pre className="payload-json">{JSON.stringify(exerciseResult, null, 2)}</pre>;
+  }
+
+  return (
+    <div className="confirm-summary">
+      <div className="success-banner">✓ {choiceLabel(choice)} was exercised.</div>
+      <div className="contract-field">
+        <span className="field-label">Exercise result:</span>
+        <span className="field-value">{shown}</span>
+      </div>
+      {events.map(event => {
+        const contract = event.created || event.archived;
+        const template = findTemplate(contract);
+        return (
+          <div className="contract-field" key={`${event.created ? 'created' : 'archived'}:${contract.contractId}`}>
+            <span className="field-label">
+              {event.created ? 'Created' : 'Archived'} {template ? templateModuleEntity(template) : ''}:
+            </span>
+            <span className="field-value">
+              <ContractLink contractId={contract.contractId} onOpenContract={onOpenContract} />
+            </span>
+          </div>
+        );
+      })}
+    </div>
+  );
+}
+
+// Generic dialog for exercising any choice of a contract's template. The choices and their
+// argument fields are read from the template's package, so a choice added to the Daml model
+// can be exercised without a custom form; the registry only adds labels and validation.
+// Arguments with fields the form cannot edit are written as JSON. If the package cannot be
+// read, the registry's choices are offered instead. Choices the party does not control are
+// still offered, with a warning, since the ledger has the final say.
+// onSubmit(choice, argument, submission) resolves to { result } or { error }; submission is
+// the dialog's CommandSubmission, so resubmitting after a lost response runs the choice once.
+// parties and loadingParties are the dashboard's, for display names and party pickers.
+function ExerciseDialog({
+  template,
+  contract,
+  partyIdentifier,
+  parties,
+  loadingParties,
+  busy,
+  onSubmit,
+  onOpenContract,
+  onClose,
+}) {
+  const client = useClient();
+  // null until the package has been read
+  const [choices, setChoices] = useState(null);
+  const [packageError, setPackageError] = useState(null);
+  const [choiceName, setChoiceName] = useState(null);
+  const [values, setValues] = useState({});
+  // Text of a JSON argument; null until edited
+  const [argumentText, setArgumentText] = useState(null);
+  const [validationError, setValidationError] = useState(null);
+  const [submitError, setSubmitError] = useState(null);
+  // The JSON API response once the choice has been exercised
+  const [response, setResponse] = useState(null);
+  const submission = useRef(new CommandSubmission());
+
+  useEffect(() => {
+    let cancelled = false;
+    client.getTemplateChoices(contract.templateId)
+      .then(signatures => {
+        if (!cancelled) setChoices(packageChoices(template, signatures));
+      })
+      .catch(err => {
+        if (cancelled) return;
+        console.warn(`Failed to read the choices of ${contract.templateId}:`, err);
+        setPackageError(err.message);
+        setChoices(allChoices(template));
+      });
+    return () => { cancelled = true; };
+  }, [client, template, contract.templateId]);
+
+  if (!choices) {
+    return (
+      <div className="dialog-backdrop" onClick={onClose}>
+        <div className="dialog" role="dialog" aria-label="Exercise a choice" onClick={(e) => e.stopPropagation()}>
+          <h3>Exercise a choice on {templateModuleEntity(template)}</h3>
+          <p className="form-hint">Reading the template's choices from its package...</p>
+          <div className="contract-actions">
+            <button onClick={onClose} className="action-button danger">Cancel</button>
+          </div>
+        </div>
+      </div>
+    );
+  }
+
+  const choice = choices.find(c => c.name === choiceName) || choices[0];
+  const args = choice.args;
+  const payload = contract.payload || {};
+  // Unknown for choices the registry does not describe
+  const controllers = (choice.signatoriesControl || choice.controllers) ? choiceControllers(choice, contract) : null;
+  const notController = controllers !== null && !controllers.includes(partyIdentifier);
+  const notNow = choice.when && !choice.when(payload);
+
+  const selectChoice = (name) => {
+    setChoiceName(name);
+    setValues({});
+    setArgumentText(null);
+    setValidationError(null);
+    setSubmitError(null);
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    const parsed = args ? null : parseArgument(argumentText ?? argumentTemplate(choice));
+    const argument = args ? encodeFields(args, values) : parsed.argument;
+    const error = args
+      ? validateFields(args, values) || (choice.validate ? choice.validate(payload, argument) : null)
+      : parsed.error;
+    setValidationError(error);
+    setSubmitError(null);
+    if (error) {
+      return;
+    }
+
+    const outcome = await onSubmit(choice, argument, submission.current);
+    if (outcome.error) {
+      setSubmitError(`${choiceLabel(choice)} failed. ${outcome.error}`);
+    } else {
+      setResponse(outcome.result);
+    }
+  };
+
+  return (
+    <div className="dialog-backdrop" onClick={busy ? undefined : onClose}>
+      <div className="dialog" role="dialog" aria-label="Exercise a choice" onClick={(e) => e.stopPropagation()}>
+        <h3>Exercise a choice on {templateModuleEntity(template)}</h3>
+        <div className="contract-field">
+          <span className="field-label">Contract ID:</span>
+          <span className="field-value contract-id">{contract.contractId}</span>
+        </div>
+
+        {response ? (
+          <>
+            <ExerciseOutcome choice={choice} response={response} onOpenContract={onOpenContract} />
+            <div className="contract-actions">
+              <button onClick={onClose} className="action-button">Close</button>
+            </div>
+          </>
+        ) : (
+          <form className="panel-body" onSubmit={handleSubmit}>
+            <label className="dialog-field">
+              Choice
+              <select value={choice.name} onChange={(e) => selectChoice(e.target.value)} disabled={busy}>
+                {choices.map(c => (
+                  <option key={c.name} value={c.name}>
+                    {c.name}{signatureText(c) ? ` (${signatureText(c)})` : ''}
+                  </option>
+                ))}
+              </select>
+            </label>
+            {packageError && (
+              <p className="form-hint">
+                The template's package could not be read ({packageError}), so only the choices the
+                dashboard knows are offered.
+              </p>
+            )}
+
+            {(notController || notNow) && (
+              <div className="validation-warning">
+                {notController
+                  ? `Controlled by ${controllers.map(p => partyDisplayName(parties, p)).join(', ') || 'other parties'}; ` +
+                    'the ledger will likely reject it for you.'
+                  : `${choiceLabel(choice)} is not expected to succeed in this contract's current state.`}
+              </div>
+            )}
+            {validationError && <div className="validation-error">{validationError}</div>}
+            {submitError && <div className="error-banner">{submitError}</div>}
+
+            {!args ? (
+              <label className="dialog-field">
+                Argument <span className="field-type">JSON</span>
+                <textarea
+                  value={argumentText ?? argumentTemplate(choice)}
+                  onChange={(e) => setArgumentText(e.target.value)}
+                  rows={6}
+                  spellCheck={false}
+                  disabled={busy}
+                />
+                <span className="form-hint">
+                  {choice.signature
+                    ? `The form cannot edit every field of this argument (${signatureText(choice)}); ` +
+                      'write it as the JSON API expects it.'
+                    : 'The argument is a record from another package, so its fields are not known here; ' +
+                      'write it as the JSON API expects it.'}
+                </span>
+              </label>
+            ) : args.length === 0 ? (
+              <p className="form-hint">This choice takes no arguments.</p>
+            ) : args.map(arg => (
+              <label className="dialog-field" key={arg.name}>
+                {arg.label} <span className="field-type">{arg.type}</span>
+                <FieldInput
+                  field={arg}
+                  value={values[arg.name] ?? emptyValue(arg)}
+                  onChange={(value) => setValues({ ...values, [arg.name]: value })}
+                  parties={parties}
+                  loadingParties={loadingParties}
+                  exclude={(arg.excludeFields || []).map(name => payload[name])}
+                  disabled={busy}
+                />
+              </label>
+            ))}
+
+            <div className="contract-actions">
+              <button type="submit" disabled={busy} className={`action-button ${choice.style || ''}`}>
+                {busy ? 'Submitting...' : `Exercise ${choice.name}`}
+              </button>
+              <button type="button" onClick={onClose} disabled={busy} className="action-button danger">
+                Cancel
+              </button>
+            </div>
+          </form>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default ExerciseDialog;
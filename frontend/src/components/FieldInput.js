@@ -0,0 +1,53 @@
+import React from 'react';
+import PartySelect from './PartySelect';
+import { DECIMAL_STEP } from '../services/decimal';
+
+// Form control for one registry field, chosen by its Daml type
+function FieldInput({ field, value, onChange, parties, loadingParties, exclude, placeholder, disabled = false }) {
+  switch (field.type) {
+    case 'Party':
+      return (
+        <PartySelect
+          parties={parties}
+          loading={loadingParties}
+          value={value}
+          onChange={onChange}
+          exclude={exclude}
+          disabled={disabled}
+        />
+      );
+    case 'Decimal':
+      return (
+        <input
+          type="number"
+          step={DECIMAL_STEP}
+          min="0"
+          value={value}
+          onChange={(e) => onChange(e.target.value)}
+          placeholder={placeholder || field.label}
+          disabled={disabled}
+        />
+      );
+    case 'Bool':
+      return (
+        <input
+          type="checkbox"
+          checked={!!value}
+          onChange={(e) => onChange(e.target.checked)}
+          disabled={disabled}
+        />
+      );
+    default:
+      return (
+        <input
+          type="text"
+          value={value}
+          onChange={(e) => onChange(e.target.value)}
+          placeholder={placeholder || field.label}
+          disabled={disabled}
+        />
+      );
+  }
+}
+
+export default FieldInput;
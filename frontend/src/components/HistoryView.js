@@ -0,0 +1,153 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { listEntries, clearEntries, entriesToCsv, entriesToJson } from '../services/journal';
+import { downloadFile } from '../services/fileExport';
+
+// "<packageId>:<Module>:<Entity>" -> "Module:Entity"
+function shortTemplate(templateId) {
+  return templateId ? templateId.split(':').slice(1).join(':') : 'N/A';
+}
+
+// The session party's command journal with filters and JSON/CSV export
+function HistoryView({ client }) {
+  const party = client.getPartyIdentifier();
+  const [entries, setEntries] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [filters, setFilters] = useState({
+    kind: '',
+    status: '',
+    template: '',
+    search: ''
+  });
+
+  const loadEntries = useCallback(async () => {
+    setLoading(true);
+    try {
+      setEntries(await listEntries(party));
+    } catch (err) {
+      console.error('Failed to load journal:', err);
+    } finally {
+      setLoading(false);
+    }
+  }, [party]);
+
+  useEffect(() => {
+    loadEntries();
+  }, [loadEntries]);
+
+  const search = filters.search.trim().toLowerCase();
+  const filtered = entries.filter(entry =>
+    (!filters.kind || entry.kind === filters.kind) &&
+    (!filters.status || entry.status === filters.status) &&
+    (!filters.template || shortTemplate(entry.templateId) === filters.template) &&
+    (!search || [entry.choice, entry.contractId, entry.commandId, entry.templateId, entry.error, ...(entry.resultContractIds || [])]
+      .some(value => value && value.toLowerCase().includes(search)))
+  );
+  const templates = [...new Set(entries.map(entry => shortTemplate(entry.templateId)))].sort();
+  const exportName = `daml-journal-${client.getUserId()}-${new Date().toISOString().slice(0, 10)}`;
+
+  return (
+    <section className="contract-section history-view">
+      <h2 className="section-title">
+        Command History <span className="count-badge">({filtered.length})</span>
+      </h2>
+
+      <div className="filter-bar">
+        <select value={filters.kind} onChange={(e) => setFilters({ ...filters, kind: e.target.value })}>
+          <option value="">All commands</option>
+          <option value="create">Creates</option>
+          <option value="exercise">Exercises</option>
+        </select>
+        <select value={filters.status} onChange={(e) => setFilters({ ...filters, status: e.target.value })}>
+          <option value="">Any status</option>
+          <option value="succeeded">Succeeded</option>
+          <option value="failed">Failed</option>
+        </select>
+        <select value={filters.template} onChange={(e) => setFilters({ ...filters, template: e.target.value })}>
+          <option value="">All templates</option>
+          {templates.map(template => (
+            <option key={template} value={template}>{template}</option>
+          ))}
+        </select>
+        <input
+          type="text"
+          value={filters.search}
+          onChange={(e) => setFilters({ ...filters, search: e.target.value })}
+          placeholder="Search choice, contract or command ID, or error"
+        />
+      </div>
+
+      <div className="contract-actions">
+        <button onClick={loadEntries} disabled={loading} className="action-button">
+          {loading ? 'Loading...' : '🔄 Reload'}
+        </button>
+        <button
+          onClick={() => downloadFile(`${exportName}.json`, entriesToJson(filtered), 'application/json')}
+          disabled={filtered.length === 0}
+          className="action-button"
+        >
+          ⬇ Export JSON
+        </button>
+        <button
+          onClick={() => downloadFile(`${exportName}.csv`, entriesToCsv(filtered), 'text/csv')}
+          disabled={filtered.length === 0}
+          className="action-button"
+        >
+          ⬇ Export CSV
+        </button>
+        <button
+          onClick={async () => {
+            if (!window.confirm('Delete the whole command history for this party?')) return;
+            await clearEntries(party);
+            await loadEntries();
+          }}
+          disabled={entries.length === 0}
+          className="action-button danger"
+        >
+          ✕ Clear
+        </button>
+      </div>
+
+      {filtered.length === 0 ? (
+        <div className="empty-state">
+          {loading ? 'Loading history...' : 'No commands recorded for this party'}
+        </div>
+      ) : (
+        <div className="history-table-wrapper">
+          <table className="history-table">
+            <thead>
+              <tr>
+                <th>Completed</th>
+                <th>Command</th>
+                <th>Template</th>
+                <th>Target</th>
+                <th>Arguments</th>
+                <th>Resulting Contracts</th>
+                <th>Status</th>
+              </tr>
+            </thead>
+            <tbody>
+              {filtered.map(entry => (
+                <tr key={entry.id} className={entry.status}>
+                  <td>{new Date(entry.completedAt).toLocaleString()}</td>
+                  <td>{entry.kind === 'create' ? 'Create' : entry.choice}</td>
+                  <td>{shortTemplate(entry.templateId)}</td>
+                  <td className="contract-id">{entry.contractId || '—'}</td>
+                  <td><code>{JSON.stringify(entry.argument)}</code></td>
+                  <td className="contract-id">{(entry.resultContractIds || []).join(', ') || '—'}</td>
+                  <td>
+                    <span className={`status ${entry.status === 'succeeded' ? 'approved' : 'failed'}`}>
+                      {entry.status === 'succeeded' ? '✓ Succeeded' : '✕ Failed'}
+                    </span>
+                    {entry.error && <div className="history-error">{entry.error}</div>}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </section>
+  );
+}
+
+export default HistoryView;
@@ -0,0 +1,100 @@
+import React, { useState, useEffect } from 'react';
+import inbox, { describeActivity } from '../services/inbox';
+import { partyDisplayName } from './PartySelect';
+
+function NotificationToggle() {
+  const [enabled, setEnabled] = useState(() => inbox.notificationsEnabled());
+
+  if (!inbox.notificationsAvailable()) {
+    return <span className="form-hint">This browser cannot show notifications.</span>;
+  }
+  if (inbox.notificationsBlocked()) {
+    return <span className="form-hint">Notifications are blocked for this site in the browser settings.</span>;
+  }
+  return (
+    <label className="inbox-notifications" title="Alerts for new activity while this tab is in the background">
+      <input
+        type="checkbox"
+        checked={enabled}
+        onChange={async (e) => {
+          if (e.target.checked) {
+            setEnabled(await inbox.enableNotifications());
+          } else {
+            inbox.disableNotifications();
+            setEnabled(false);
+          }
+        }}
+      />
+      Browser notifications
+    </label>
+  );
+}
+
+// Activity other parties caused for the session's party (see services/inbox.js).
+// Everything shown counts as read; entries unread when they arrived stay highlighted.
+// parties are the dashboard's, for display names.
+function InboxView({ partyIdentifier, parties, onOpenContract }) {
+  const partyName = (identifier) => partyDisplayName(parties, identifier);
+  const [entries, setEntries] = useState(() => inbox.list(partyIdentifier));
+  // IDs of entries that were unread when shown
+  const [fresh, setFresh] = useState(() => new Set());
+
+  useEffect(() => {
+    const update = () => {
+      const listed = inbox.list(partyIdentifier);
+      const unread = listed.filter(entry => !entry.read).map(entry => entry.id);
+      if (unread.length > 0) {
+        setFresh(current => new Set([...current, ...unread]));
+        inbox.markRead(partyIdentifier);
+      }
+      setEntries(listed);
+    };
+    update();
+    return inbox.subscribe(update);
+  }, [partyIdentifier]);
+
+  return (
+    <section className="contract-section inbox-view">
+      <h2 className="section-title">
+        Inbox <span className="count-badge">({entries.length})</span>
+      </h2>
+
+      <div className="contract-actions">
+        <NotificationToggle />
+        <button
+          onClick={() => inbox.clear(partyIdentifier)}
+          disabled={entries.length === 0}
+          className="action-button danger"
+        >
+          ✕ Clear
+        </button>
+      </div>
+
+      {entries.length === 0 ? (
+        <div className="empty-state">
+          No activity yet. Tokens, escrows and collateral locks other parties send or change show up here.
+        </div>
+      ) : (
+        <ul className="inbox-list">
+          {entries.map(entry => (
+            <li key={entry.id} className={`inbox-entry${fresh.has(entry.id) ? ' unread' : ''}`}>
+              <span className="inbox-message">{describeActivity(entry, partyName)}</span>
+              <span className="inbox-meta">
+                {new Date(entry.at).toLocaleString()}
+                <button
+                  type="button"
+                  onClick={() => onOpenContract(entry.contractId)}
+                  className="link-button"
+                >
+                  View contract
+                </button>
+              </span>
+            </li>
+          ))}
+        </ul>
+      )}
+    </section>
+  );
+}
+
+export default InboxView;
@@ -0,0 +1,29 @@
+import React, { useState, useEffect } from 'react';
+import { currentRoute, href, navigate, subscribe } from '../services/router';
+
+// The current route (see services/router.js), re-rendering on navigation and back/forward
+export function useRoute() {
+  const [route, setRoute] = useState(currentRoute);
+  useEffect(() => subscribe(() => setRoute(currentRoute())), []);
+  return route;
+}
+
+// An anchor to an app-relative path that navigates without reloading the page.
+// Modified clicks (new tab, new window) are left to the browser.
+function Link({ to, replace = false, className, title, children }) {
+  const handleClick = (e) => {
+    if (e.button !== 0 || e.metaKey || e.ctrlKey || e.shiftKey || e.altKey) {
+      return;
+    }
+    e.preventDefault();
+    navigate(to, { replace });
+  };
+
+  return (
+    <a href={href(to)} onClick={handleClick} className={className} title={title}>
+      {children}
+    </a>
+  );
+}
+
+export default Link;
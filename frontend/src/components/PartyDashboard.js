@@ -0,0 +1,403 @@
+import React, { useState, useEffect, useCallback, useRef } from 'react';
+import { TEMPLATES, groupContracts, templateModuleEntity } from '../services/templates';
+import lineage from '../services/lineage';
+import inbox from '../services/inbox';
+import ClientContext from './ClientContext';
+import ContractCard from './ContractCard';
+import ContractSection from './ContractSection';
+import BulkIssueForm from './BulkIssueForm';
+import CreateContractForm from './CreateContractForm';
+import ExerciseDialog from './ExerciseDialog';
+import InboxView from './InboxView';
+import PortfolioView from './PortfolioView';
+import Link from './Link';
+import { useParties, partyDisplayName } from './PartySelect';
+import { paths } from '../services/router';
+
+// Contracts in which party fills any Party field of the template
+function involvingParty(template, contracts, party) {
+  const partyFields = template.fields.filter(field => field.type === 'Party');
+  return contracts.filter(contract => partyFields.some(field => (contract.payload || {})[field.name] === party));
+}
+
+function PartyHeading({ party, partyIdentifier, parties }) {
+  return (
+    <div className="page-heading">
+      <h2>
+        Contracts with {partyDisplayName(parties, party)}
+        {party === partyIdentifier && <span className="count-badge">you</span>}
+      </h2>
+      <span className="contract-id">{party}</span>
+      <Link to={paths.dashboard()}>← All contracts</Link>
+    </div>
+  );
+}
+
+// Contracts, create forms and choice menus for one session's party.
+// compact lays the sections out in a single column for the split view;
+// describeError turns DamlApi errors into messages for the user;
+// onOpenContract(contractId) shows a contract's detail page.
+// sectionKey limits the page to one template section; partyFilter to the contracts a party appears in.
+// inboxPage shows the party's inbox instead, while contracts are still loaded and streamed for it.
+// filterPrefix keeps the sections' URL filter parameters apart from other dashboards on the page.
+function PartyDashboard({
+  client,
+  compact = false,
+  filterPrefix = null,
+  sectionKey = null,
+  partyFilter = null,
+  inboxPage = false,
+  onStreamStatus,
+  describeError,
+  onOpenContract,
+}) {
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  // Active contracts per registry template key
+  const [contracts, setContracts] = useState(() => groupContracts([]));
+  // Whether the contract lists reflect a successful query; until then "no contracts" would be a lie
+  const [loaded, setLoaded] = useState(false);
+  // Loaded once here for every section, form and dialog rather than by each one
+  const { parties, loadingParties } = useParties(client);
+  // Registry key of the template whose create form is open, 'bulkTokens', or null
+  const [activeForm, setActiveForm] = useState(null);
+  const [showPortfolio, setShowPortfolio] = useState(false);
+  const [notice, setNotice] = useState(null);
+  // Choice currently running per contract ID, so each card shows its own loading state
+  const [busyContracts, setBusyContracts] = useState({});
+  // The same, updated synchronously: a contract stays locked until its command has settled
+  const busyRef = useRef(new Set());
+  // Contract the generic Exercise dialog is open for: { template, contract }, or null.
+  // Kept here rather than in the card, which disappears when the choice archives the contract.
+  const [exerciseTarget, setExerciseTarget] = useState(null);
+  // Bumped when contract lineage changes so cards show their previous contract
+  const [, setLineageVersion] = useState(0);
+
+  useEffect(() => lineage.subscribe(() => setLineageVersion(version => version + 1)), []);
+
+  // Show new inbox entries as browser notifications, with the ledger's party names
+  const notifyActivity = useCallback(async (entries) => {
+    if (entries.length === 0 || !inbox.notificationsEnabled()) return;
+    let parties = [];
+    try {
+      parties = (await client.getParties()).result || [];
+    } catch (err) {
+      console.warn('Failed to fetch parties for notifications:', err);
+    }
+    inbox.notify(entries, (identifier) => partyDisplayName(parties, identifier));
+  }, [client]);
+
+  const fetchAllContracts = useCallback(async () => {
+    if (!client.isAuthenticated()) return;
+
+    setLoading(true);
+    setError(null);
+    try {
+      // Query all registry templates and group them per template.
+      // On failure the last loaded contracts stay on screen next to the error.
+      const allContractsResult = await client.queryContracts([]);
+      lineage.remember(allContractsResult.result || []);
+      notifyActivity(inbox.observeContracts(client.getPartyIdentifier(), allContractsResult.result || []));
+      setContracts(groupContracts(allContractsResult.result || []));
+      setLoaded(true);
+    } catch (err) {
+      setError(describeError(err));
+      console.error('Failed to fetch contracts:', err);
+    } finally {
+      setLoading(false);
+    }
+  }, [client, describeError, notifyActivity]);
+
+  // Load the contracts when the dashboard opens and whenever its session's client changes
+  useEffect(() => {
+    fetchAllContracts();
+  }, [fetchAllContracts]);
+
+  // Apply created/archived events from the contract stream to the contract lists
+  const applyStreamEvents = useCallback((events) => {
+    const archivedIds = new Set(events.filter(e => e.archived).map(e => e.archived.contractId));
+    const created = groupContracts(events.filter(e => e.created).map(e => e.created));
+    lineage.recordStreamEvents(events);
+    notifyActivity(inbox.observeEvents(client.getPartyIdentifier(), events));
+
+    setContracts(current => {
+      let changed = false;
+      const next = {};
+      for (const template of TEMPLATES) {
+        const existing = current[template.key] || [];
+        const known = new Set(existing.map(c => c.contractId));
+        const added = created[template.key].filter(c => !known.has(c.contractId));
+        const kept = existing.filter(c => !archivedIds.has(c.contractId));
+        if (added.length === 0 && kept.length === existing.length) {
+          next[template.key] = existing;
+        } else {
+          next[template.key] = [...kept, ...added];
+          changed = true;
+        }
+      }
+      return changed ? next : current;
+    });
+  }, [client, notifyActivity]);
+
+  // Reload once the ledger connection comes back
+  useEffect(() => {
+    let wasUp = client.health.isUp();
+    return client.health.subscribe(() => {
+      const isUp = client.health.isUp();
+      if (isUp && !wasUp) {
+        fetchAllContracts();
+      }
+      wasUp = isUp;
+    });
+  }, [client, fetchAllContracts]);
+
+  useEffect(() => {
+    const closeStream = client.streamContracts({
+      onEvents: applyStreamEvents,
+      onStatus: (status) => onStreamStatus(client.sessionId, status),
+    });
+    return () => {
+      closeStream();
+      onStreamStatus(client.sessionId, 'offline');
+    };
+  }, [client, applyStreamEvents, onStreamStatus]);
+
+  // Exercise a choice while holding the contract's lock, link the contract it creates (if any)
+  // to this one and reload. Errors are thrown; returns null without submitting anything
+  // while another choice on the contract is still running. submission is the
+  // CommandSubmission of the card or dialog the choice was submitted from.
+  const exerciseLocked = async (contract, choice, argument, submission) => {
+    const { contractId } = contract;
+    if (busyRef.current.has(contractId)) {
+      return null;
+    }
+
+    busyRef.current.add(contractId);
+    setBusyContracts(busy => ({ ...busy, [contractId]: choice }));
+    try {
+      const result = await client.exerciseChoice(contractId, choice, argument, contract.templateId, { submission });
+      lineage.recordExercise(contract, choice, result);
+      await fetchAllContracts();
+      return result;
+    } finally {
+      busyRef.current.delete(contractId);
+      setBusyContracts(busy => {
+        const { [contractId]: _done, ...rest } = busy;
+        return rest;
+      });
+    }
+  };
+
+  const runChoice = async (contract, choice, argument, submission) => {
+    setError(null);
+    setNotice(null);
+    try {
+      return await exerciseLocked(contract, choice, argument, submission);
+    } catch (err) {
+      setError(`${choice} failed. ${describeError(err)}`);
+      console.error(`Failed to exercise ${choice}:`, err);
+      return null;
+    }
+  };
+
+  // Run a choice from a contract card's menu and report the outcome in the banners
+  const exerciseFromCard = async (template, contract, choice, argument, partyName, submission) => {
+    const result = await runChoice(contract, choice.name, argument, submission);
+    if (!result) {
+      return false;
+    }
+
+    const exerciseResult = result.result?.exerciseResult;
+    const newContractId = typeof exerciseResult === 'string' ? exerciseResult : null;
+
+    const summary = choice.describeSuccess
+      ? choice.describeSuccess(contract.payload || {}, argument, partyName)
+      : `${choice.label || choice.name} succeeded.`;
+    setNotice(newContractId ? `${summary} New contract ID: ${newContractId}` : summary);
+    return true;
+  };
+
+  // Run a choice from the generic Exercise dialog, which shows the outcome itself:
+  // { result } with the JSON API response, or { error } with a message for the user
+  const exerciseFromDialog = async (contract, choice, argument, submission) => {
+    try {
+      const result = await exerciseLocked(contract, choice.name, argument, submission);
+      return result
+        ? { result }
+        : { error: 'Another choice on this contract is still running; wait for it to finish.' };
+    } catch (err) {
+      console.error(`Failed to exercise ${choice.name}:`, err);
+      return { error: describeError(err) };
+    }
+  };
+
+  const toggleForm = (form) => {
+    setActiveForm(activeForm === form ? null : form);
+  };
+
+  const submitCreate = async (template, payload, submission) => {
+    setLoading(true);
+    setError(null);
+    setNotice(null);
+    try {
+      await client.createWithPackageDiscovery(templateModuleEntity(template), payload, { submission });
+      setActiveForm(null);
+      await fetchAllContracts();
+    } catch (err) {
+      setError(describeError(err));
+      console.error(`Failed to create ${template.create.title}:`, err);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const partyIdentifier = client.getPartyIdentifier();
+  const sections = sectionKey ? TEMPLATES.filter(template => template.key === sectionKey) : TEMPLATES;
+
+  if (inboxPage) {
+    return (
+      <ClientContext.Provider value={client}>
+        <div className="party-dashboard">
+          {error && <div className="error-banner">{error}</div>}
+          <InboxView partyIdentifier={partyIdentifier} parties={parties} onOpenContract={onOpenContract} />
+        </div>
+      </ClientContext.Provider>
+    );
+  }
+
+  return (
+    <ClientContext.Provider value={client}>
+      <div className={`party-dashboard${compact ? ' compact' : ''}`}>
+        {partyFilter && <PartyHeading party={partyFilter} partyIdentifier={partyIdentifier} parties={parties} />}
+        {sectionKey && (
+          <div className="page-heading">
+            <Link to={paths.dashboard()}>← All sections</Link>
+          </div>
+        )}
+        {error && <div className="error-banner">{error}</div>}
+        {notice && <div className="success-banner">{notice}</div>}
+
+        <div className="controls">
+          <button 
+            onClick={fetchAllContracts} 
+            disabled={loading}
+            className="refresh-button"
+          >
+            {loading ? 'Refreshing...' : '🔄 Refresh Contracts'}
+          </button>
+          <button 
+            onClick={() => {
+              client.clearPackageCache();
+              fetchAllContracts();
+            }}
+            className="clear-cache-button"
+            title="Clear package ID cache and refresh"
+          >
+            🔄 Clear Cache
+          </button>
+          <button
+            onClick={() => setShowPortfolio(!showPortfolio)}
+            className="portfolio-button"
+          >
+            {showPortfolio ? '✕ Hide Portfolio' : '📊 Portfolio'}
+          </button>
+          {TEMPLATES.filter(template => template.create).map(template => (
+            <button 
+              key={template.key}
+              onClick={() => toggleForm(template.key)}
+              className="create-button"
+            >
+              {activeForm === template.key ? '✕ Cancel' : `➕ Create ${template.create.title}`}
+            </button>
+          ))}
+          <button
+            onClick={() => toggleForm('bulkTokens')}
+            className="create-button"
+          >
+            {activeForm === 'bulkTokens' ? '✕ Cancel' : '📥 Bulk Issue Tokens'}
+          </button>
+        </div>
+
+        {activeForm === 'bulkTokens' && (
+          <BulkIssueForm
+            partyIdentifier={partyIdentifier}
+            parties={parties}
+            loadingParties={loadingParties}
+            describeError={describeError}
+            onFinished={fetchAllContracts}
+            onCancel={() => setActiveForm(null)}
+          />
+        )}
+
+        {TEMPLATES.filter(template => template.create && activeForm === template.key).map(template => (
+          <CreateContractForm
+            key={template.key}
+            template={template}
+            partyIdentifier={partyIdentifier}
+            parties={parties}
+            loadingParties={loadingParties}
+            onSubmit={(payload, submission) => submitCreate(template, payload, submission)}
+            onCancel={() => setActiveForm(null)}
+          />
+        ))}
+
+        {showPortfolio && (
+          <PortfolioView contracts={contracts} partyIdentifier={partyIdentifier} parties={parties} />
+        )}
+
+        {exerciseTarget && (
+          <ExerciseDialog
+            template={exerciseTarget.template}
+            contract={exerciseTarget.contract}
+            partyIdentifier={partyIdentifier}
+            parties={parties}
+            loadingParties={loadingParties}
+            busy={!!busyContracts[exerciseTarget.contract.contractId]}
+            onSubmit={(choice, argument, submission) =>
+              exerciseFromDialog(exerciseTarget.contract, choice, argument, submission)}
+            onOpenContract={(contractId) => {
+              setExerciseTarget(null);
+              onOpenContract(contractId);
+            }}
+            onClose={() => setExerciseTarget(null)}
+          />
+        )}
+
+        <div className="contracts-grid">
+          {sections.map(template => (
+            <ContractSection
+              key={template.key}
+              title={sectionKey ? template.title : <Link to={paths.section(template.key)}>{template.title}</Link>}
+              template={template}
+              filterKey={filterPrefix ? `${filterPrefix}.${template.key}` : template.key}
+              parties={parties}
+              partyIdentifier={partyIdentifier}
+              contracts={partyFilter
+                ? involvingParty(template, contracts[template.key] || [], partyFilter)
+                : contracts[template.key] || []}
+              renderContract={(contract) => (
+                <ContractCard
+                  template={template}
+                  contract={contract}
+                  partyIdentifier={partyIdentifier}
+                  parties={parties}
+                  loadingParties={loadingParties}
+                  previousContractId={lineage.previous(contract.contractId)?.from}
+                  busyChoice={busyContracts[contract.contractId]}
+                  onExercise={exerciseFromCard}
+                  onOpenExerciseDialog={() => setExerciseTarget({ template, contract })}
+                  onOpenContract={onOpenContract}
+                />
+              )}
+              emptyMessage={loaded
+                ? template.emptyMessage
+                : loading ? 'Loading contracts...' : 'Contracts could not be loaded'}
+            />
+          ))}
+        </div>
+      </div>
+    </ClientContext.Provider>
+  );
+}
+
+export default PartyDashboard;
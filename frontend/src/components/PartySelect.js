@@ -0,0 +1,66 @@
+import React, { useState, useEffect } from 'react';
+import { useClient } from './ClientContext';
+
+// Fetch the parties known to the ledger for party pickers, through the session's
+// client from ClientContext unless one is given
+export function useParties(sessionClient = null) {
+  const contextClient = useClient();
+  const client = sessionClient || contextClient;
+  const [parties, setParties] = useState([]);
+  const [loadingParties, setLoadingParties] = useState(true);
+
+  useEffect(() => {
+    const fetchParties = async () => {
+      try {
+        const data = await client.getParties();
+        setParties(data.result || []);
+      } catch (err) {
+        console.error('Failed to fetch parties:', err);
+      } finally {
+        setLoadingParties(false);
+      }
+    };
+    fetchParties();
+  }, [client]);
+
+  return { parties, loadingParties };
+}
+
+export function partyDisplayName(parties, identifier) {
+  const party = parties.find(p => p.identifier === identifier);
+  return party?.displayName || identifier;
+}
+
+function PartySelect({ parties, loading, value, onChange, exclude = [], disabled = false }) {
+  if (loading) {
+    return (
+      <input
+        type="text"
+        value={value}
+        onChange={(e) => onChange(e.target.value)}
+        placeholder="Loading parties..."
+        disabled
+      />
+    );
+  }
+
+  return (
+    <select
+      value={value}
+      onChange={(e) => onChange(e.target.value)}
+      disabled={disabled}
+      required
+    >
+      <option value="">Select a party...</option>
+      {parties
+        .filter(party => !exclude.includes(party.identifier))
+        .map((party) => (
+          <option key={party.identifier} value={party.identifier}>
+            {party.displayName || party.identifier}
+          </option>
+        ))}
+    </select>
+  );
+}
+
+export default PartySelect;
@@ -0,0 +1,108 @@
+import React from 'react';
+import { computePortfolio } from '../services/portfolio';
+import { displayDecimal } from '../services/decimal';
+import { partyDisplayName } from './PartySelect';
+
+function TotalsTable({ columns, rows, emptyMessage }) {
+  if (rows.length === 0) {
+    return <div className="empty-state">{emptyMessage}</div>;
+  }
+  return (
+    <table className="summary-table">
+      <thead>
+        <tr>
+          {columns.map(column => <th key={column.label}>{column.label}</th>)}
+        </tr>
+      </thead>
+      <tbody>
+        {rows.map((row, i) => (
+          <tr key={i}>
+            {columns.map(column => <td key={column.label}>{column.render(row)}</td>)}
+          </tr>
+        ))}
+      </tbody>
+    </table>
+  );
+}
+
+// Portfolio totals for the session's party, from the dashboard's grouped contracts and parties
+function PortfolioView({ contracts, partyIdentifier, parties }) {
+  const partyName = (identifier) => partyDisplayName(parties, identifier);
+  const portfolio = computePortfolio(contracts, partyIdentifier);
+
+  const escrowRows = ['sending', 'receiving'].flatMap(direction =>
+    ['pending', 'approved'].map(status => ({ direction, status, ...portfolio.escrows[direction][status] }))
+  );
+
+  return (
+    <section className="contract-section portfolio-view">
+      <h2 className="section-title">Portfolio</h2>
+
+      <div className="portfolio-grid">
+        <div>
+          <h3>Token Holdings</h3>
+          <TotalsTable
+            columns={[
+              { label: 'Issuer', render: (row) => partyName(row.issuer) },
+              { label: 'Contracts', render: (row) => row.count },
+              { label: 'Total', render: (row) => <span className="amount">{displayDecimal(row.total)}</span> },
+            ]}
+            rows={portfolio.holdings}
+            emptyMessage="You hold no tokens"
+          />
+        </div>
+
+        <div>
+          <h3>Tokens Issued to Others</h3>
+          <TotalsTable
+            columns={[
+              { label: 'Owner', render: (row) => partyName(row.owner) },
+              { label: 'Contracts', render: (row) => row.count },
+              { label: 'Total', render: (row) => <span className="amount">{displayDecimal(row.total)}</span> },
+            ]}
+            rows={portfolio.issued}
+            emptyMessage="You have not issued tokens to other parties"
+          />
+        </div>
+
+        <div>
+          <h3>Escrows</h3>
+          <TotalsTable
+            columns={[
+              { label: 'Direction', render: (row) => (row.direction === 'sending' ? 'Sending' : 'Receiving') },
+              {
+                label: 'Status',
+                render: (row) => (
+                  <span className={`status ${row.status}`}>
+                    {row.status === 'approved' ? '✓ Approved' : '⏳ Pending'}
+                  </span>
+                ),
+              },
+              { label: 'Contracts', render: (row) => row.count },
+              { label: 'Total', render: (row) => <span className="amount">{displayDecimal(row.total)}</span> },
+            ]}
+            rows={escrowRows}
+            emptyMessage="No escrows"
+          />
+        </div>
+
+        <div>
+          <h3>Locked Collateral</h3>
+          <TotalsTable
+            columns={[
+              { label: 'Custodian', render: (row) => partyName(row.custodian) },
+              { label: 'Asset', render: (row) => row.asset },
+              { label: 'Locked', render: (row) => <span className="amount">{displayDecimal(row.total)}</span> },
+              { label: 'Minimum', render: (row) => displayDecimal(row.minimum) },
+              { label: 'Headroom', render: (row) => displayDecimal(row.headroom) },
+            ]}
+            rows={portfolio.collateral}
+            emptyMessage="You have no collateral locked"
+          />
+        </div>
+      </div>
+    </section>
+  );
+}
+
+export default PortfolioView;
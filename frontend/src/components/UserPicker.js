@@ -0,0 +1,94 @@
+import React, { useState, useEffect } from 'react';
+import sessions from '../services/sessions';
+
+function shortParty(party) {
+  // Party IDs are "<hint>::<fingerprint>"; the hint is enough to tell them apart here
+  return party.split('::')[0];
+}
+
+// Ledger users to log in as, with their primary party and rights,
+// plus a field to log in as any other user ID. token is the one pasted on the login
+// screen, if any; the users are listed again when it changes.
+function UserPicker({ loading, token, onLogin }) {
+  const [users, setUsers] = useState([]);
+  const [loadingUsers, setLoadingUsers] = useState(true);
+  const [usersError, setUsersError] = useState(null);
+  const [otherUserId, setOtherUserId] = useState('');
+
+  useEffect(() => {
+    const lobby = sessions.lobbyClient();
+    let cancelled = false;
+    setUsers([]);
+    setUsersError(null);
+
+    // Without a pasted token there is nothing to ask the ledger with
+    if (lobby.tokenProvider.kind === 'external' && lobby.tokenProvider.needsToken()) {
+      setUsersError('Paste an access token to list the ledger users, or enter a user ID below.');
+      setLoadingUsers(false);
+      return;
+    }
+
+    const fetchUsers = async () => {
+      setLoadingUsers(true);
+      try {
+        const ledgerUsers = await lobby.listUsers();
+        // Users without any party to act as cannot use the dashboard
+        if (!cancelled) setUsers(ledgerUsers.filter(user => user.actAs.length > 0));
+      } catch (err) {
+        if (!cancelled) setUsersError('Could not list ledger users. Enter a user ID below.');
+        console.error('Failed to list users:', err);
+      } finally {
+        if (!cancelled) setLoadingUsers(false);
+      }
+    };
+    fetchUsers();
+    return () => { cancelled = true; };
+  }, [token]);
+
+  const handleOtherLogin = (e) => {
+    e.preventDefault();
+    if (otherUserId.trim()) {
+      onLogin(otherUserId.trim());
+    }
+  };
+
+  return (
+    <div className="user-picker">
+      {loadingUsers && <p className="subtitle">Loading ledger users...</p>}
+      {usersError && <p className="form-hint">{usersError}</p>}
+      <div className="login-buttons">
+        {users.map(user => (
+          <button
+            key={user.userId}
+            onClick={() => onLogin(user.userId)}
+            disabled={loading}
+            className="login-button user-button"
+          >
+            <span>{loading ? 'Connecting...' : `Login as ${user.userId}`}</span>
+            <small title={user.primaryParty || ''}>
+              {user.primaryParty ? `Primary party: ${shortParty(user.primaryParty)}` : 'No primary party'}
+            </small>
+            <small>Act as: {user.actAs.map(shortParty).join(', ')}</small>
+            {user.readAs.length > 0 && (
+              <small>Read as: {user.readAs.map(shortParty).join(', ')}</small>
+            )}
+          </button>
+        ))}
+      </div>
+      <form onSubmit={handleOtherLogin} className="other-user-form">
+        <input
+          type="text"
+          value={otherUserId}
+          onChange={(e) => setOtherUserId(e.target.value)}
+          placeholder="Other user ID"
+          disabled={loading}
+        />
+        <button type="submit" disabled={loading || !otherUserId.trim()} className="login-button">
+          Login
+        </button>
+      </form>
+    </div>
+  );
+}
+
+export default UserPicker;
@@ -0,0 +1,41 @@
+// Stand-in for the browser WebSocket in tests of the contract stream. Every socket the
+// code opens is kept in FakeWebSocket.sockets; the test plays the JSON API's side
+// through open(), receive() and serverClose(). Sent messages are parsed into `sent`.
+//
+// Install with global.WebSocket = FakeWebSocket and call FakeWebSocket.reset() between tests.
+export class FakeWebSocket {
+  static sockets = [];
+
+  static reset() {
+    FakeWebSocket.sockets = [];
+  }
+
+  constructor(url, protocols) {
+    this.url = url;
+    this.protocols = protocols;
+    this.sent = [];
+    this.closed = false;
+    FakeWebSocket.sockets.push(this);
+  }
+
+  send(data) {
+    this.sent.push(JSON.parse(data));
+  }
+
+  close() {
+    this.closed = true;
+  }
+
+  open() {
+    this.onopen?.();
+  }
+
+  receive(message) {
+    this.onmessage?.({ data: typeof message === 'string' ? message : JSON.stringify(message) });
+  }
+
+  serverClose() {
+    this.closed = true;
+    this.onclose?.();
+  }
+}
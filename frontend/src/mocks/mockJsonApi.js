@@ -0,0 +1,681 @@
+// In-memory stand-in for the Daml JSON API (v1) serving our four templates, for
+// integration tests and offline development. It models what the dashboard relies on:
+//   - users and rights (/v1/user, /v1/users, /v1/user/rights), parties (/v1/parties)
+//   - packages (/v1/packages, /v1/packages/<id> as DALF bytes readable by damlLf.js)
+//   - /v1/query, /v1/fetch, /v1/create and /v1/exercise with signatory/observer visibility,
+//     authorization checks, consuming choices that archive and recreate, and the
+//     templates' `ensure` and `assert` failures reported like a real participant would
+//   - command deduplication by meta.commandId, and /livez and /readyz
+// Tokens are decoded but not verified: both custom Daml claims and audience-based
+// user tokens (sub = user ID) are accepted.
+//
+// Use ledger.fetch in place of window.fetch, or serve it over HTTP with cli/mock-ledger.mjs.
+import { decodeTokenClaims } from '../services/tokenProviders';
+import { addDecimals, compareDecimals, isDecimal, normalizeDecimal, subtractDecimals } from '../services/decimal';
+
+const DAML_CLAIMS_NAMESPACE = 'https://daml.com/ledger-api';
+const PACKAGE_NAME = 'hello-canton';
+const PACKAGE_VERSION = '0.0.1';
+const DEFAULT_DEDUPLICATION_MS = 10 * 60 * 1000;
+
+const DEFAULT_PARTIES = [
+  { identifier: 'Alice::1220a1', displayName: 'Alice' },
+  { identifier: 'Bob::1220b2', displayName: 'Bob' },
+  { identifier: 'Carol::1220c3', displayName: 'Carol' },
+];
+
+const DEFAULT_USERS = [
+  { userId: 'participant_admin', primaryParty: null, rights: [{ type: 'ParticipantAdmin' }] },
+  { userId: 'alice', primaryParty: 'Alice::1220a1', rights: [{ type: 'CanActAs', party: 'Alice::1220a1' }] },
+  { userId: 'bob', primaryParty: 'Bob::1220b2', rights: [{ type: 'CanActAs', party: 'Bob::1220b2' }] },
+  { userId: 'carol', primaryParty: 'Carol::1220c3', rights: [{ type: 'CanActAs', party: 'Carol::1220c3' }] },
+];
+
+// ---------------------------------------------------------------------------
+// Template model, mirroring daml/*.daml
+
+class LedgerError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+function assertionFailed() {
+  return new LedgerError(409,
+    'UNHANDLED_EXCEPTION(9,mock): Interpretation error: Error: Unhandled Daml exception: ' +
+    'DA.Exception.AssertionFailed:AssertionFailed@3f4deaf1{ message = "Assertion failed" }');
+}
+
+function preconditionViolated(templateName) {
+  return new LedgerError(400,
+    `DAML_INTERPRETATION_ERROR(9,mock): Interpretation error: Error: Template precondition violated in ${templateName}`);
+}
+
+// fields: name -> 'Party' | 'Decimal' | 'Text' | 'Bool'
+// choices: name -> { controllers(payload), args, run(payload, argument) -> { create?: payload } }
+// ensure(payload) -> bool
+const TEMPLATE_MODEL = {
+  'SimpleToken:SimpleToken': {
+    fields: { issuer: 'Party', owner: 'Party', amount: 'Decimal' },
+    signatories: (p) => [p.issuer],
+    observers: (p) => [p.owner],
+    ensure: () => true,
+    choices: {
+      Transfer: {
+        args: { newOwner: 'Party' },
+        controllers: (p) => [p.owner],
+        run: (p, a) => ({ create: { ...p, owner: a.newOwner } }),
+      },
+    },
+  },
+  'Escrow:Escrow': {
+    fields: { sender: 'Party', receiver: 'Party', amount: 'Decimal', isApproved: 'Bool', note: 'Text' },
+    signatories: (p) => [p.sender],
+    observers: (p) => [p.receiver],
+    ensure: () => true,
+    choices: {
+      Approve: {
+        args: {},
+        controllers: (p) => [p.sender],
+        run: (p) => ({ create: { ...p, isApproved: true } }),
+      },
+      Claim: {
+        args: {},
+        controllers: (p) => [p.receiver],
+        run: (p) => {
+          if (!p.isApproved) throw assertionFailed();
+          return {};
+        },
+      },
+      Cancel: {
+        args: {},
+        controllers: (p) => [p.sender],
+        run: (p) => {
+          if (p.isApproved) throw assertionFailed();
+          return {};
+        },
+      },
+    },
+  },
+  'CollateralLock:CollateralLock': {
+    fields: { owner: 'Party', custodian: 'Party', asset: 'Text', amount: 'Decimal', minCollateralAmount: 'Decimal' },
+    signatories: (p) => [p.owner, p.custodian],
+    observers: () => [],
+    ensure: (p) => compareDecimals(p.amount, p.minCollateralAmount) >= 0,
+    choices: {
+      AddCollateral: {
+        args: { addAmount: 'Decimal' },
+        controllers: (p) => [p.owner],
+        run: (p, a) => ({
+          create: { ...p, amount: addDecimals(p.amount, a.addAmount) },
+        }),
+      },
+      Withdraw: {
+        args: { withdrawAmount: 'Decimal' },
+        controllers: (p) => [p.owner],
+        run: (p, a) => {
+          const remaining = subtractDecimals(p.amount, a.withdrawAmount);
+          if (compareDecimals(remaining, p.minCollateralAmount) < 0) throw assertionFailed();
+          return { create: { ...p, amount: remaining } };
+        },
+      },
+      Release: { args: {}, controllers: (p) => [p.custodian], run: () => ({}) },
+      Liquidate: { args: {}, controllers: (p) => [p.custodian], run: () => ({}) },
+    },
+  },
+  'Main:Asset': {
+    fields: { issuer: 'Party', owner: 'Party', name: 'Text' },
+    signatories: (p) => [p.issuer],
+    observers: (p) => [p.owner],
+    ensure: (p) => p.name !== '',
+    choices: {
+      Give: {
+        args: { newOwner: 'Party' },
+        controllers: (p) => [p.owner],
+        run: (p, a) => ({ create: { ...p, owner: a.newOwner } }),
+      },
+    },
+  },
+};
+
+// ---------------------------------------------------------------------------
+// DALF encoding: just enough protobuf for damlLf.js's readPackageSummary. Like the Daml
+// compiler, every template gets an Archive choice whose argument record lives in the
+// standard library package, and choice arguments are records named after their choice.
+
+// Daml-LF PrimType values of the model's field types
+const PRIM_TYPES = { Bool: 1, Text: 5, Party: 8, Decimal: 17 };
+const STDLIB_PACKAGE_ID = 'daml-stdlib';
+
+function varint(value) {
+  const bytes = [];
+  let rest = value;
+  do {
+    let byte = rest % 128;
+    rest = Math.floor(rest / 128);
+    if (rest > 0) byte += 128;
+    bytes.push(byte);
+  } while (rest > 0);
+  return bytes;
+}
+
+function varintField(field, value) {
+  return [...varint(field * 8), ...varint(value)];
+}
+
+function bytesField(field, bytes) {
+  return [...varint(field * 8 + 2), ...varint(bytes.length), ...bytes];
+}
+
+function stringBytes(text) {
+  return Array.from(new TextEncoder().encode(text));
+}
+
+// An archive for a package with the given metadata (or none) and "Module:Entity" templates
+// from TEMPLATE_MODEL
+function encodeArchive(packageId, { name, version, templates }) {
+  const strings = [];
+  const intern = (text) => {
+    if (!strings.includes(text)) strings.push(text);
+    return strings.indexOf(text);
+  };
+  const dottedNames = [];
+  const internDotted = (dotted) => {
+    const segments = dotted.split('.').map(intern);
+    const key = segments.join('.');
+    const index = dottedNames.findIndex(existing => existing.join('.') === key);
+    if (index >= 0) return index;
+    dottedNames.push(segments);
+    return dottedNames.length - 1;
+  };
+  // Types are interned too; a Type message in a field is just { interned = 10 }
+  const types = [];
+  const internType = (type) => {
+    types.push(type);
+    return varintField(10, types.length - 1);
+  };
+  const primType = (fieldType) => internType(bytesField(3, varintField(1, PRIM_TYPES[fieldType])));
+  const conType = (packageRef, moduleName, entityName) => internType(bytesField(2, bytesField(1, [
+    ...bytesField(1, [...bytesField(1, packageRef), ...varintField(3, internDotted(moduleName))]),
+    ...varintField(3, internDotted(entityName)),
+  ])));
+
+  const modules = new Map();
+  for (const template of templates) {
+    const [moduleName, entityName] = template.split(':');
+    if (!modules.has(moduleName)) modules.set(moduleName, []);
+    modules.get(moduleName).push(entityName);
+  }
+
+  const archiveType = conType(bytesField(2, stringBytes(STDLIB_PACKAGE_ID)), 'DA.Internal.Template', 'Archive');
+  const encodeChoice = (choiceName, argumentType) => [
+    ...varintField(9, intern(choiceName)),
+    ...varintField(2, 1),
+    ...bytesField(4, [...varintField(3, intern('arg')), ...bytesField(2, argumentType)]),
+  ];
+
+  const metadata = name ? [...varintField(1, intern(name)), ...varintField(2, intern(version))] : null;
+  const moduleMessages = [...modules].map(([moduleName, entities]) => {
+    const dataTypes = [];
+    const templateMessages = entities.map(entity => {
+      const choices = Object.entries(TEMPLATE_MODEL[`${moduleName}:${entity}`].choices).map(([choiceName, choice]) => {
+        const fields = Object.entries(choice.args).map(([fieldName, fieldType]) =>
+          [...varintField(3, intern(fieldName)), ...bytesField(2, primType(fieldType))]);
+        dataTypes.push([
+          ...varintField(8, internDotted(choiceName)),
+          ...bytesField(3, fields.flatMap(field => bytesField(1, field))),
+        ]);
+        return encodeChoice(choiceName, conType(bytesField(1, []), moduleName, choiceName));
+      });
+      choices.push(encodeChoice('Archive', archiveType));
+      return [
+        ...varintField(12, internDotted(entity)),
+        ...choices.flatMap(choice => bytesField(7, choice)),
+      ];
+    });
+    return [
+      ...varintField(3, internDotted(moduleName)),
+      ...dataTypes.flatMap(dataType => bytesField(4, dataType)),
+      ...templateMessages.flatMap(template => bytesField(6, template)),
+    ];
+  });
+
+  const pkg = [
+    ...moduleMessages.flatMap(module => bytesField(1, module)),
+    ...strings.flatMap(text => bytesField(2, stringBytes(text))),
+    ...dottedNames.flatMap(segments => bytesField(3, bytesField(1, segments.flatMap(varint)))),
+    ...(metadata ? bytesField(4, metadata) : []),
+    ...types.flatMap(type => bytesField(5, type)),
+  ];
+  const payload = [...bytesField(2, pkg), ...bytesField(3, stringBytes('14'))];
+  return new Uint8Array([...bytesField(3, payload), ...bytesField(4, stringBytes(packageId))]);
+}
+
+// Deterministic 64-hex-digit stand-in for a package hash
+function fakePackageId(seed) {
+  let hex = '';
+  let state = 2166136261;
+  while (hex.length < 64) {
+    for (const char of seed) {
+      state = Math.imul(state ^ char.charCodeAt(0), 16777619) >>> 0;
+    }
+    hex += state.toString(16).padStart(8, '0');
+  }
+  return hex.slice(0, 64);
+}
+
+// ---------------------------------------------------------------------------
+
+function jsonResponse(status, body) {
+  const text = JSON.stringify(body);
+  return {
+    ok: status >= 200 && status < 300,
+    status,
+    headers: { get: (name) => (name.toLowerCase() === 'content-type' ? 'application/json' : null) },
+    json: async () => JSON.parse(text),
+    text: async () => text,
+    arrayBuffer: async () => new TextEncoder().encode(text).buffer,
+  };
+}
+
+function bytesResponse(bytes) {
+  return {
+    ok: true,
+    status: 200,
+    headers: { get: (name) => (name.toLowerCase() === 'content-type' ? 'application/octet-stream' : null) },
+    json: async () => { throw new Error('Not JSON'); },
+    text: async () => new TextDecoder().decode(bytes),
+    arrayBuffer: async () => bytes.buffer.slice(bytes.byteOffset, bytes.byteOffset + bytes.byteLength),
+  };
+}
+
+function errorBody(status, message) {
+  return { errors: [message], status };
+}
+
+export class MockJsonApi {
+  constructor({ parties = DEFAULT_PARTIES, users = DEFAULT_USERS } = {}) {
+    this.parties = parties.map(party => ({ isLocal: true, ...party }));
+    this.users = new Map(users.map(user => [user.userId, { ...user }]));
+    this.packageId = fakePackageId(`${PACKAGE_NAME}-${PACKAGE_VERSION}`);
+    const templates = Object.keys(TEMPLATE_MODEL);
+    // Listed oldest first, like the JSON API: a stdlib-like package without metadata,
+    // an older build of our DAR, then the current one
+    this.packages = new Map([
+      [fakePackageId('daml-prim'), { name: null, version: null, templates: [] }],
+      [fakePackageId(`${PACKAGE_NAME}-0.0.0`), { name: PACKAGE_NAME, version: '0.0.0', templates }],
+      [this.packageId, { name: PACKAGE_NAME, version: PACKAGE_VERSION, templates }],
+    ]);
+    // Active contracts by contract ID
+    this.contracts = new Map();
+    this.archived = new Set();
+    this.nextContractNumber = 1;
+    // "<commandId>|<actAs>" -> time the command was accepted
+    this.commandIds = new Map();
+    // When false, every request fails as if the server were down
+    this.reachable = true;
+    // Number of upcoming commands whose response is lost after the ledger applied them
+    this.dropResponses = 0;
+    this.requests = [];
+
+    this.fetch = this.fetch.bind(this);
+  }
+
+  // --- test helpers ---------------------------------------------------------
+
+  templateId(moduleEntity) {
+    return `${this.packageId}:${moduleEntity}`;
+  }
+
+  partyId(displayName) {
+    return this.parties.find(party => party.displayName === displayName).identifier;
+  }
+
+  // Create a contract directly, skipping authorization (e.g. multi-signatory setup)
+  seed(moduleEntity, payload) {
+    return this.createContract(this.templateId(moduleEntity), TEMPLATE_MODEL[moduleEntity], payload);
+  }
+
+  // Let a user act as another party too, e.g. as both signatories of a CollateralLock
+  grantActAs(userId, displayName) {
+    const user = this.users.get(userId);
+    user.rights = [...user.rights, { type: 'CanActAs', party: this.partyId(displayName) }];
+  }
+
+  activeContracts() {
+    return [...this.contracts.values()];
+  }
+
+  // --- fetch adapter --------------------------------------------------------
+
+  async fetch(url, options = {}) {
+    const method = (options.method || 'GET').toUpperCase();
+    const path = new URL(url, 'http://mock.invalid').pathname;
+    this.requests.push({ method, path });
+
+    if (!this.reachable) {
+      throw new TypeError('Failed to fetch');
+    }
+
+    const headers = options.headers || {};
+    const authorization = headers.Authorization || headers.authorization || null;
+    const body = options.body ? JSON.parse(options.body) : null;
+    const { status, body: responseBody, bytes } = this.handle(method, path, authorization, body);
+
+    if (this.dropResponses > 0 && (path === '/v1/create' || path === '/v1/exercise')) {
+      this.dropResponses -= 1;
+      throw new TypeError('Failed to fetch');
+    }
+    return bytes ? bytesResponse(bytes) : jsonResponse(status, responseBody);
+  }
+
+  // Route one request; returns { status, body } or { status, bytes }
+  handle(method, path, authorization, body) {
+    try {
+      if (path === '/livez' || path === '/readyz') {
+        return { status: 200, body: { status: 'pass' } };
+      }
+
+      const claims = this.authenticate(authorization);
+      const route = `${method} ${path}`;
+
+      switch (route) {
+        case 'GET /v1/parties':
+          return this.ok(this.parties);
+        case 'GET /v1/packages':
+          return this.ok([...this.packages.keys()]);
+        case 'GET /v1/users':
+          this.requireAdmin(claims);
+          return this.ok([...this.users.values()].map(({ userId, primaryParty }) => ({ userId, primaryParty })));
+        case 'POST /v1/user':
+          this.requireAdmin(claims);
+          return this.ok(this.userRecord(this.findUser(body.userId)));
+        case 'GET /v1/user':
+          return this.ok(this.userRecord(this.findUser(this.tokenUserId(claims))));
+        case 'POST /v1/user/rights':
+          this.requireAdmin(claims);
+          return this.ok(this.findUser(body.userId).rights);
+        case 'GET /v1/user/rights':
+          return this.ok(this.findUser(this.tokenUserId(claims)).rights);
+        case 'POST /v1/query':
+          return this.query(claims, body);
+        case 'POST /v1/fetch':
+          return this.fetchContract(claims, body);
+        case 'POST /v1/create':
+          return this.create(claims, body);
+        case 'POST /v1/exercise':
+          return this.exercise(claims, body);
+        default:
+          break;
+      }
+
+      if (method === 'GET' && path.startsWith('/v1/packages/')) {
+        const packageId = decodeURIComponent(path.slice('/v1/packages/'.length));
+        const summary = this.packages.get(packageId);
+        if (!summary) {
+          throw new LedgerError(404, `NOT_FOUND: Package ${packageId} not found`);
+        }
+        return { status: 200, bytes: encodeArchive(packageId, summary) };
+      }
+
+      throw new LedgerError(404, `HttpMethod(${method}), uri: ${path}: Route not found`);
+    } catch (err) {
+      if (err instanceof LedgerError) {
+        return { status: err.status, body: errorBody(err.status, err.message) };
+      }
+      throw err;
+    }
+  }
+
+  ok(result) {
+    return { status: 200, body: { result, status: 200 } };
+  }
+
+  // --- authentication -------------------------------------------------------
+
+  // Claims as { userId, actAs, readAs, admin }
+  authenticate(authorization) {
+    const token = (authorization || '').replace(/^Bearer\s+/i, '');
+    if (!token) {
+      throw new LedgerError(401, 'Missing Authorization header with OAuth 2.0 Bearer Token');
+    }
+
+    let claims;
+    try {
+      claims = decodeTokenClaims(token);
+    } catch (err) {
+      throw new LedgerError(401, `Unauthorized: ${err.message}`);
+    }
+    if (claims.exp && claims.exp * 1000 < Date.now()) {
+      throw new LedgerError(401, 'Unauthorized: the access token has expired');
+    }
+
+    const custom = claims[DAML_CLAIMS_NAMESPACE];
+    if (custom) {
+      return {
+        userId: claims.sub || null,
+        actAs: custom.actAs || [],
+        readAs: custom.readAs || [],
+        admin: !!custom.admin,
+      };
+    }
+
+    const user = this.users.get(claims.sub);
+    if (!user) {
+      throw new LedgerError(401, `Unauthorized: unknown user ${claims.sub}`);
+    }
+    return {
+      userId: user.userId,
+      actAs: user.rights.filter(r => r.type === 'CanActAs').map(r => r.party),
+      readAs: user.rights.filter(r => r.type === 'CanReadAs').map(r => r.party),
+      admin: user.rights.some(r => r.type === 'ParticipantAdmin'),
+    };
+  }
+
+  requireAdmin(claims) {
+    if (!claims.admin) {
+      throw new LedgerError(403, 'PERMISSION_DENIED: participant admin rights are required');
+    }
+  }
+
+  tokenUserId(claims) {
+    if (!claims.userId) {
+      throw new LedgerError(400, 'INVALID_ARGUMENT: the token does not name a user');
+    }
+    return claims.userId;
+  }
+
+  findUser(userId) {
+    const user = this.users.get(userId);
+    if (!user) {
+      throw new LedgerError(404, `USER_NOT_FOUND(11,mock): getting user failed for unknown user "${userId}"`);
+    }
+    return user;
+  }
+
+  userRecord(user) {
+    return { userId: user.userId, primaryParty: user.primaryParty || undefined };
+  }
+
+  // --- templates and contracts ----------------------------------------------
+
+  // "<packageId>:Module:Entity" or "Module:Entity" -> { templateId, model }, or null
+  resolveTemplate(templateId) {
+    const parts = (templateId || '').split(':');
+    const [packageId, moduleEntity] = parts.length === 3
+      ? [parts[0], `${parts[1]}:${parts[2]}`]
+      : [this.packageId, parts.join(':')];
+    const summary = this.packages.get(packageId);
+    if (!summary || !summary.templates.includes(moduleEntity)) {
+      return null;
+    }
+    return { templateId: `${packageId}:${moduleEntity}`, model: TEMPLATE_MODEL[moduleEntity], moduleEntity };
+  }
+
+  requireTemplate(templateId) {
+    const resolved = this.resolveTemplate(templateId);
+    if (!resolved) {
+      throw new LedgerError(400, `Cannot resolve template ID, given: ${templateId}`);
+    }
+    return resolved;
+  }
+
+  // Check field types and normalize values the way the JSON API echoes them
+  decodeRecord(fields, record, what) {
+    const decoded = {};
+    for (const [name, type] of Object.entries(fields)) {
+      const value = record ? record[name] : undefined;
+      if (value === undefined || value === null) {
+        throw new LedgerError(400, `JsonReaderError. Cannot read JSON: <${JSON.stringify(record)}>. Cause: ${what} is missing field ${name}`);
+      }
+      switch (type) {
+        case 'Decimal':
+          // Daml Decimal is Numeric 10; the JSON API echoes it without trailing zeros
+          if (!isDecimal(String(value))) {
+            throw new LedgerError(400, `JsonReaderError. Cannot read JSON: <${JSON.stringify(value)}>. Cause: ${name} is not a valid Decimal`);
+          }
+          decoded[name] = normalizeDecimal(String(value));
+          break;
+        case 'Bool':
+          if (typeof value !== 'boolean') {
+            throw new LedgerError(400, `JsonReaderError. Cannot read JSON: <${JSON.stringify(value)}>. Cause: ${name} must be a Bool`);
+          }
+          decoded[name] = value;
+          break;
+        case 'Party':
+          if (!this.parties.some(party => party.identifier === value)) {
+            throw new LedgerError(400, `INVALID_ARGUMENT: Unknown party ${value} in ${name}`);
+          }
+          decoded[name] = value;
+          break;
+        default:
+          decoded[name] = String(value);
+      }
+    }
+    return decoded;
+  }
+
+  visibleTo(contract, claims) {
+    const readers = [...claims.actAs, ...claims.readAs];
+    return [...contract.signatories, ...contract.observers].some(party => readers.includes(party));
+  }
+
+  requireAuthorizers(required, claims, what) {
+    const missing = required.filter(party => !claims.actAs.includes(party));
+    if (missing.length > 0) {
+      throw new LedgerError(400,
+        `DAML_AUTHORIZATION_ERROR(8,mock): Interpretation error: Error: ${what} requires authorizers ` +
+        `${required.join(', ')}, but only ${claims.actAs.join(', ') || 'none'} were given`);
+    }
+  }
+
+  createContract(templateId, model, payload) {
+    if (!model.ensure(payload)) {
+      throw preconditionViolated(templateId.split(':').slice(1).join(':'));
+    }
+    const contract = {
+      contractId: `00${String(this.nextContractNumber++).padStart(8, '0')}mock`,
+      templateId,
+      payload,
+      signatories: [...new Set(model.signatories(payload))],
+      observers: [...new Set(model.observers(payload))].filter(p => !model.signatories(payload).includes(p)),
+      agreementText: '',
+    };
+    this.contracts.set(contract.contractId, contract);
+    return contract;
+  }
+
+  // Reject a command ID seen within its deduplication period; remember it once the command succeeds
+  checkDuplicate(meta, claims) {
+    if (!meta || !meta.commandId) return null;
+    const key = `${meta.commandId}|${[...claims.actAs].sort().join(',')}`;
+    const period = meta.deduplicationPeriod?.durationInMillis ?? DEFAULT_DEDUPLICATION_MS;
+    const acceptedAt = this.commandIds.get(key);
+    if (acceptedAt !== undefined && Date.now() - acceptedAt < period) {
+      throw new LedgerError(409,
+        `DUPLICATE_COMMAND(10,mock): A command with the given command id has already been successfully processed`);
+    }
+    return key;
+  }
+
+  query(claims, body) {
+    const templateIds = body.templateIds || [];
+    const resolved = templateIds.map(id => this.resolveTemplate(id));
+    const unknown = templateIds.filter((id, i) => !resolved[i]);
+    if (templateIds.length > 0 && unknown.length === templateIds.length) {
+      throw new LedgerError(400, `Cannot resolve any template ID from request: ${JSON.stringify(unknown)}`);
+    }
+
+    const wanted = new Set(resolved.filter(Boolean).map(r => r.templateId));
+    const result = this.activeContracts().filter(contract =>
+      wanted.has(contract.templateId) && this.visibleTo(contract, claims)
+    );
+    const response = this.ok(result);
+    if (unknown.length > 0) {
+      response.body.warnings = { unknownTemplateIds: unknown };
+    }
+    return response;
+  }
+
+  // Archived, unknown and invisible contracts all come back as a null result
+  fetchContract(claims, body) {
+    const contract = this.contracts.get(body.contractId);
+    if (body.templateId) {
+      const { templateId } = this.requireTemplate(body.templateId);
+      if (contract && contract.templateId !== templateId) {
+        return this.ok(null);
+      }
+    }
+    return this.ok(contract && this.visibleTo(contract, claims) ? contract : null);
+  }
+
+  create(claims, body) {
+    const { templateId, model, moduleEntity } = this.requireTemplate(body.templateId);
+    const payload = this.decodeRecord(model.fields, body.payload, moduleEntity);
+    this.requireAuthorizers(model.signatories(payload), claims, `create ${moduleEntity}`);
+    const dedupKey = this.checkDuplicate(body.meta, claims);
+
+    const contract = this.createContract(templateId, model, payload);
+    if (dedupKey) this.commandIds.set(dedupKey, Date.now());
+    return this.ok(contract);
+  }
+
+  exercise(claims, body) {
+    const { templateId, model, moduleEntity } = this.requireTemplate(body.templateId);
+    const contract = this.contracts.get(body.contractId);
+    if (!contract || contract.templateId !== templateId || !this.visibleTo(contract, claims)) {
+      throw new LedgerError(404,
+        `CONTRACT_NOT_FOUND(11,mock): Contract could not be found with id ${body.contractId}`);
+    }
+
+    // Every Daml template also has the implicit Archive choice, controlled by its signatories
+    const choice = body.choice === 'Archive'
+      ? { args: {}, controllers: model.signatories, run: () => ({}) }
+      : model.choices[body.choice];
+    if (!choice) {
+      throw new LedgerError(400, `JsonReaderError. Cannot resolve choice ${body.choice} of ${moduleEntity}`);
+    }
+    const argument = this.decodeRecord(choice.args, body.argument || {}, body.choice);
+    this.requireAuthorizers(choice.controllers(contract.payload), claims, `exercise ${body.choice}`);
+    const dedupKey = this.checkDuplicate(body.meta, claims);
+
+    // Every choice here is consuming; a failing assert or ensure leaves the contract active
+    const outcome = choice.run(contract.payload, argument);
+    if (outcome.create && !model.ensure(outcome.create)) {
+      throw preconditionViolated(moduleEntity);
+    }
+    this.contracts.delete(contract.contractId);
+    this.archived.add(contract.contractId);
+    const created = outcome.create ? this.createContract(templateId, model, outcome.create) : null;
+    if (dedupKey) this.commandIds.set(dedupKey, Date.now());
+
+    return this.ok({
+      exerciseResult: created ? created.contractId : {},
+      events: [
+        { archived: { contractId: contract.contractId, templateId } },
+        ...(created ? [{ created }] : []),
+      ],
+    });
+  }
+}
@@ -0,0 +1,144 @@
+// Bulk SimpleToken issuance from CSV. A CSV row is "owner,amount", where owner is a
+// party display name or a party ID; a leading "owner,amount" header row is skipped.
+import { checkDecimal, isPositiveDecimal } from './decimal';
+import { toCsv } from './fileExport';
+
+// Split CSV text into rows of cells; quoted cells may contain commas, quotes ("") and newlines
+export function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+  if (cell || row.length > 0) {
+    row.push(cell);
+    rows.push(row);
+  }
+
+  return rows;
+}
+
+function checkAmount(amount) {
+  if (!amount) return 'Amount is missing.';
+  const error = checkDecimal(amount);
+  if (error) return error;
+  if (!isPositiveDecimal(amount)) return 'Amount must be greater than zero.';
+  return null;
+}
+
+// Party IDs match exactly; display names match case-insensitively and must be unique
+function findOwner(owner, parties) {
+  if (!owner) return { error: 'Owner is missing.' };
+  const byId = parties.find(party => party.identifier === owner);
+  if (byId) return { party: byId.identifier };
+
+  const byName = parties.filter(party =>
+    (party.displayName || '').toLowerCase() === owner.toLowerCase()
+  );
+  if (byName.length === 1) return { party: byName[0].identifier };
+  if (byName.length > 1) return { error: `Display name "${owner}" matches ${byName.length} parties; use the party ID.` };
+  return { error: `Unknown party "${owner}".` };
+}
+
+// Validate CSV text against the known parties. Returns one entry per non-blank row:
+//   { line, owner, amount, party, error }  (party is set and error null for valid rows)
+export function parseTokenRows(text, parties) {
+  const rows = parseCsv(text)
+    .map((cells, index) => ({ line: index + 1, cells: cells.map(cell => cell.trim()) }))
+    .filter(({ cells }) => cells.some(cell => cell));
+
+  if (rows.length > 0 && rows[0].cells[0].toLowerCase() === 'owner' &&
+      (rows[0].cells[1] || '').toLowerCase() === 'amount') {
+    rows.shift();
+  }
+
+  return rows.map(({ line, cells }) => {
+    const [owner = '', amount = ''] = cells;
+    const entry = { line, owner, amount, party: null, error: null };
+    if (cells.length > 2 && cells.slice(2).some(cell => cell)) {
+      return { ...entry, error: `Expected 2 columns (owner, amount), found ${cells.length}.` };
+    }
+    const { party, error } = findOwner(owner, parties);
+    return { ...entry, party: party || null, error: error || checkAmount(amount) };
+  });
+}
+
+// Run worker(item) over items with at most `limit` in flight. Items not started once
+// isCancelled() returns true are reported as { status: 'cancelled' }.
+// Each result is { item, status: 'succeeded' | 'failed' | 'cancelled', value, error },
+// where error is the error the worker threw.
+export async function runWithConcurrency(items, limit, worker, { isCancelled = () => false, onResult } = {}) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  const runNext = async () => {
+    while (next < items.length) {
+      const index = next++;
+      const item = items[index];
+      let result;
+      if (isCancelled()) {
+        result = { item, status: 'cancelled', value: null, error: null };
+      } else {
+        try {
+          result = { item, status: 'succeeded', value: await worker(item), error: null };
+        } catch (err) {
+          result = { item, status: 'failed', value: null, error: err };
+        }
+      }
+      results[index] = result;
+      if (onResult) onResult(result, index);
+    }
+  };
+
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, runNext));
+  return results;
+}
+
+// One report row per parsed row: invalid rows were never submitted, the others carry the
+// outcome runWithConcurrency gave them. describeError turns a worker's error into a message.
+export function issueReport(rows, results, describeError) {
+  const outcomes = new Map(results.map(result => [result.item, result]));
+  return rows.map(row => {
+    const outcome = outcomes.get(row);
+    if (!outcome) {
+      return { ...row, status: 'invalid', contractId: null };
+    }
+    return {
+      ...row,
+      status: outcome.status,
+      contractId: outcome.value?.result?.contractId || null,
+      error: outcome.error ? describeError(outcome.error) : null,
+    };
+  });
+}
+
+// Report rows are { line, owner, amount, party, status, contractId, error }
+export function reportToCsv(rows) {
+  return toCsv(['line', 'owner', 'amount', 'party', 'status', 'contractId', 'error'], rows);
+}
@@ -0,0 +1,149 @@
+import { parseCsv, parseTokenRows, runWithConcurrency, issueReport, reportToCsv } from './bulkIssue';
+import DamlApi from './damlApi';
+import { MockJsonApi } from '../mocks/mockJsonApi';
+
+const parties = [
+  { identifier: 'Alice::1', displayName: 'Alice' },
+  { identifier: 'Bob::1', displayName: 'Bob' },
+  { identifier: 'Carol::1', displayName: 'Carol' },
+  { identifier: 'Carol::2', displayName: 'carol' },
+];
+
+const describeError = (err) => err.message;
+
+test('parses quoted cells with commas, quotes and line breaks', () => {
+  expect(parseCsv('Bob,10\r\n"Smith, Jane","say ""hi"""\n"two\nlines",3')).toEqual([
+    ['Bob', '10'],
+    ['Smith, Jane', 'say "hi"'],
+    ['two\nlines', '3'],
+  ]);
+  expect(parseCsv('')).toEqual([]);
+});
+
+test('checks every row and keeps its line number', () => {
+  const rows = parseTokenRows([
+    'Owner,Amount',
+    'bob,10.5',
+    '',
+    'Alice::1,1',
+    'Dave,1',
+    'Carol,1',
+    'Bob,',
+    'Bob,ten',
+    'Bob,0',
+    'Bob,1,extra',
+  ].join('\n'), parties);
+
+  expect(rows.map(({ line, party, error }) => ({ line, party, error }))).toEqual([
+    { line: 2, party: 'Bob::1', error: null },
+    { line: 4, party: 'Alice::1', error: null },
+    { line: 5, party: null, error: 'Unknown party "Dave".' },
+    { line: 6, party: null, error: 'Display name "Carol" matches 2 parties; use the party ID.' },
+    { line: 7, party: 'Bob::1', error: 'Amount is missing.' },
+    { line: 8, party: 'Bob::1', error: 'Amount must be a number, not "ten".' },
+    { line: 9, party: 'Bob::1', error: 'Amount must be greater than zero.' },
+    { line: 10, party: null, error: 'Expected 2 columns (owner, amount), found 3.' },
+  ]);
+});
+
+test('duplicate rows stay separate rows', () => {
+  const rows = parseTokenRows('Bob,5\nBob,5', parties);
+
+  expect(rows).toHaveLength(2);
+  expect(rows.every(row => row.error === null)).toBe(true);
+  expect(rows[0]).not.toBe(rows[1]);
+});
+
+test('runs at most `limit` workers at once and reports results in item order', async () => {
+  let running = 0;
+  let mostRunning = 0;
+  const worker = async (n) => {
+    running++;
+    mostRunning = Math.max(mostRunning, running);
+    await new Promise(resolve => setTimeout(resolve, (5 - n) * 2));
+    running--;
+    if (n === 3) throw new Error('three');
+    return n * 10;
+  };
+  const seen = [];
+
+  const results = await runWithConcurrency([1, 2, 3, 4, 5], 2, worker, { onResult: (result, index) => seen.push(index) });
+
+  expect(mostRunning).toBe(2);
+  expect(results.map(({ item, status, value }) => [item, status, value])).toEqual([
+    [1, 'succeeded', 10],
+    [2, 'succeeded', 20],
+    [3, 'failed', null],
+    [4, 'succeeded', 40],
+    [5, 'succeeded', 50],
+  ]);
+  expect(results[2].error.message).toBe('three');
+  expect([...seen].sort()).toEqual([0, 1, 2, 3, 4]);
+});
+
+test('items not started before cancelling are reported as cancelled', async () => {
+  let cancelled = false;
+  const worker = async (n) => {
+    if (n === 2) cancelled = true;
+    return n;
+  };
+
+  const results = await runWithConcurrency([1, 2, 3, 4], 1, worker, { isCancelled: () => cancelled });
+
+  expect(results.map(result => result.status)).toEqual(['succeeded', 'succeeded', 'cancelled', 'cancelled']);
+});
+
+describe('issuing against the ledger', () => {
+  let ledger;
+
+  beforeEach(() => {
+    localStorage.clear();
+    ledger = new MockJsonApi();
+    global.fetch = ledger.fetch;
+  });
+
+  afterEach(() => {
+    delete global.fetch;
+  });
+
+  async function issue(csv, knownParties) {
+    const client = new DamlApi({ sessionId: 'alice' });
+    await client.login('alice');
+    const ledgerParties = (await client.getParties()).result;
+    const rows = parseTokenRows(csv, [...ledgerParties, ...knownParties]);
+    const results = await runWithConcurrency(
+      rows.filter(row => !row.error),
+      4,
+      (row) => client.createSimpleToken(client.getPartyIdentifier(), row.party, row.amount),
+    );
+    return issueReport(rows, results, describeError);
+  }
+
+  test('duplicate rows each create a token', async () => {
+    const report = await issue('Bob,5\nBob,5\nBob,5', []);
+
+    expect(report.map(row => row.status)).toEqual(['succeeded', 'succeeded', 'succeeded']);
+    expect(new Set(report.map(row => row.contractId)).size).toBe(3);
+    expect(ledger.activeContracts()).toHaveLength(3);
+  });
+
+  test('a rejected row fails on its own and the report says which', async () => {
+    const report = await issue('owner,amount\nBob,5\nMallory,7\nnobody,1\nCarol,2.5', [
+      { identifier: 'Mallory::9', displayName: 'Mallory' },
+    ]);
+
+    expect(report.map(row => [row.line, row.status])).toEqual([
+      [2, 'succeeded'],
+      [3, 'failed'],
+      [4, 'invalid'],
+      [5, 'succeeded'],
+    ]);
+    expect(report[1].error).toMatch(/Mallory::9/);
+    expect(ledger.activeContracts().map(contract => contract.payload.amount).sort()).toEqual(['2.5', '5.0']);
+
+    const csv = reportToCsv(report).split('\n');
+    expect(csv[0]).toBe('line,owner,amount,party,status,contractId,error');
+    expect(csv[1]).toBe(`2,Bob,5,${ledger.partyId('Bob')},succeeded,${report[0].contractId},`);
+    expect(csv[3]).toBe('4,nobody,1,,invalid,,"Unknown party ""nobody""."');
+  });
+});
@@ -0,0 +1,122 @@
+// Search, filter, sort and paging for one contract section, generated from the
+// section's registry entry. Filter state lives in the URL query string, one set of
+// parameters per section prefixed with its filter key: the template key, and in the split
+// view the session ID before it (e.g. "simpleTokens.q=bob", "alice.simpleTokens.q=bob"),
+// so a filtered view can be shared by copying the URL and follows back/forward.
+//
+// Filters: { q, min, max, role, status, sort, page }, all strings ('' when unset)
+//   q       text matched against the contract ID and the Party fields (IDs and display names)
+//   min/max amount range on the template's highlighted Decimal field
+//   role    name of a Party field that must be the current party ("I am owner")
+//   status  'true' | 'false' for the template's Bool field (e.g. escrow approval)
+//   sort    '<field>:asc' | '<field>:desc'
+//   page    1-based page number
+import { compareDecimals, isDecimal } from './decimal';
+
+export const PAGE_SIZE = 20;
+
+const FILTER_KEYS = ['q', 'min', 'max', 'role', 'status', 'sort', 'page'];
+
+export const EMPTY_FILTERS = Object.fromEntries(FILTER_KEYS.map(key => [key, '']));
+
+// query: the URL's query string or URLSearchParams (e.g. the current route's query)
+export function readFilters(filterKey, query) {
+  const params = new URLSearchParams(query);
+  return Object.fromEntries(FILTER_KEYS.map(key => [key, params.get(`${filterKey}.${key}`) || '']));
+}
+
+// The app-relative path (see router.js) with this section's parameters replaced, keeping everything else
+export function filtersPath(filterKey, filters, path) {
+  const queryStart = path.indexOf('?');
+  const pathname = queryStart >= 0 ? path.slice(0, queryStart) : path;
+  const params = new URLSearchParams(queryStart >= 0 ? path.slice(queryStart) : '');
+  for (const key of FILTER_KEYS) {
+    if (filters[key]) {
+      params.set(`${filterKey}.${key}`, filters[key]);
+    } else {
+      params.delete(`${filterKey}.${key}`);
+    }
+  }
+  const query = params.toString();
+  return `${pathname}${query ? `?${query}` : ''}`;
+}
+
+// Whether the section differs from its plain ledger-order view, so Clear is worth offering;
+// a page number alone does not count
+export function hasActiveFilters(filters) {
+  return FILTER_KEYS.some(key => key !== 'page' && filters[key]);
+}
+
+// Which controls the filter bar offers for a template
+export function filterOptions(template) {
+  const partyFields = template.fields.filter(field => field.type === 'Party');
+  const amountField = template.fields.find(field => field.type === 'Decimal' && field.highlight) || null;
+  const statusField = template.fields.find(field => field.type === 'Bool') || null;
+  const sortFields = [...(amountField ? [amountField] : []), ...partyFields];
+  return { partyFields, amountField, statusField, sortFields };
+}
+
+// partyName(identifier) gives the display name used for search and party sorting
+export function applyFilters(template, contracts, filters, partyIdentifier, partyName) {
+  const { partyFields, amountField, statusField } = filterOptions(template);
+  const search = filters.q.trim().toLowerCase();
+  // Half-typed bounds ("1.", "-") are ignored until they are numbers
+  const min = isDecimal(filters.min) ? filters.min : null;
+  const max = isDecimal(filters.max) ? filters.max : null;
+
+  const filtered = contracts.filter(contract => {
+    const payload = contract.payload || {};
+
+    if (search) {
+      const haystack = [contract.contractId, ...partyFields.flatMap(field => [
+        payload[field.name],
+        partyName(payload[field.name]),
+      ])];
+      if (!haystack.some(value => value && value.toLowerCase().includes(search))) {
+        return false;
+      }
+    }
+
+    if (amountField && (min !== null || max !== null)) {
+      const amount = payload[amountField.name];
+      if (!isDecimal(amount)) return false;
+      if (min !== null && compareDecimals(amount, min) < 0) return false;
+      if (max !== null && compareDecimals(amount, max) > 0) return false;
+    }
+
+    if (filters.role && payload[filters.role] !== partyIdentifier) {
+      return false;
+    }
+
+    if (statusField && filters.status && String(!!payload[statusField.name]) !== filters.status) {
+      return false;
+    }
+
+    return true;
+  });
+
+  const [sortField, direction] = filters.sort.split(':');
+  const field = template.fields.find(f => f.name === sortField);
+  if (!field) {
+    return filtered;
+  }
+  const sign = direction === 'desc' ? -1 : 1;
+  const compare = field.type === 'Decimal'
+    ? (a, b) => compareDecimals(a.payload[field.name], b.payload[field.name])
+    : (a, b) => (partyName(a.payload[field.name]) || '').localeCompare(partyName(b.payload[field.name]) || '');
+  return [...filtered].sort((a, b) => sign * compare(a, b));
+}
+
+export function pageCount(total) {
+  return Math.max(1, Math.ceil(total / PAGE_SIZE));
+}
+
+// The contracts on a 1-based page, clamped to the available pages
+export function paginate(contracts, page) {
+  const current = Math.min(Math.max(parseInt(page, 10) || 1, 1), pageCount(contracts.length));
+  return {
+    page: current,
+    pages: pageCount(contracts.length),
+    items: contracts.slice((current - 1) * PAGE_SIZE, current * PAGE_SIZE),
+  };
+}
@@ -0,0 +1,100 @@
+import {
+  EMPTY_FILTERS,
+  PAGE_SIZE,
+  applyFilters,
+  filtersPath,
+  hasActiveFilters,
+  paginate,
+  readFilters,
+} from './contractFilters';
+import { TEMPLATES } from './templates';
+
+const template = (key) => TEMPLATES.find(entry => entry.key === key);
+const NAMES = { 'Alice::1': 'Alice', 'Bob::1': 'Bob', 'Carol::1': 'Carol' };
+const partyName = (identifier) => NAMES[identifier] || identifier;
+const token = (contractId, issuer, owner, amount) => ({ contractId, payload: { issuer, owner, amount } });
+const filters = (overrides) => ({ ...EMPTY_FILTERS, ...overrides });
+
+const tokens = [
+  token('#1', 'Alice::1', 'Bob::1', '50.0'),
+  token('#2', 'Bob::1', 'Alice::1', '1000.0'),
+  token('#3', 'Alice::1', 'Carol::1', '7.5'),
+];
+const ids = (contracts) => contracts.map(contract => contract.contractId);
+
+test('reads a section\'s filters from its own prefixed parameters', () => {
+  const query = '?simpleTokens.q=bob&simpleTokens.sort=amount:desc&escrows.q=carol&alice.simpleTokens.page=2';
+
+  expect(readFilters('simpleTokens', query)).toEqual(filters({ q: 'bob', sort: 'amount:desc' }));
+  expect(readFilters('alice.simpleTokens', new URLSearchParams(query))).toEqual(filters({ page: '2' }));
+  expect(readFilters('assets', '')).toEqual(EMPTY_FILTERS);
+});
+
+test('writes a section\'s filters into the path, keeping other parameters and dropping empty ones', () => {
+  const path = '/sections/simpleTokens?escrows.q=carol&simpleTokens.q=old&simpleTokens.page=3';
+
+  expect(filtersPath('simpleTokens', filters({ q: 'bob', min: '10' }), path))
+    .toBe('/sections/simpleTokens?escrows.q=carol&simpleTokens.q=bob&simpleTokens.min=10');
+  expect(filtersPath('simpleTokens', EMPTY_FILTERS, '/?simpleTokens.q=old')).toBe('/');
+  expect(filtersPath('escrows', filters({ status: 'true' }), '/')).toBe('/?escrows.status=true');
+});
+
+test('anything but the page number counts as an active filter, including the sort order', () => {
+  expect(hasActiveFilters(EMPTY_FILTERS)).toBe(false);
+  expect(hasActiveFilters(filters({ page: '2' }))).toBe(false);
+  expect(hasActiveFilters(filters({ sort: 'amount:asc' }))).toBe(true);
+  expect(hasActiveFilters(filters({ q: 'bob' }))).toBe(true);
+});
+
+test('searches contract IDs and parties by ID or display name', () => {
+  const tokensTemplate = template('simpleTokens');
+  const run = (q) => ids(applyFilters(tokensTemplate, tokens, filters({ q }), 'Alice::1', partyName));
+
+  expect(run('carol')).toEqual(['#3']);
+  expect(run('BOB::')).toEqual(['#1', '#2']);
+  expect(run('#2')).toEqual(['#2']);
+  expect(run('  ')).toEqual(['#1', '#2', '#3']);
+});
+
+test('filters on the amount range, the party\'s role and the Bool status', () => {
+  const tokensTemplate = template('simpleTokens');
+  const run = (overrides) => ids(applyFilters(tokensTemplate, tokens, filters(overrides), 'Alice::1', partyName));
+
+  expect(run({ min: '10', max: '1000' })).toEqual(['#1', '#2']);
+  expect(run({ min: '50.0' })).toEqual(['#1', '#2']);
+  // Half-typed bounds are ignored
+  expect(run({ min: '1.', max: '-' })).toEqual(['#1', '#2', '#3']);
+  expect(run({ role: 'owner' })).toEqual(['#2']);
+  expect(run({ role: 'issuer', max: '10' })).toEqual(['#3']);
+
+  const escrows = [
+    { contractId: '#p', payload: { sender: 'Alice::1', receiver: 'Bob::1', amount: '1.0', isApproved: false } },
+    { contractId: '#a', payload: { sender: 'Alice::1', receiver: 'Bob::1', amount: '1.0', isApproved: true } },
+  ];
+  expect(ids(applyFilters(template('escrows'), escrows, filters({ status: 'true' }), 'Alice::1', partyName)))
+    .toEqual(['#a']);
+  expect(ids(applyFilters(template('escrows'), escrows, filters({ status: 'false' }), 'Alice::1', partyName)))
+    .toEqual(['#p']);
+});
+
+test('sorts by amount numerically and by party display name', () => {
+  const tokensTemplate = template('simpleTokens');
+  const run = (sort) => ids(applyFilters(tokensTemplate, tokens, filters({ sort }), 'Alice::1', partyName));
+
+  expect(run('amount:asc')).toEqual(['#3', '#1', '#2']);
+  expect(run('amount:desc')).toEqual(['#2', '#1', '#3']);
+  expect(run('owner:asc')).toEqual(['#2', '#1', '#3']);
+  // An unknown field leaves the ledger order
+  expect(run('nope:asc')).toEqual(['#1', '#2', '#3']);
+  expect(ids(tokens)).toEqual(['#1', '#2', '#3']);
+});
+
+test('pages through the contracts, clamping the page number to the pages there are', () => {
+  const contracts = Array.from({ length: PAGE_SIZE * 2 + 1 }, (_, i) => token(`#${i}`, 'Alice::1', 'Bob::1', '1.0'));
+
+  expect(paginate(contracts, '')).toMatchObject({ page: 1, pages: 3 });
+  expect(ids(paginate(contracts, '2').items)).toEqual(ids(contracts.slice(PAGE_SIZE, PAGE_SIZE * 2)));
+  expect(paginate(contracts, '9')).toMatchObject({ page: 3, pages: 3, items: [contracts[PAGE_SIZE * 2]] });
+  expect(paginate(contracts, '-1').page).toBe(1);
+  expect(paginate([], '4')).toEqual({ page: 1, pages: 1, items: [] });
+});
@@ -1,62 +1,182 @@
-// Use relative URL when proxy is configured, or absolute URL for direct connection
+import { readPackageSummary } from './damlLf';
+import { checkDecimal } from './decimal';
+import { TEMPLATES, templateModuleEntity } from './templates';
+import { createTokenProvider } from './tokenProviders';
+import { recordEntry, resultContractIds } from './journal';
+import {
+  DamlApiError,
+  AuthenticationError,
+  AuthorizationError,
+  UnknownTemplateError,
+  DuplicateCommandError,
+  NetworkError,
+  errorFromResponse,
+  fetchOrFail,
+} from './errors';
+import { healthFor } from './health';
+
+// Use relative URL when proxy is configured, or absolute URL for direct connection.
+// Outside the browser (the CLI) there is no proxy, so callers pass an absolute baseUrl.
 const API_BASE_URL = process.env.REACT_APP_API_URL || '/v1';
 
-// Simple JWT token generator for --allow-insecure-tokens mode
-// Creates a minimal JWT with userId, ledgerId, applicationId, and party identifiers
-async function createSimpleJWT(userId, partyIdentifier) {
-  const header = btoa(JSON.stringify({ alg: 'none', typ: 'JWT' })).replace(/=/g, '');
-  const payload = btoa(JSON.stringify({ 
-    userId, 
-    ledgerId: 'sandbox',
-    applicationId: 'ex-seeding-script',
-    actAs: [partyIdentifier],
-    readAs: [partyIdentifier],
-    exp: Math.floor(Date.now() / 1000) + 86400 
-  })).replace(/=/g, '');
-  // For --allow-insecure-tokens, we can use an empty signature
-  return `${header}.${payload}.`;
+// Our DAR, as named in daml.yaml; package resolution only accepts packages with this metadata
+const PACKAGE_NAME = process.env.REACT_APP_DAML_PACKAGE_NAME || 'hello-canton';
+const PACKAGE_VERSION = process.env.REACT_APP_DAML_PACKAGE_VERSION || '0.0.1';
+
+// Participant admin user, used to read user management data before anyone is logged in
+const ADMIN_USER_ID = process.env.REACT_APP_ADMIN_USER || 'participant_admin';
+
+// Prefix of the storage key for the verified "Module:Entity" -> package ID map, kept per ledger (base URL)
+const TEMPLATE_PACKAGES_KEY_PREFIX = 'daml_template_packages:';
+
+// Reconnect delays for the contract stream, doubling from the initial delay up to the maximum
+const STREAM_RECONNECT_INITIAL_MS = 1000;
+const STREAM_RECONNECT_MAX_MS = 30000;
+
+// Requests that cannot reach the JSON API are retried, doubling the delay each time
+const RETRY_ATTEMPTS = 4;
+const RETRY_INITIAL_MS = 500;
+const RETRY_MAX_MS = 8000;
+
+// The ledger rejects a second command with the same command ID within this period
+const COMMAND_DEDUPLICATION_MS = 10 * 60 * 1000;
+
+// Every template in the registry is queried and streamed
+const TEMPLATE_MODULE_ENTITIES = TEMPLATES.map(templateModuleEntity);
+
+// Turn JSON API user rights into actAs/readAs party lists, primary party first
+function summarizeRights(rights, primaryParty) {
+  const actAs = rights.filter(r => r.type === 'CanActAs').map(r => r.party);
+  const readAs = rights.filter(r => r.type === 'CanReadAs').map(r => r.party);
+  const primaryFirst = (parties) => parties.includes(primaryParty)
+    ? [primaryParty, ...parties.filter(p => p !== primaryParty)]
+    : parties;
+
+  return {
+    actAs: primaryFirst(actAs),
+    readAs: primaryFirst(readAs),
+    admin: rights.some(r => r.type === 'ParticipantAdmin'),
+  };
 }
 
-class DamlApi {
+function newCommandId() {
+  if (typeof crypto !== 'undefined' && crypto.randomUUID) {
+    return crypto.randomUUID();
+  }
+  return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2)}`;
+}
+
+// JSON API command meta for a command ID
+function commandMeta(commandId) {
+  return {
+    commandId,
+    deduplicationPeriod: { type: 'Duration', durationInMillis: COMMAND_DEDUPLICATION_MS },
+  };
+}
+
+// One place the user submits commands from, such as a create form or a choice button.
+// Every submission gets a fresh command ID, except that submitting the same command again
+// after the ledger could not be reached reuses the earlier ID: that attempt may have been
+// applied, and the ledger deduplicates by command ID, so the command runs at most once.
+export class CommandSubmission {
   constructor() {
-    this.token = localStorage.getItem('daml_token');
-    this.userId = localStorage.getItem('daml_user_id');
-    this.partyIdentifier = localStorage.getItem('daml_party_identifier');
+    // { key, commandId } of the last attempt whose outcome is unknown
+    this.unsettled = null;
+  }
+}
+
+// Decimals go to the ledger as exact strings. A number is only accepted when its
+// text is a valid Decimal, so a float-rounded 0.30000000000000004 is refused, not sent.
+function decimalArgument(value, name) {
+  const text = String(value ?? '').trim();
+  const error = checkDecimal(text, name);
+  if (error) {
+    throw new DamlApiError(error);
+  }
+  return text;
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// Storage for environments without localStorage; nothing survives the process
+class MemoryStorage {
+  constructor() {
+    this.items = new Map();
+  }
+
+  getItem(key) {
+    return this.items.has(key) ? this.items.get(key) : null;
+  }
+
+  setItem(key, value) {
+    this.items.set(key, String(value));
+  }
+
+  removeItem(key) {
+    this.items.delete(key);
+  }
+}
+
+function defaultStorage() {
+  return typeof localStorage !== 'undefined' ? localStorage : new MemoryStorage();
+}
+
+// Websocket endpoints live next to the HTTP ones; a relative base is resolved against the page origin
+function toWebSocketUrl(httpUrl) {
+  if (/^https?:\/\//.test(httpUrl)) {
+    return httpUrl.replace(/^http/, 'ws');
+  }
+  const protocol = window.location.protocol === 'https:' ? 'wss:' : 'ws:';
+  return `${protocol}//${window.location.host}${httpUrl}`;
+}
+
+// One client per session: each keeps its own token, user and party.
+// Construct with a sessionId to give the credentials their own storage keys.
+// baseUrl is the JSON API's /v1 URL; storage is any object with the localStorage
+// getItem/setItem/removeItem methods (localStorage by default, in memory without one).
+class DamlApi {
+  constructor({ sessionId = null, baseUrl = API_BASE_URL, storage = defaultStorage() } = {}) {
+    this.sessionId = sessionId;
+    this.baseUrl = baseUrl;
+    this.storage = storage;
+    this.token = this.storage.getItem(this.storageKey('token'));
+    this.userId = this.storage.getItem(this.storageKey('user_id'));
+    this.partyIdentifier = this.storage.getItem(this.storageKey('party_identifier'));
+    // Decoded package metadata by package ID; packages are immutable so this never goes stale
+    this.packageSummaries = new Map();
+    // Stored template packages are checked against the ledger once per session
+    this.storedPackagesVerified = false;
+    // Where bearer tokens come from; selected by REACT_APP_AUTH_MODE (see tokenProviders.js)
+    this.tokenProvider = createTokenProvider();
+    // Connection status of this client's JSON API; commands wait on it (see health.js)
+    this.health = healthFor(baseUrl);
+  }
+
+  storageKey(name) {
+    return this.sessionId ? `daml_session:${this.sessionId}:${name}` : `daml_${name}`;
   }
 
   async login(userId) {
     try {
-      // First, get the party identifier for this userId
-      // Try with a simple token first to get party info
-      const partiesResponse = await fetch(`${API_BASE_URL}/parties`, {
-        method: 'GET',
-        headers: {
-          'Authorization': `Bearer ${userId}`,
-        },
-      });
-
-      if (!partiesResponse.ok) {
-        throw new Error('Failed to fetch parties. Make sure the JSON API is running.');
-      }
+      // Resolve the user's primary party and rights through user management
+      const user = await this.getUserDetails(userId);
+      const partyIdentifier = user.primaryParty || user.actAs[0];
 
-      const partiesData = await partiesResponse.json();
-      const parties = partiesData.result || [];
-      
-      // Find the party that matches the userId (case-insensitive match on displayName)
-      const userParty = parties.find(p => 
-        p.displayName?.toLowerCase() === userId.toLowerCase() || 
-        p.identifier?.toLowerCase().startsWith(userId.toLowerCase())
-      );
-
-      if (!userParty) {
-        throw new Error(`Party not found for userId: ${userId}`);
+      if (!partyIdentifier || !user.actAs.includes(partyIdentifier)) {
+        throw new AuthorizationError(`User ${userId} has no primary party it can act as`);
       }
 
-      // Generate JWT token with the party identifier
-      const token = await createSimpleJWT(userId, userParty.identifier);
+      // Get a token carrying exactly the user's rights
+      const token = await this.tokenProvider.getToken({
+        userId,
+        actAs: user.actAs,
+        readAs: user.readAs,
+      });
       
       // Test the connection with the JWT token
-      const testResponse = await fetch(`${API_BASE_URL}/parties`, {
+      const testResponse = await fetchOrFail(`${this.baseUrl}/parties`, {
         method: 'GET',
         headers: {
           'Authorization': `Bearer ${token}`,
@@ -64,18 +184,17 @@ class DamlApi {
       });
 
       if (!testResponse.ok) {
-        const error = await testResponse.text();
-        throw new Error(`Authentication failed: ${error}`);
+        throw await errorFromResponse(testResponse, 'Authentication');
       }
 
       // Store the token, userId, and party identifier
       this.token = token;
       this.userId = userId;
-      this.partyIdentifier = userParty.identifier;
+      this.partyIdentifier = partyIdentifier;
       
-      localStorage.setItem('daml_token', this.token);
-      localStorage.setItem('daml_user_id', this.userId);
-      localStorage.setItem('daml_party_identifier', this.partyIdentifier);
+      this.storage.setItem(this.storageKey('token'), this.token);
+      this.storage.setItem(this.storageKey('user_id'), this.userId);
+      this.storage.setItem(this.storageKey('party_identifier'), this.partyIdentifier);
       
       return this.token;
     } catch (error) {
@@ -84,315 +203,600 @@ class DamlApi {
     }
   }
 
+  // Retry a request that could not reach the JSON API with exponential backoff;
+  // any other failure is thrown straight away. Commands are only retried through
+  // journalCommand, which keeps their command ID so the ledger deduplicates them.
+  async withRetries(request) {
+    let delay = RETRY_INITIAL_MS;
+    for (let attempt = 1; ; attempt++) {
+      try {
+        return await request();
+      } catch (err) {
+        if (!(err instanceof NetworkError)) {
+          throw err;
+        }
+        this.health.reportFailure();
+        if (attempt >= RETRY_ATTEMPTS) {
+          throw err;
+        }
+        await sleep(delay);
+        delay = Math.min(delay * 2, RETRY_MAX_MS);
+      }
+    }
+  }
+
+  // User management calls only read, even the POST ones
+  async userManagementRequest(method, path, token, body) {
+    return this.withRetries(async () => {
+      const response = await fetchOrFail(`${this.baseUrl}${path}`, {
+        method,
+        headers: {
+          'Content-Type': 'application/json',
+          'Authorization': `Bearer ${token}`,
+        },
+        body: body ? JSON.stringify(body) : undefined,
+      });
+
+      if (!response.ok) {
+        throw await errorFromResponse(response, `User management request ${path}`);
+      }
+
+      const data = await response.json();
+      return data.result;
+    });
+  }
+
+  async getAdminToken() {
+    return this.tokenProvider.getToken({ userId: ADMIN_USER_ID, admin: true });
+  }
+
+  // Users on the ledger with their primary party and actAs/readAs rights
+  async listUsers() {
+    const adminToken = await this.getAdminToken();
+    const users = await this.userManagementRequest('GET', '/users', adminToken) || [];
+
+    return Promise.all(users.map(async (user) => {
+      const rights = await this.userManagementRequest('POST', '/user/rights', adminToken, { userId: user.userId });
+      return {
+        userId: user.userId,
+        primaryParty: user.primaryParty || null,
+        ...summarizeRights(rights || [], user.primaryParty),
+      };
+    }));
+  }
+
+  async getUserDetails(userId) {
+    try {
+      const adminToken = await this.getAdminToken();
+      const user = await this.userManagementRequest('POST', '/user', adminToken, { userId });
+      const rights = await this.userManagementRequest('POST', '/user/rights', adminToken, { userId });
+      return {
+        userId,
+        primaryParty: user.primaryParty || null,
+        ...summarizeRights(rights || [], user.primaryParty),
+      };
+    } catch (adminError) {
+      // Without admin rights a user can still read its own record with its own token
+      const userToken = await this.tokenProvider.getToken({ userId });
+      let user;
+      try {
+        user = await this.userManagementRequest('GET', '/user', userToken);
+      } catch (err) {
+        throw adminError;
+      }
+      if (user.userId !== userId) {
+        throw new AuthenticationError(`The supplied token belongs to user ${user.userId}, not ${userId}`);
+      }
+      const rights = await this.userManagementRequest('GET', '/user/rights', userToken);
+      return {
+        userId,
+        primaryParty: user.primaryParty || null,
+        ...summarizeRights(rights || [], user.primaryParty),
+      };
+    }
+  }
+
   logout() {
     this.token = null;
     this.userId = null;
     this.partyIdentifier = null;
-    localStorage.removeItem('daml_token');
-    localStorage.removeItem('daml_user_id');
-    localStorage.removeItem('daml_party_identifier');
+    this.storage.removeItem(this.storageKey('token'));
+    this.storage.removeItem(this.storageKey('user_id'));
+    this.storage.removeItem(this.storageKey('party_identifier'));
   }
 
-  async getPackages() {
+  async getParties() {
     if (!this.token) {
-      throw new Error('Not authenticated');
+      throw new AuthenticationError('Not authenticated');
     }
 
-    const response = await fetch(`${API_BASE_URL}/packages`, {
-      method: 'GET',
-      headers: {
-        'Authorization': `Bearer ${this.token}`,
-      },
+    return this.withRetries(async () => {
+      const response = await fetchOrFail(`${this.baseUrl}/parties`, {
+        method: 'GET',
+        headers: {
+          'Authorization': `Bearer ${this.token}`,
+        },
+      });
+
+      if (!response.ok) {
+        throw await errorFromResponse(response, 'Fetching parties');
+      }
+
+      return response.json();
     });
+  }
 
-    if (!response.ok) {
-      const error = await response.text();
-      throw new Error(`Failed to fetch packages: ${error}`);
+  async getPackages() {
+    if (!this.token) {
+      throw new AuthenticationError('Not authenticated');
     }
 
-    return response.json();
+    return this.withRetries(async () => {
+      const response = await fetchOrFail(`${this.baseUrl}/packages`, {
+        method: 'GET',
+        headers: {
+          'Authorization': `Bearer ${this.token}`,
+        },
+      });
+
+      if (!response.ok) {
+        throw await errorFromResponse(response, 'Fetching packages');
+      }
+
+      return response.json();
+    });
   }
 
-  async findPackageId() {
-    // Cache package ID to avoid repeated lookups
-    // But clear it if we're having issues (user can clear via button)
-    const cached = localStorage.getItem('daml_package_id');
-    if (cached) {
-      return cached;
+  async getPackageSummary(packageId) {
+    if (this.packageSummaries.has(packageId)) {
+      return this.packageSummaries.get(packageId);
     }
 
-    try {
-      // First, try to extract package ID from existing contracts
-      // Query all contracts and see what package IDs are used
-      const allContractsResponse = await fetch(`${API_BASE_URL}/query`, {
-        method: 'POST',
+    const archive = await this.withRetries(async () => {
+      const response = await fetchOrFail(`${this.baseUrl}/packages/${encodeURIComponent(packageId)}`, {
+        method: 'GET',
         headers: {
-          'Content-Type': 'application/json',
           'Authorization': `Bearer ${this.token}`,
         },
-        body: JSON.stringify({ templateIds: [] }),
       });
 
-      if (allContractsResponse.ok) {
-        const allContracts = await allContractsResponse.json();
-        const contracts = allContracts.result || [];
-        
-        // Extract package ID from existing contracts
-        for (const contract of contracts) {
-          if (contract.templateId) {
-            const parts = contract.templateId.split(':');
-            if (parts.length === 3 && parts[1] === 'SimpleToken') {
-              const packageId = parts[0];
-              localStorage.setItem('daml_package_id', packageId);
-              return packageId;
-            }
-          }
-        }
+      if (!response.ok) {
+        throw await errorFromResponse(response, `Downloading package ${packageId}`);
       }
 
-      // If no existing contracts, try each package ID by attempting to create
-      // We'll test by trying to create with each package ID
-      const packagesData = await this.getPackages();
-      const packageIds = packagesData.result || [];
-      
-      // Try each package ID - test by checking if template exists
-      // We can't easily test creation, so we'll try a different approach:
-      // Try querying with each package ID and see which one doesn't error
-      for (const packageId of packageIds) {
-        try {
-          const testResponse = await fetch(`${API_BASE_URL}/query`, {
-            method: 'POST',
-            headers: {
-              'Content-Type': 'application/json',
-              'Authorization': `Bearer ${this.token}`,
-            },
-            body: JSON.stringify({ 
-              templateIds: [`${packageId}:SimpleToken:SimpleToken`] 
-            }),
-          });
-
-          const responseText = await testResponse.text();
-          
-          // Check if it's a valid response (not a template resolution error)
-          if (testResponse.ok || (!responseText.includes('Cannot resolve') && !responseText.includes('unknownTemplateIds'))) {
-            // This might be the right package, cache it
-            localStorage.setItem('daml_package_id', packageId);
-            return packageId;
-          }
-        } catch (err) {
-          // Continue to next package
-          continue;
-        }
-      }
-      
-      return null;
-    } catch (error) {
-      console.warn('Failed to find package ID:', error);
-      return null;
+      return response.arrayBuffer();
+    });
+
+    const summary = readPackageSummary(new Uint8Array(archive));
+    if (summary.hash && summary.hash !== packageId) {
+      throw new DamlApiError(`Package ${packageId} does not match its archive hash ${summary.hash}`);
     }
+    this.packageSummaries.set(packageId, summary);
+    return summary;
   }
 
-  async queryContracts(templateIds) {
+  // The choices a template's package defines, with their argument fields (see readPackageSummary)
+  async getTemplateChoices(templateId) {
     if (!this.token) {
-      throw new Error('Not authenticated');
+      throw new AuthenticationError('Not authenticated');
     }
 
-    let finalTemplateIds = templateIds;
-    
-    // If no templateIds provided, try to find package ID and construct template IDs
-    if (!templateIds || templateIds.length === 0) {
-      const packageId = await this.findPackageId();
-      
-      if (packageId) {
-        // Construct proper template IDs with the found package ID
-        finalTemplateIds = [
-          `${packageId}:SimpleToken:SimpleToken`,
-          `${packageId}:Escrow:Escrow`,
-          `${packageId}:CollateralLock:CollateralLock`
-        ];
-      } else {
-        // Fallback: try to query all contracts and filter client-side
-        // Query with empty templateIds might return all contracts (if API supports it)
-        console.warn('Could not determine package ID, trying alternative query method');
-        finalTemplateIds = [];
+    const [packageId, moduleName, entityName] = templateId.split(':');
+    const summary = await this.getPackageSummary(packageId);
+    const choices = summary.choices[`${moduleName}:${entityName}`];
+    if (!choices) {
+      throw new UnknownTemplateError(`Package ${packageId} does not define template ${moduleName}:${entityName}.`);
+    }
+    return choices;
+  }
+
+  templatePackagesKey() {
+    return `${TEMPLATE_PACKAGES_KEY_PREFIX}${this.baseUrl}`;
+  }
+
+  loadTemplatePackages() {
+    try {
+      return JSON.parse(this.storage.getItem(this.templatePackagesKey())) || {};
+    } catch (err) {
+      return {};
+    }
+  }
+
+  saveTemplatePackages(templatePackages) {
+    this.storage.setItem(this.templatePackagesKey(), JSON.stringify(templatePackages));
+  }
+
+  clearPackageCache() {
+    this.storage.removeItem(this.templatePackagesKey());
+    this.storedPackagesVerified = false;
+  }
+
+  // Drop a stored package ID the ledger no longer knows and explain what happened
+  rejectStalePackage(moduleEntity, packageId) {
+    const templatePackages = this.loadTemplatePackages();
+    for (const [storedEntity, storedPackageId] of Object.entries(templatePackages)) {
+      if (storedPackageId === packageId) {
+        delete templatePackages[storedEntity];
       }
     }
+    this.saveTemplatePackages(templatePackages);
+    return new UnknownTemplateError(
+      `Stored package ID ${packageId} for ${moduleEntity} is stale: the ledger does not know it. ` +
+      'It has been removed; retry to resolve the package again.'
+    );
+  }
 
-    const response = await fetch(`${API_BASE_URL}/query`, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'Authorization': `Bearer ${this.token}`,
-      },
-      body: JSON.stringify({ templateIds: finalTemplateIds }),
-    });
+  // Resolve "Module:Entity" to a full template ID by reading package metadata:
+  // only a package named PACKAGE_NAME at PACKAGE_VERSION that defines the template is accepted.
+  async resolveTemplateId(moduleEntity) {
+    if (!this.token) {
+      throw new AuthenticationError('Not authenticated');
+    }
 
-    if (!response.ok) {
-      const error = await response.text();
-      
-      // If template ID format is wrong or package not found, try querying all contracts
-      if (error.includes('templateIds') || error.includes('Package ID') || error.includes('Cannot resolve')) {
-        // Try querying all active contracts (if API supports empty templateIds)
-        // This is a workaround - filter client-side
-        console.warn('Template query failed, attempting to query all contracts:', error);
-        
-        // Try with just module:entity format (some APIs support this)
-        const fallbackResponse = await fetch(`${API_BASE_URL}/query`, {
-          method: 'POST',
-          headers: {
-            'Content-Type': 'application/json',
-            'Authorization': `Bearer ${this.token}`,
-          },
-          body: JSON.stringify({ templateIds: [] }),
-        });
-
-        if (fallbackResponse.ok) {
-          const allContracts = await fallbackResponse.json();
-          // Filter by template name in templateId field
-          return {
-            result: (allContracts.result || []).filter(c => {
-              const templateId = c.templateId || '';
-              return templateId.includes('SimpleToken') || 
-                     templateId.includes('Escrow') || 
-                     templateId.includes('CollateralLock');
-            })
-          };
+    let templatePackages = this.loadTemplatePackages();
+
+    if (Object.keys(templatePackages).length > 0 && !this.storedPackagesVerified) {
+      const packageIds = new Set((await this.getPackages()).result || []);
+      for (const [storedEntity, packageId] of Object.entries(templatePackages)) {
+        if (!packageIds.has(packageId)) {
+          throw this.rejectStalePackage(storedEntity, packageId);
         }
-        
-        // If all else fails, return empty
-        console.warn('All query methods failed, returning empty results');
-        return { result: [] };
       }
-      throw new Error(`Query failed: ${error}`);
+      this.storedPackagesVerified = true;
+    }
+
+    if (templatePackages[moduleEntity]) {
+      return `${templatePackages[moduleEntity]}:${moduleEntity}`;
+    }
+
+    const packageIds = (await this.getPackages()).result || [];
+    // Newest packages are listed last, and a freshly uploaded DAR is the likeliest match
+    for (let i = packageIds.length - 1; i >= 0; i--) {
+      const summary = await this.getPackageSummary(packageIds[i]);
+      if (summary.name !== PACKAGE_NAME || summary.version !== PACKAGE_VERSION) {
+        continue;
+      }
+
+      templatePackages = this.loadTemplatePackages();
+      for (const template of summary.templates) {
+        templatePackages[template] = packageIds[i];
+      }
+      this.saveTemplatePackages(templatePackages);
+      this.storedPackagesVerified = true;
+
+      if (!summary.templates.includes(moduleEntity)) {
+        throw new UnknownTemplateError(`Package ${PACKAGE_NAME} ${PACKAGE_VERSION} does not define template ${moduleEntity}.`);
+      }
+      return `${packageIds[i]}:${moduleEntity}`;
+    }
+
+    throw new UnknownTemplateError(
+      `Package ${PACKAGE_NAME} ${PACKAGE_VERSION} was not found on the ledger. ` +
+      'The DAR file might not be uploaded. ' +
+      `Try running: daml ledger upload-dar --host localhost --port 6865 .daml/dist/${PACKAGE_NAME}-${PACKAGE_VERSION}.dar`
+    );
+  }
+
+  async resolveTemplateIds(moduleEntities = TEMPLATE_MODULE_ENTITIES) {
+    const templateIds = [];
+    for (const moduleEntity of moduleEntities) {
+      templateIds.push(await this.resolveTemplateId(moduleEntity));
     }
+    return templateIds;
+  }
 
-    return response.json();
+  // Run a request that uses resolved template IDs; the ledger rejecting one as unknown means a stored ID went stale
+  async withResolvedTemplates(templateIds, request) {
+    try {
+      return await request();
+    } catch (err) {
+      if (err instanceof UnknownTemplateError && err.status !== null) {
+        const [packageId, ...rest] = templateIds[0].split(':');
+        throw this.rejectStalePackage(rest.join(':'), packageId);
+      }
+      throw err;
+    }
   }
 
-  async createContract(templateId, payload) {
+  // Query our templates; pass full template IDs to query others
+  async queryContracts(templateIds) {
     if (!this.token) {
-      throw new Error('Not authenticated');
+      throw new AuthenticationError('Not authenticated');
     }
 
-    const response = await fetch(`${API_BASE_URL}/create`, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'Authorization': `Bearer ${this.token}`,
-      },
-      body: JSON.stringify({
-        templateId,
-        payload,
-      }),
+    const query = (finalTemplateIds) => this.withRetries(async () => {
+      const response = await fetchOrFail(`${this.baseUrl}/query`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'Authorization': `Bearer ${this.token}`,
+        },
+        body: JSON.stringify({ templateIds: finalTemplateIds }),
+      });
+
+      if (!response.ok) {
+        throw await errorFromResponse(response, 'Query');
+      }
+
+      return response.json();
     });
 
-    if (!response.ok) {
-      const error = await response.text();
-      throw new Error(`Create failed: ${error}`);
+    if (templateIds && templateIds.length > 0) {
+      return query(templateIds);
     }
 
-    return response.json();
+    const resolvedTemplateIds = await this.resolveTemplateIds();
+    return this.withResolvedTemplates(resolvedTemplateIds, () => query(resolvedTemplateIds));
   }
 
-  async createSimpleToken(issuer, owner, amount) {
+  // Look up one contract by ID. The result is null when the contract is archived or
+  // not visible to the party. templateId narrows the lookup when it is known.
+  async fetchContract(contractId, templateId) {
     if (!this.token) {
-      throw new Error('Not authenticated');
+      throw new AuthenticationError('Not authenticated');
     }
 
-    // Get package ID to construct proper template ID
-    let packageId = await this.findPackageId();
-    
-    // If we have a cached package ID, test it first
-    if (packageId) {
-      try {
-        const templateId = `${packageId}:SimpleToken:SimpleToken`;
-        const result = await this.createContract(templateId, {
-          issuer,
-          owner,
-          amount: amount.toString(),
-        });
-        return result;
-      } catch (err) {
-        const errorMsg = err.message || '';
-        // If cached package ID is wrong, clear it and try discovery
-        if (errorMsg.includes('Cannot resolve') || errorMsg.includes('unknownTemplateIds')) {
-          console.warn('Cached package ID is incorrect, clearing cache and trying all packages...');
-          localStorage.removeItem('daml_package_id');
-          packageId = null; // Force discovery
-        } else {
-          throw err;
-        }
+    return this.withRetries(async () => {
+      const response = await fetchOrFail(`${this.baseUrl}/fetch`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'Authorization': `Bearer ${this.token}`,
+        },
+        body: JSON.stringify(templateId ? { contractId, templateId } : { contractId }),
+      });
+
+      if (!response.ok) {
+        throw await errorFromResponse(response, 'Fetch');
       }
-    }
-    
-    // If we don't have a package ID or cached one failed, try all packages
-    if (!packageId) {
-      const packagesData = await this.getPackages();
-      const packageIds = packagesData.result || [];
-      
-      console.log(`Trying ${packageIds.length} packages to find SimpleToken template...`);
-      
-      // Try ALL packages systematically
-      // Start from the end (newest) since DAR was just uploaded
-      for (let i = packageIds.length - 1; i >= 0; i--) {
-        const pkgId = packageIds[i];
+
+      return response.json();
+    });
+  }
+
+  // Submit a command under a command ID and write the outcome to the party's journal.
+  // submit(commandId) sends the command once; it is retried while the ledger cannot be
+  // reached, always with the same ID, so the ledger runs it at most once. If it never
+  // gets through, the submission keeps the ID for when the user submits the command again.
+  // When the ledger reports the ID as a duplicate after an attempt whose outcome was unknown,
+  // that attempt was applied: the command succeeded, but its result is lost, so the response
+  // is { result: null, deduplicated: true }.
+  async journalCommand(details, submit, submission = new CommandSubmission()) {
+    const commandKey = JSON.stringify([details.kind, details.templateId, details.contractId, details.choice, details.argument]);
+    const resubmitted = submission.unsettled?.key === commandKey;
+    const commandId = resubmitted ? submission.unsettled.commandId : newCommandId();
+    submission.unsettled = null;
+    let outcomeUnknown = resubmitted;
+
+    const submittedAt = new Date().toISOString();
+    const entry = {
+      party: this.partyIdentifier,
+      userId: this.userId,
+      commandId,
+      submittedAt,
+      ...details,
+    };
+
+    try {
+      const response = await this.withRetries(async () => {
         try {
-          const templateId = `${pkgId}:SimpleToken:SimpleToken`;
-          const result = await this.createContract(templateId, {
-            issuer,
-            owner,
-            amount: amount.toString(),
-          });
-          
-          // Success! Cache this package ID
-          localStorage.setItem('daml_package_id', pkgId);
-          console.log(`✓ Found correct package ID: ${pkgId.substring(0, 16)}...`);
-          return result;
+          return await submit(commandId);
         } catch (err) {
-          const errorMsg = err.message || '';
-          // If it's a template resolution error, try next package
-          if (errorMsg.includes('Cannot resolve') || errorMsg.includes('unknownTemplateIds')) {
-            // Continue to next package
-            continue;
+          if (err instanceof NetworkError) {
+            outcomeUnknown = true;
+          } else if (err instanceof DuplicateCommandError && outcomeUnknown) {
+            return { status: 200, result: null, deduplicated: true };
           }
-          // If it's a different error (like authorization or validation), throw it
           throw err;
         }
+      });
+      await recordEntry({
+        ...entry,
+        templateId: entry.templateId || response.result?.templateId || null,
+        resultContractIds: resultContractIds(response),
+        completedAt: new Date().toISOString(),
+        status: 'succeeded',
+        error: null,
+      });
+      return response;
+    } catch (err) {
+      if (err instanceof NetworkError) {
+        submission.unsettled = { key: commandKey, commandId };
       }
-      
-      // If we tried all packages and none worked
-      throw new Error(
-        `Tried all ${packageIds.length} packages but none contained SimpleToken template. ` +
-        'The DAR file might not be uploaded correctly. ' +
-        'Try running: daml ledger upload-dar --host localhost --port 6865 .daml/dist/hello-canton-0.0.1.dar'
-      );
+      await recordEntry({
+        ...entry,
+        resultContractIds: [],
+        completedAt: new Date().toISOString(),
+        status: 'failed',
+        error: err.message,
+      });
+      throw err;
     }
   }
 
-  async exerciseChoice(contractId, choice, argument) {
+  // Pass the same submission (see CommandSubmission) when the user submits a command again
+  async createContract(templateId, payload, { submission } = {}) {
     if (!this.token) {
-      throw new Error('Not authenticated');
+      throw new AuthenticationError('Not authenticated');
     }
 
-    const response = await fetch(`${API_BASE_URL}/exercise`, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'Authorization': `Bearer ${this.token}`,
-      },
-      body: JSON.stringify({
-        contractId,
-        choice,
-        argument,
-      }),
+    await this.health.waitUntilUp();
+    return this.journalCommand({ kind: 'create', templateId, choice: null, contractId: null, argument: payload }, async (commandId) => {
+      const response = await fetchOrFail(`${this.baseUrl}/create`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'Authorization': `Bearer ${this.token}`,
+        },
+        body: JSON.stringify({
+          templateId,
+          payload,
+          meta: commandMeta(commandId),
+        }),
+      });
+
+      if (!response.ok) {
+        throw await errorFromResponse(response, 'Create');
+      }
+
+      return response.json();
+    }, submission);
+  }
+
+  async createSimpleToken(issuer, owner, amount) {
+    return this.createWithPackageDiscovery('SimpleToken:SimpleToken', {
+      issuer,
+      owner,
+      amount: decimalArgument(amount, 'Amount'),
     });
+  }
+
+  async createEscrow(sender, receiver, amount, note, isApproved = false) {
+    return this.createWithPackageDiscovery('Escrow:Escrow', {
+      sender,
+      receiver,
+      amount: decimalArgument(amount, 'Amount'),
+      isApproved,
+      note,
+    });
+  }
+
+  // Both owner and custodian sign the lock, so the session's token must act as both
+  async createCollateralLock(owner, custodian, asset, amount, minCollateralAmount) {
+    return this.createWithPackageDiscovery('CollateralLock:CollateralLock', {
+      owner,
+      custodian,
+      asset,
+      amount: decimalArgument(amount, 'Amount'),
+      minCollateralAmount: decimalArgument(minCollateralAmount, 'Minimum collateral amount'),
+    });
+  }
+
+  // Create a contract of one of our templates ("Module:Entity")
+  async createWithPackageDiscovery(moduleEntity, payload, options) {
+    const templateId = await this.resolveTemplateId(moduleEntity);
+    return this.withResolvedTemplates([templateId], () => this.createContract(templateId, payload, options));
+  }
 
-    if (!response.ok) {
-      const error = await response.text();
-      throw new Error(`Exercise failed: ${error}`);
+  // templateId is optional, but journal entries can only name the template when it is given
+  async exerciseChoice(contractId, choice, argument, templateId, { submission } = {}) {
+    if (!this.token) {
+      throw new AuthenticationError('Not authenticated');
     }
 
-    return response.json();
+    await this.health.waitUntilUp();
+    return this.journalCommand({ kind: 'exercise', templateId: templateId || null, choice, contractId, argument }, async (commandId) => {
+      const response = await fetchOrFail(`${this.baseUrl}/exercise`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'Authorization': `Bearer ${this.token}`,
+        },
+        body: JSON.stringify({
+          templateId,
+          contractId,
+          choice,
+          argument,
+          meta: commandMeta(commandId),
+        }),
+      });
+
+      if (!response.ok) {
+        throw await errorFromResponse(response, 'Exercise');
+      }
+
+      return response.json();
+    }, submission);
+  }
+
+  // Subscribe to the JSON API websocket query stream for our templates.
+  // onEvents receives each batch of { created } / { archived } events; onStatus
+  // receives 'connecting', 'live' or 'offline'. After a disconnect the stream
+  // reconnects with backoff and resumes from the last offset it saw.
+  // Returns a function that closes the subscription.
+  streamContracts({ onEvents, onStatus = () => {} }) {
+    let socket = null;
+    let closed = false;
+    let lastOffset = null;
+    let reconnectDelay = STREAM_RECONNECT_INITIAL_MS;
+    let reconnectTimer = null;
+
+    const scheduleReconnect = () => {
+      if (closed) return;
+      onStatus('offline');
+      reconnectTimer = setTimeout(connect, reconnectDelay);
+      reconnectDelay = Math.min(reconnectDelay * 2, STREAM_RECONNECT_MAX_MS);
+    };
+
+    const connect = async () => {
+      if (closed) return;
+      if (!this.token) {
+        onStatus('offline');
+        return;
+      }
+      onStatus('connecting');
+
+      let templateIds;
+      try {
+        templateIds = await this.resolveTemplateIds();
+      } catch (err) {
+        console.warn('Contract stream unavailable:', err);
+        scheduleReconnect();
+        return;
+      }
+      if (closed) return;
+
+      const wsBaseUrl = process.env.REACT_APP_WS_URL || toWebSocketUrl(this.baseUrl);
+      socket = new WebSocket(`${wsBaseUrl}/stream/query`, [`jwt.token.${this.token}`, 'daml.ws.auth']);
+
+      socket.onopen = () => {
+        reconnectDelay = STREAM_RECONNECT_INITIAL_MS;
+        // Resume after the last offset so events missed while offline are replayed
+        if (lastOffset) {
+          socket.send(JSON.stringify({ offset: lastOffset }));
+        }
+        socket.send(JSON.stringify({ templateIds }));
+        onStatus('live');
+      };
+
+      socket.onmessage = (message) => {
+        let data;
+        try {
+          data = JSON.parse(message.data);
+        } catch (err) {
+          console.warn('Ignoring malformed stream message:', message.data);
+          return;
+        }
+
+        if (data.errors) {
+          console.error('Contract stream error:', data.errors);
+          return;
+        }
+        if (data.events && data.events.length > 0) {
+          onEvents(data.events);
+        }
+        if (data.offset) {
+          lastOffset = data.offset;
+        }
+      };
+
+      socket.onclose = () => {
+        socket = null;
+        scheduleReconnect();
+      };
+    };
+
+    connect();
+
+    return () => {
+      closed = true;
+      clearTimeout(reconnectTimer);
+      if (socket) {
+        socket.onclose = null;
+        socket.close();
+        socket = null;
+      }
+    };
   }
 
   isAuthenticated() {
@@ -408,4 +812,4 @@ class DamlApi {
   }
 }
 
-export default new DamlApi();
+export default DamlApi;
@@ -0,0 +1,549 @@
+import DamlApi, { CommandSubmission } from './damlApi';
+import { MockJsonApi } from '../mocks/mockJsonApi';
+import { FakeWebSocket } from '../mocks/fakeWebSocket';
+import * as journal from './journal';
+import health, { healthFor } from './health';
+import {
+  AssertionFailedError,
+  AuthorizationError,
+  ContractNotFoundError,
+  DamlApiError,
+  NetworkError,
+  UnknownTemplateError,
+} from './errors';
+
+let ledger;
+
+beforeEach(() => {
+  localStorage.clear();
+  ledger = new MockJsonApi();
+  global.fetch = ledger.fetch;
+});
+
+afterEach(() => {
+  delete global.fetch;
+});
+
+async function loggedIn(userId) {
+  const client = new DamlApi({ sessionId: userId });
+  await client.login(userId);
+  return client;
+}
+
+const escrowPayload = (note) => ({
+  sender: ledger.partyId('Alice'),
+  receiver: ledger.partyId('Bob'),
+  amount: '25',
+  isApproved: false,
+  note,
+});
+
+const assetPayload = (name) => ({ issuer: ledger.partyId('Alice'), owner: ledger.partyId('Alice'), name });
+
+function contractsOf(result, moduleEntity) {
+  return result.result.filter(contract => contract.templateId.endsWith(`:${moduleEntity}`));
+}
+
+describe('login', () => {
+  test('resolves the primary party through user management and stores the session', async () => {
+    const client = await loggedIn('alice');
+
+    expect(client.isAuthenticated()).toBe(true);
+    expect(client.getPartyIdentifier()).toBe(ledger.partyId('Alice'));
+    expect(new DamlApi({ sessionId: 'alice' }).getPartyIdentifier()).toBe(ledger.partyId('Alice'));
+  });
+
+  test('lists ledger users with their rights', async () => {
+    const users = await new DamlApi().listUsers();
+
+    expect(users.find(user => user.userId === 'bob')).toEqual({
+      userId: 'bob',
+      primaryParty: ledger.partyId('Bob'),
+      actAs: [ledger.partyId('Bob')],
+      readAs: [],
+      admin: false,
+    });
+  });
+
+  test('rejects unknown users', async () => {
+    await expect(new DamlApi().login('mallory')).rejects.toThrow(DamlApiError);
+  });
+
+  test('rejects users without a party to act as', async () => {
+    await expect(new DamlApi().login('participant_admin')).rejects.toThrow(AuthorizationError);
+  });
+});
+
+describe('package discovery', () => {
+  test('picks the package with our name and version and remembers it', async () => {
+    const client = await loggedIn('alice');
+
+    expect(await client.resolveTemplateId('SimpleToken:SimpleToken')).toBe(ledger.templateId('SimpleToken:SimpleToken'));
+    const downloads = ledger.requests.filter(r => r.path.startsWith('/v1/packages/')).length;
+
+    expect(await client.resolveTemplateId('Escrow:Escrow')).toBe(ledger.templateId('Escrow:Escrow'));
+    expect(ledger.requests.filter(r => r.path.startsWith('/v1/packages/')).length).toBe(downloads);
+  });
+
+  test('drops a stored package ID the ledger does not know', async () => {
+    const client = await loggedIn('alice');
+    client.saveTemplatePackages({ 'SimpleToken:SimpleToken': 'deadbeef' });
+
+    await expect(client.resolveTemplateId('SimpleToken:SimpleToken')).rejects.toThrow(UnknownTemplateError);
+    expect(client.loadTemplatePackages()).toEqual({});
+    expect(await client.resolveTemplateId('SimpleToken:SimpleToken')).toBe(ledger.templateId('SimpleToken:SimpleToken'));
+  });
+
+  test('queries every registry template by default', async () => {
+    const client = await loggedIn('alice');
+    const result = await client.queryContracts([]);
+
+    expect(result.result).toEqual([]);
+    const query = ledger.requests.filter(r => r.path === '/v1/query');
+    expect(query).toHaveLength(1);
+  });
+
+  test('reads a template\'s choices and their argument fields from its package', async () => {
+    const client = await loggedIn('alice');
+    const choices = await client.getTemplateChoices(ledger.templateId('CollateralLock:CollateralLock'));
+
+    expect(choices).toEqual([
+      { name: 'AddCollateral', consuming: true, argument: [{ name: 'addAmount', type: 'Decimal' }] },
+      { name: 'Withdraw', consuming: true, argument: [{ name: 'withdrawAmount', type: 'Decimal' }] },
+      { name: 'Release', consuming: true, argument: [] },
+      { name: 'Liquidate', consuming: true, argument: [] },
+      // Its argument record is defined in the standard library, not in our package
+      { name: 'Archive', consuming: true, argument: null },
+    ]);
+    expect((await client.getTemplateChoices(ledger.templateId('Main:Asset')))[0])
+      .toEqual({ name: 'Give', consuming: true, argument: [{ name: 'newOwner', type: 'Party' }] });
+  });
+});
+
+describe('creates', () => {
+  test('a SimpleToken is visible to its issuer and owner only', async () => {
+    const alice = await loggedIn('alice');
+    const response = await alice.createSimpleToken(ledger.partyId('Alice'), ledger.partyId('Bob'), '100.50');
+
+    expect(response.result.payload).toEqual({
+      issuer: ledger.partyId('Alice'),
+      owner: ledger.partyId('Bob'),
+      amount: '100.5',
+    });
+
+    const bob = await loggedIn('bob');
+    const carol = await loggedIn('carol');
+    expect(contractsOf(await bob.queryContracts([]), 'SimpleToken:SimpleToken')).toHaveLength(1);
+    expect(contractsOf(await carol.queryContracts([]), 'SimpleToken:SimpleToken')).toHaveLength(0);
+  });
+
+  test('amounts are sent as exact Decimal strings', async () => {
+    const alice = await loggedIn('alice');
+
+    const response = await alice.createSimpleToken(ledger.partyId('Alice'), ledger.partyId('Bob'), '1234567890123456789012345678.0000000001');
+    expect(response.result.payload.amount).toBe('1234567890123456789012345678.0000000001');
+
+    await expect(alice.createSimpleToken(ledger.partyId('Alice'), ledger.partyId('Bob'), 0.1 + 0.2))
+      .rejects.toThrow('more than 10 decimal places');
+    expect(ledger.requests.filter(r => r.path === '/v1/create')).toHaveLength(1);
+  });
+
+  test('an Escrow is signed by its sender and observed by its receiver', async () => {
+    const alice = await loggedIn('alice');
+    const response = await alice.createWithPackageDiscovery('Escrow:Escrow', escrowPayload('Rent'));
+
+    expect(response.result.signatories).toEqual([ledger.partyId('Alice')]);
+    expect(response.result.observers).toEqual([ledger.partyId('Bob')]);
+  });
+
+  test('an Escrow created through its helper starts pending', async () => {
+    const alice = await loggedIn('alice');
+    const response = await alice.createEscrow(ledger.partyId('Alice'), ledger.partyId('Bob'), ' 25.50 ', 'Rent');
+
+    expect(response.result.payload).toEqual({ ...escrowPayload('Rent'), amount: '25.5' });
+    await expect(alice.createEscrow(ledger.partyId('Alice'), ledger.partyId('Bob'), 'ten', ''))
+      .rejects.toThrow('Amount');
+    expect(ledger.requests.filter(r => r.path === '/v1/create')).toHaveLength(1);
+  });
+
+  test('an Asset with an empty name fails its ensure clause', async () => {
+    const alice = await loggedIn('alice');
+
+    await expect(alice.createWithPackageDiscovery('Main:Asset', assetPayload('')))
+      .rejects.toThrow(AssertionFailedError);
+    expect(ledger.activeContracts()).toHaveLength(0);
+  });
+
+  test('a CollateralLock needs the custodian to sign as well', async () => {
+    const alice = await loggedIn('alice');
+
+    await expect(alice.createCollateralLock(ledger.partyId('Alice'), ledger.partyId('Carol'), 'USD', '1000', '500'))
+      .rejects.toThrow(AuthorizationError);
+  });
+
+  test('a user acting as owner and custodian creates a CollateralLock', async () => {
+    ledger.grantActAs('alice', 'Carol');
+    const alice = await loggedIn('alice');
+
+    const response = await alice.createCollateralLock(ledger.partyId('Alice'), ledger.partyId('Carol'), 'USD', '1000', '500');
+    expect(response.result.payload).toEqual({
+      owner: ledger.partyId('Alice'),
+      custodian: ledger.partyId('Carol'),
+      asset: 'USD',
+      amount: '1000.0',
+      minCollateralAmount: '500.0',
+    });
+    expect(response.result.signatories).toEqual([ledger.partyId('Alice'), ledger.partyId('Carol')]);
+
+    await expect(alice.createCollateralLock(ledger.partyId('Alice'), ledger.partyId('Carol'), 'USD', '1000', '-'))
+      .rejects.toThrow('Minimum collateral amount');
+    // The template's ensure clause: the lock holds at least its minimum
+    await expect(alice.createCollateralLock(ledger.partyId('Alice'), ledger.partyId('Carol'), 'USD', '400', '500'))
+      .rejects.toThrow(AssertionFailedError);
+  });
+
+  test('a create whose response is lost succeeds once when retried', async () => {
+    const alice = await loggedIn('alice');
+    ledger.dropResponses = 1;
+
+    const response = await alice.createSimpleToken(ledger.partyId('Alice'), ledger.partyId('Bob'), '10');
+    expect(response).toEqual({ status: 200, result: null, deduplicated: true });
+    expect(ledger.activeContracts()).toHaveLength(1);
+  });
+
+  test('submitting again after the ledger could not be reached reuses the command ID', async () => {
+    const alice = await loggedIn('alice');
+    const templateId = await alice.resolveTemplateId('SimpleToken:SimpleToken');
+    const payload = { issuer: ledger.partyId('Alice'), owner: ledger.partyId('Bob'), amount: '10' };
+    const submission = new CommandSubmission();
+    ledger.dropResponses = 4;
+
+    await expect(alice.createContract(templateId, payload, { submission })).rejects.toThrow(NetworkError);
+    expect((await alice.createContract(templateId, payload, { submission })).deduplicated).toBe(true);
+    expect(ledger.activeContracts()).toHaveLength(1);
+
+    // Once settled, the same form creates a second, identical token
+    expect((await alice.createContract(templateId, payload, { submission })).result.contractId).toBeTruthy();
+    expect(ledger.activeContracts()).toHaveLength(2);
+  }, 10000);
+
+  test('identical commands submitted separately are separate commands', async () => {
+    const alice = await loggedIn('alice');
+    const create = () => alice.createSimpleToken(ledger.partyId('Alice'), ledger.partyId('Bob'), '100');
+
+    const responses = await Promise.all([create(), create(), create()]);
+    expect(new Set(responses.map(response => response.result.contractId)).size).toBe(3);
+    expect(ledger.activeContracts()).toHaveLength(3);
+  });
+});
+
+describe('fetch', () => {
+  test('returns an active contract by ID, with or without its template', async () => {
+    const alice = await loggedIn('alice');
+    const token = (await alice.createSimpleToken(ledger.partyId('Alice'), ledger.partyId('Bob'), '5')).result;
+
+    expect((await alice.fetchContract(token.contractId)).result).toEqual(token);
+    expect((await alice.fetchContract(token.contractId, token.templateId)).result.signatories).toEqual([ledger.partyId('Alice')]);
+  });
+
+  test('returns null for contracts the party cannot see or that are archived', async () => {
+    const alice = await loggedIn('alice');
+    const bob = await loggedIn('bob');
+    const carol = await loggedIn('carol');
+    const token = (await alice.createSimpleToken(ledger.partyId('Alice'), ledger.partyId('Bob'), '5')).result;
+
+    expect((await carol.fetchContract(token.contractId)).result).toBeNull();
+    await bob.exerciseChoice(token.contractId, 'Transfer', { newOwner: ledger.partyId('Carol') }, token.templateId);
+    expect((await alice.fetchContract(token.contractId)).result).toBeNull();
+  });
+});
+
+describe('choices', () => {
+  let alice;
+  let bob;
+  let carol;
+
+  beforeEach(async () => {
+    alice = await loggedIn('alice');
+    bob = await loggedIn('bob');
+    carol = await loggedIn('carol');
+  });
+
+  const exercise = (client, contract, choice, argument = {}) =>
+    client.exerciseChoice(contract.contractId, choice, argument, contract.templateId);
+
+  test('Transfer archives the token and recreates it for the new owner', async () => {
+    const token = (await alice.createSimpleToken(ledger.partyId('Alice'), ledger.partyId('Bob'), '5')).result;
+    const response = await exercise(bob, token, 'Transfer', { newOwner: ledger.partyId('Carol') });
+
+    const newContractId = response.result.exerciseResult;
+    expect(response.result.events[0].archived.contractId).toBe(token.contractId);
+    expect(contractsOf(await bob.queryContracts([]), 'SimpleToken:SimpleToken')).toHaveLength(0);
+    const [carolToken] = contractsOf(await carol.queryContracts([]), 'SimpleToken:SimpleToken');
+    expect(carolToken.contractId).toBe(newContractId);
+    expect(carolToken.payload.owner).toBe(ledger.partyId('Carol'));
+  });
+
+  test('only the owner can Transfer', async () => {
+    const token = (await alice.createSimpleToken(ledger.partyId('Alice'), ledger.partyId('Bob'), '5')).result;
+
+    await expect(exercise(alice, token, 'Transfer', { newOwner: ledger.partyId('Carol') }))
+      .rejects.toThrow(AuthorizationError);
+  });
+
+  test('an archived contract cannot be exercised again', async () => {
+    const token = (await alice.createSimpleToken(ledger.partyId('Alice'), ledger.partyId('Bob'), '5')).result;
+    await exercise(bob, token, 'Transfer', { newOwner: ledger.partyId('Carol') });
+
+    await expect(exercise(bob, token, 'Transfer', { newOwner: ledger.partyId('Alice') }))
+      .rejects.toThrow(ContractNotFoundError);
+  });
+
+  test('Give hands an Asset to the new owner', async () => {
+    const asset = (await alice.createWithPackageDiscovery('Main:Asset', assetPayload('TV'))).result;
+    await exercise(alice, asset, 'Give', { newOwner: ledger.partyId('Bob') });
+
+    const [bobAsset] = contractsOf(await bob.queryContracts([]), 'Main:Asset');
+    expect(bobAsset.payload).toEqual({ issuer: ledger.partyId('Alice'), owner: ledger.partyId('Bob'), name: 'TV' });
+  });
+
+  test('Approve then Claim settles an Escrow', async () => {
+    const escrow = (await alice.createWithPackageDiscovery('Escrow:Escrow', escrowPayload(''))).result;
+
+    await expect(exercise(bob, escrow, 'Claim')).rejects.toThrow(AssertionFailedError);
+
+    const approved = await exercise(alice, escrow, 'Approve');
+    const [approvedEscrow] = contractsOf(await bob.queryContracts([]), 'Escrow:Escrow');
+    expect(approvedEscrow.contractId).toBe(approved.result.exerciseResult);
+    expect(approvedEscrow.payload.isApproved).toBe(true);
+
+    await expect(exercise(alice, approvedEscrow, 'Cancel')).rejects.toThrow(AssertionFailedError);
+    await exercise(bob, approvedEscrow, 'Claim');
+    expect(contractsOf(await bob.queryContracts([]), 'Escrow:Escrow')).toHaveLength(0);
+  });
+
+  test('Cancel archives a pending Escrow', async () => {
+    const escrow = (await alice.createWithPackageDiscovery('Escrow:Escrow', escrowPayload(''))).result;
+    await exercise(alice, escrow, 'Cancel');
+
+    expect(contractsOf(await alice.queryContracts([]), 'Escrow:Escrow')).toHaveLength(0);
+  });
+
+  test('the implicit Archive choice belongs to the signatories', async () => {
+    const token = (await alice.createSimpleToken(ledger.partyId('Alice'), ledger.partyId('Bob'), '5')).result;
+
+    await expect(exercise(bob, token, 'Archive')).rejects.toThrow(AuthorizationError);
+    const response = await exercise(alice, token, 'Archive');
+    expect(response.result.events).toEqual([{ archived: { contractId: token.contractId, templateId: token.templateId } }]);
+  });
+
+  describe('CollateralLock', () => {
+    let lock;
+
+    beforeEach(() => {
+      lock = ledger.seed('CollateralLock:CollateralLock', {
+        owner: ledger.partyId('Alice'),
+        custodian: ledger.partyId('Carol'),
+        asset: 'USD',
+        amount: '1000.0',
+        minCollateralAmount: '500.0',
+      });
+    });
+
+    test('AddCollateral raises the locked amount', async () => {
+      await exercise(alice, lock, 'AddCollateral', { addAmount: '0.25' });
+
+      const [updated] = contractsOf(await carol.queryContracts([]), 'CollateralLock:CollateralLock');
+      expect(updated.payload.amount).toBe('1000.25');
+    });
+
+    test('Withdraw keeps at least the minimum', async () => {
+      await expect(exercise(alice, lock, 'Withdraw', { withdrawAmount: '500.01' }))
+        .rejects.toThrow(AssertionFailedError);
+
+      await exercise(alice, lock, 'Withdraw', { withdrawAmount: '500' });
+      const [updated] = contractsOf(await alice.queryContracts([]), 'CollateralLock:CollateralLock');
+      expect(updated.payload.amount).toBe('500.0');
+    });
+
+    test.each(['Release', 'Liquidate'])('%s is for the custodian and closes the lock', async (choice) => {
+      await expect(exercise(alice, lock, choice)).rejects.toThrow(AuthorizationError);
+
+      await exercise(carol, lock, choice);
+      expect(contractsOf(await alice.queryContracts([]), 'CollateralLock:CollateralLock')).toHaveLength(0);
+    });
+  });
+});
+
+describe('connection loss', () => {
+  afterEach(() => {
+    health.reset();
+  });
+
+  test('a read that cannot reach the ledger is retried with backoff', async () => {
+    const alice = await loggedIn('alice');
+    // Resolve the package first, so only the query itself meets the outage
+    await alice.queryContracts([]);
+    ledger.requests = [];
+    ledger.reachable = false;
+    const started = Date.now();
+    setTimeout(() => {
+      ledger.reachable = true;
+    }, 100);
+
+    await alice.queryContracts([]);
+
+    const queries = ledger.requests.filter(request => request.path === '/v1/query');
+    expect(queries).toHaveLength(2);
+    expect(Date.now() - started).toBeGreaterThanOrEqual(450);
+  });
+
+  test('a read gives up after its last attempt with a NetworkError', async () => {
+    const alice = await loggedIn('alice');
+    await alice.queryContracts([]);
+    ledger.requests = [];
+    jest.useFakeTimers();
+    try {
+      ledger.reachable = false;
+      const query = alice.queryContracts([]).catch(err => err);
+      for (const delay of [500, 1000, 2000]) {
+        // Let the failed attempt settle before its backoff timer runs
+        for (let i = 0; i < 20; i++) await Promise.resolve();
+        jest.advanceTimersByTime(delay);
+      }
+      expect(await query).toBeInstanceOf(NetworkError);
+      expect(ledger.requests.filter(request => request.path === '/v1/query')).toHaveLength(4);
+    } finally {
+      jest.useRealTimers();
+    }
+  });
+
+  test('a command is held while the ledger is down and sent once it is back', async () => {
+    const alice = await loggedIn('alice');
+    health.setStatus('down');
+
+    const created = alice.createSimpleToken(ledger.partyId('Alice'), ledger.partyId('Bob'), '5');
+    await new Promise(resolve => setTimeout(resolve, 10));
+    expect(health.heldCommands).toBe(1);
+    expect(ledger.requests.filter(request => request.path === '/v1/create')).toHaveLength(0);
+
+    health.setStatus('up');
+    expect((await created).result.payload.amount).toBe('5.0');
+    expect(ledger.activeContracts()).toHaveLength(1);
+  });
+
+  test('a client of another JSON API is not held by this one\'s outage', () => {
+    health.setStatus('down');
+    const remote = new DamlApi({ baseUrl: 'http://ledger.test:7575/v1' });
+
+    expect(remote.health).toBe(healthFor('http://ledger.test:7575/v1'));
+    expect(remote.health.isUp()).toBe(true);
+    expect(new DamlApi().health).toBe(health);
+  });
+});
+
+describe('journal', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('records each command with its outcome under the submitting party', async () => {
+    const recorded = jest.spyOn(journal, 'recordEntry').mockResolvedValue();
+    const alice = await loggedIn('alice');
+    const bob = await loggedIn('bob');
+    const token = (await alice.createSimpleToken(ledger.partyId('Alice'), ledger.partyId('Bob'), '5')).result;
+    const transfer = (client) =>
+      client.exerciseChoice(token.contractId, 'Transfer', { newOwner: ledger.partyId('Carol') }, token.templateId);
+
+    const transferred = await transfer(bob);
+    await expect(transfer(alice)).rejects.toThrow();
+
+    const [created, exercised, failed] = recorded.mock.calls.map(([entry]) => entry);
+    expect(created).toMatchObject({
+      party: ledger.partyId('Alice'),
+      userId: 'alice',
+      kind: 'create',
+      templateId: token.templateId,
+      // As submitted; the ledger normalizes the Decimal
+      argument: { issuer: ledger.partyId('Alice'), owner: ledger.partyId('Bob'), amount: '5' },
+      resultContractIds: [token.contractId],
+      status: 'succeeded',
+      error: null,
+    });
+    expect(exercised).toMatchObject({
+      party: ledger.partyId('Bob'),
+      kind: 'exercise',
+      choice: 'Transfer',
+      contractId: token.contractId,
+      resultContractIds: [transferred.result.exerciseResult],
+      status: 'succeeded',
+    });
+    expect(failed).toMatchObject({ party: ledger.partyId('Alice'), status: 'failed', resultContractIds: [] });
+    expect(failed.error).toMatch(/Exercise failed/);
+    expect(new Set([created.commandId, exercised.commandId, failed.commandId]).size).toBe(3);
+    expect(Date.parse(exercised.completedAt)).toBeGreaterThanOrEqual(Date.parse(exercised.submittedAt));
+  });
+});
+
+describe('contract stream', () => {
+  let realWebSocket;
+
+  beforeEach(() => {
+    realWebSocket = global.WebSocket;
+    global.WebSocket = FakeWebSocket;
+    FakeWebSocket.reset();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    global.WebSocket = realWebSocket;
+  });
+
+  async function nextSocket(count) {
+    while (FakeWebSocket.sockets.length < count) {
+      await new Promise(resolve => setTimeout(resolve, 10));
+    }
+    return FakeWebSocket.sockets[count - 1];
+  }
+
+  test('authenticates with the token and reports events and status', async () => {
+    const alice = await loggedIn('alice');
+    const batches = [];
+    const statuses = [];
+    const close = alice.streamContracts({ onEvents: events => batches.push(events), onStatus: status => statuses.push(status) });
+
+    const socket = await nextSocket(1);
+    expect(socket.url).toBe(`ws://${window.location.host}/v1/stream/query`);
+    expect(socket.protocols).toEqual([`jwt.token.${alice.token}`, 'daml.ws.auth']);
+    socket.open();
+    socket.receive({ events: [], offset: '1' });
+    const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+    socket.receive('not json');
+    expect(warn).toHaveBeenCalledWith('Ignoring malformed stream message:', 'not json');
+    socket.receive({ events: [{ archived: { contractId: '#1:0' } }], offset: '2' });
+
+    expect(statuses).toEqual(['connecting', 'live']);
+    expect(batches).toEqual([[{ archived: { contractId: '#1:0' } }]]);
+
+    close();
+    expect(socket.closed).toBe(true);
+  });
+
+  test('reconnects after the connection drops and resumes from the last offset', async () => {
+    const alice = await loggedIn('alice');
+    const statuses = [];
+    const close = alice.streamContracts({ onEvents: () => {}, onStatus: status => statuses.push(status) });
+
+    const first = await nextSocket(1);
+    first.open();
+    first.receive({ events: [{ archived: { contractId: '#1:0' } }], offset: '7' });
+    first.serverClose();
+    expect(statuses).toEqual(['connecting', 'live', 'offline']);
+
+    const second = await nextSocket(2);
+    second.open();
+    expect(second.sent).toEqual([{ offset: '7' }, first.sent[0]]);
+    expect(statuses).toEqual(['connecting', 'live', 'offline', 'connecting', 'live']);
+    close();
+  });
+});
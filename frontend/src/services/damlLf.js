@@ -0,0 +1,308 @@
+// Minimal reader for Daml-LF archives (the DALF bytes served by /v1/packages/<packageId>).
+// It only decodes what package resolution and the exercise dialog need: the archive hash,
+// the package name and version from the package metadata, the Module:Entity of every
+// template, and each template's choices with the fields of their argument records.
+//
+// Relevant protobuf messages (com.daml.daml_lf_dev):
+//   Archive        { hash_function = 1; bytes payload = 3; string hash = 4 }
+//   ArchivePayload { daml_lf_1.Package daml_lf_1 = 2; string minor = 3 }
+//   Package        { repeated Module modules = 1; repeated string interned_strings = 2;
+//                    repeated InternedDottedName interned_dotted_names = 3; PackageMetadata metadata = 4;
+//                    repeated Type interned_types = 5 }
+//   PackageMetadata    { int32 name_interned_str = 1; int32 version_interned_str = 2 }
+//   InternedDottedName { repeated int32 segments_interned_str = 1 }
+//   DottedName         { repeated string segments = 1 }
+//   Module         { DottedName name_dname = 1; int32 name_interned_dname = 3;
+//                    repeated DefDataType data_types = 4; repeated DefTemplate templates = 6 }
+//   DefDataType    { DottedName name_dname = 1; int32 name_interned_dname = 8; Fields record = 3 }
+//   Fields         { repeated FieldWithType fields = 1 }
+//   FieldWithType  { string field_str = 1; int32 field_interned_str = 3; Type type = 2 }
+//   DefTemplate    { DottedName tycon_dname = 1; int32 tycon_interned_dname = 12; repeated TemplateChoice choices = 7 }
+//   TemplateChoice { string name_str = 1; int32 name_interned_str = 9; bool consuming = 2; VarWithType arg_binder = 4 }
+//   VarWithType    { Type type = 2 }
+//   Type           { Con con = 2; Prim prim = 3; int32 interned = 10 }  (other kinds are not needed)
+//   Type.Con       { TypeConName tycon = 1 }
+//   Type.Prim      { PrimType prim = 1 }
+//   TypeConName    { ModuleRef module = 1; DottedName name_dname = 2; int32 name_interned_dname = 3 }
+//   ModuleRef      { PackageRef package_ref = 1; DottedName module_name_dname = 2; int32 module_name_interned_dname = 3 }
+//   PackageRef     { Unit self = 1; string package_id_str = 2; int32 package_id_interned_str = 3 }
+
+const WIRE_VARINT = 0;
+const WIRE_FIXED64 = 1;
+const WIRE_LENGTH_DELIMITED = 2;
+const WIRE_FIXED32 = 5;
+
+// PrimType values, named like the Daml types. Daml's Decimal is Numeric 10.
+const PRIM_TYPES = {
+  0: 'Unit',
+  1: 'Bool',
+  2: 'Int64',
+  3: 'Decimal',
+  5: 'Text',
+  6: 'Time',
+  8: 'Party',
+  9: 'List',
+  12: 'Date',
+  13: 'ContractId',
+  14: 'Optional',
+  16: 'TextMap',
+  17: 'Decimal',
+  20: 'Map',
+};
+
+// Iterate over the fields of one protobuf message as { field, wireType, value }.
+// Varints are numbers, length-delimited fields are Uint8Array slices.
+function readFields(bytes) {
+  const fields = [];
+  let pos = 0;
+
+  const readVarint = () => {
+    let result = 0;
+    let shift = 0;
+    for (;;) {
+      if (pos >= bytes.length) {
+        throw new Error('Malformed Daml-LF archive: truncated varint');
+      }
+      const byte = bytes[pos++];
+      // Multiply instead of shifting so values above 2^31 stay positive
+      result += (byte & 0x7f) * Math.pow(2, shift);
+      if ((byte & 0x80) === 0) return result;
+      shift += 7;
+    }
+  };
+
+  while (pos < bytes.length) {
+    const key = readVarint();
+    const field = Math.floor(key / 8);
+    const wireType = key % 8;
+
+    switch (wireType) {
+      case WIRE_VARINT:
+        fields.push({ field, wireType, value: readVarint() });
+        break;
+      case WIRE_FIXED64:
+        pos += 8;
+        break;
+      case WIRE_LENGTH_DELIMITED: {
+        const length = readVarint();
+        if (pos + length > bytes.length) {
+          throw new Error('Malformed Daml-LF archive: truncated field');
+        }
+        fields.push({ field, wireType, value: bytes.subarray(pos, pos + length) });
+        pos += length;
+        break;
+      }
+      case WIRE_FIXED32:
+        pos += 4;
+        break;
+      default:
+        throw new Error(`Malformed Daml-LF archive: unsupported wire type ${wireType}`);
+    }
+  }
+
+  return fields;
+}
+
+function readString(bytes) {
+  return new TextDecoder('utf-8').decode(bytes);
+}
+
+// A repeated int32 may be packed (one length-delimited field) or not (one varint per element)
+function readRepeatedInt32(fields, fieldNumber) {
+  const values = [];
+  for (const { field, wireType, value } of fields) {
+    if (field !== fieldNumber) continue;
+    if (wireType === WIRE_VARINT) {
+      values.push(value);
+    } else if (wireType === WIRE_LENGTH_DELIMITED) {
+      let pos = 0;
+      while (pos < value.length) {
+        let result = 0;
+        let shift = 0;
+        let byte;
+        do {
+          byte = value[pos++];
+          result += (byte & 0x7f) * Math.pow(2, shift);
+          shift += 7;
+        } while (byte & 0x80);
+        values.push(result);
+      }
+    }
+  }
+  return values;
+}
+
+function readDottedName(bytes) {
+  return readFields(bytes)
+    .filter(f => f.field === 1)
+    .map(f => readString(f.value))
+    .join('.');
+}
+
+// A name is either an inline DottedName or an index into the interned dotted names
+function resolveName(fields, inlineField, internedField, internedDottedNames) {
+  const inline = fields.find(f => f.field === inlineField && f.wireType === WIRE_LENGTH_DELIMITED);
+  if (inline) {
+    return readDottedName(inline.value);
+  }
+  const interned = fields.find(f => f.field === internedField && f.wireType === WIRE_VARINT);
+  if (interned && internedDottedNames[interned.value] !== undefined) {
+    return internedDottedNames[interned.value];
+  }
+  return null;
+}
+
+// A string is either inline or an index into the interned strings
+function resolveString(fields, inlineField, internedField, internedStrings) {
+  const inline = fields.find(f => f.field === inlineField && f.wireType === WIRE_LENGTH_DELIMITED);
+  if (inline) {
+    return readString(inline.value);
+  }
+  const interned = fields.find(f => f.field === internedField && f.wireType === WIRE_VARINT);
+  return interned ? internedStrings[interned.value] ?? null : null;
+}
+
+// A Type as { name, local }: name is a primitive's Daml name (e.g. 'Party') or the
+// "Module:Entity" of a data type, and local tells whether that data type is defined in
+// this package. Type kinds the dashboard has no use for (variables, functions, ...) are 'Unknown'.
+function readType(bytes, names) {
+  const fields = readFields(bytes);
+  const interned = fields.find(f => f.field === 10 && f.wireType === WIRE_VARINT);
+  if (interned) {
+    const internedType = names.internedTypes[interned.value];
+    return internedType ? readType(internedType, names) : { name: 'Unknown', local: false };
+  }
+
+  const prim = fields.find(f => f.field === 3 && f.wireType === WIRE_LENGTH_DELIMITED);
+  if (prim) {
+    // proto3 leaves out zero values, so a Prim without its enum field is Unit
+    const primType = readFields(prim.value).find(f => f.field === 1 && f.wireType === WIRE_VARINT);
+    return { name: PRIM_TYPES[primType ? primType.value : 0] || 'Unknown', local: false };
+  }
+
+  const con = fields.find(f => f.field === 2 && f.wireType === WIRE_LENGTH_DELIMITED);
+  const tycon = con && readFields(con.value).find(f => f.field === 1 && f.wireType === WIRE_LENGTH_DELIMITED);
+  if (tycon) {
+    const tyconFields = readFields(tycon.value);
+    const moduleRef = tyconFields.find(f => f.field === 1 && f.wireType === WIRE_LENGTH_DELIMITED);
+    const moduleFields = moduleRef ? readFields(moduleRef.value) : [];
+    const packageRef = moduleFields.find(f => f.field === 1 && f.wireType === WIRE_LENGTH_DELIMITED);
+    const moduleName = resolveName(moduleFields, 2, 3, names.internedDottedNames);
+    const entityName = resolveName(tyconFields, 2, 3, names.internedDottedNames);
+    return {
+      name: `${moduleName}:${entityName}`,
+      local: !!packageRef && readFields(packageRef.value).some(f => f.field === 1),
+    };
+  }
+
+  return { name: 'Unknown', local: false };
+}
+
+// The fields of a record data type as [{ name, type }], with type named as in readType
+function readRecordFields(recordBytes, names) {
+  return readFields(recordBytes)
+    .filter(f => f.field === 1 && f.wireType === WIRE_LENGTH_DELIMITED)
+    .map(f => {
+      const field = readFields(f.value);
+      const type = field.find(t => t.field === 2 && t.wireType === WIRE_LENGTH_DELIMITED);
+      return {
+        name: resolveString(field, 1, 3, names.internedStrings),
+        type: type ? readType(type.value, names).name : 'Unknown',
+      };
+    });
+}
+
+// Decode a DALF archive into { hash, name, version, templates, choices }, where templates
+// lists "Module:Entity" strings. name and version are null for packages without metadata.
+// choices maps each template's "Module:Entity" to its choices as { name, consuming, argument }:
+// argument lists the fields of the choice's argument record, or is null when that record is
+// defined in another package (e.g. the Archive choice's, from the standard library).
+export function readPackageSummary(archiveBytes) {
+  const archive = readFields(archiveBytes);
+  const hashField = archive.find(f => f.field === 4 && f.wireType === WIRE_LENGTH_DELIMITED);
+  const payloadField = archive.find(f => f.field === 3 && f.wireType === WIRE_LENGTH_DELIMITED);
+  if (!payloadField) {
+    throw new Error('Malformed Daml-LF archive: missing payload');
+  }
+
+  const payload = readFields(payloadField.value);
+  const packageField = payload.find(f => f.field === 2 && f.wireType === WIRE_LENGTH_DELIMITED);
+  if (!packageField) {
+    throw new Error('Unsupported Daml-LF archive: only Daml-LF 1 packages can be read');
+  }
+
+  const pkg = readFields(packageField.value);
+  const internedStrings = pkg
+    .filter(f => f.field === 2 && f.wireType === WIRE_LENGTH_DELIMITED)
+    .map(f => readString(f.value));
+  const internedDottedNames = pkg
+    .filter(f => f.field === 3 && f.wireType === WIRE_LENGTH_DELIMITED)
+    .map(f => readRepeatedInt32(readFields(f.value), 1).map(i => internedStrings[i]).join('.'));
+  const names = {
+    internedStrings,
+    internedDottedNames,
+    internedTypes: pkg.filter(f => f.field === 5 && f.wireType === WIRE_LENGTH_DELIMITED).map(f => f.value),
+  };
+
+  let name = null;
+  let version = null;
+  const metadataField = pkg.find(f => f.field === 4 && f.wireType === WIRE_LENGTH_DELIMITED);
+  if (metadataField) {
+    const metadata = readFields(metadataField.value);
+    const nameIndex = metadata.find(f => f.field === 1 && f.wireType === WIRE_VARINT);
+    const versionIndex = metadata.find(f => f.field === 2 && f.wireType === WIRE_VARINT);
+    name = internedStrings[nameIndex ? nameIndex.value : 0] ?? null;
+    version = internedStrings[versionIndex ? versionIndex.value : 0] ?? null;
+  }
+
+  // Argument records are only resolved once every module's data types are known
+  const records = new Map();
+  const templates = [];
+  const templateChoices = [];
+  for (const moduleField of pkg.filter(f => f.field === 1 && f.wireType === WIRE_LENGTH_DELIMITED)) {
+    const module = readFields(moduleField.value);
+    const moduleName = resolveName(module, 1, 3, internedDottedNames);
+    for (const dataTypeField of module.filter(f => f.field === 4 && f.wireType === WIRE_LENGTH_DELIMITED)) {
+      const dataType = readFields(dataTypeField.value);
+      const record = dataType.find(f => f.field === 3 && f.wireType === WIRE_LENGTH_DELIMITED);
+      const typeName = resolveName(dataType, 1, 8, internedDottedNames);
+      if (record && typeName) {
+        records.set(`${moduleName}:${typeName}`, record.value);
+      }
+    }
+    for (const templateField of module.filter(f => f.field === 6 && f.wireType === WIRE_LENGTH_DELIMITED)) {
+      const template = readFields(templateField.value);
+      const entityName = resolveName(template, 1, 12, internedDottedNames);
+      if (moduleName && entityName) {
+        templates.push(`${moduleName}:${entityName}`);
+        templateChoices.push([
+          `${moduleName}:${entityName}`,
+          template.filter(f => f.field === 7 && f.wireType === WIRE_LENGTH_DELIMITED).map(f => readFields(f.value)),
+        ]);
+      }
+    }
+  }
+
+  const choices = {};
+  for (const [template, choiceFields] of templateChoices) {
+    choices[template] = choiceFields.map(choice => {
+      const binder = choice.find(f => f.field === 4 && f.wireType === WIRE_LENGTH_DELIMITED);
+      const binderType = binder && readFields(binder.value).find(f => f.field === 2 && f.wireType === WIRE_LENGTH_DELIMITED);
+      const argumentType = binderType ? readType(binderType.value, names) : null;
+      const record = argumentType?.local ? records.get(argumentType.name) : undefined;
+      return {
+        name: resolveString(choice, 1, 9, internedStrings),
+        consuming: choice.some(f => f.field === 2 && f.wireType === WIRE_VARINT && f.value !== 0),
+        argument: record ? readRecordFields(record, names) : null,
+      };
+    });
+  }
+
+  return {
+    hash: hashField ? readString(hashField.value) : null,
+    name,
+    version,
+    templates,
+    choices,
+  };
+}
@@ -0,0 +1,96 @@
+// Exact arithmetic on Daml Decimal amounts. Daml's Decimal is Numeric 10: 38 significant
+// digits, 10 of them after the point, so at most 28 before it. That is 38 digits in all,
+// not 28: the ledger stores and returns amounts up to 9999999999999999999999999999.9999999999,
+// and the forms have to accept every amount a contract can hold.
+// Amounts stay decimal strings everywhere ("100.5", as the JSON API returns them);
+// internally they are BigInts counting units of 10^-10, so nothing is ever rounded through a float.
+/* global BigInt */
+
+export const DECIMAL_SCALE = 10;
+export const MAX_INTEGER_DIGITS = 28;
+
+// The smallest step a Decimal can take, e.g. for <input step>
+export const DECIMAL_STEP = `0.${'0'.repeat(DECIMAL_SCALE - 1)}1`;
+
+const DECIMAL_PATTERN = /^(-?)(\d+)(?:\.(\d+))?$/;
+const ZERO = BigInt(0);
+const SCALE = BigInt(`1${'0'.repeat(DECIMAL_SCALE)}`);
+
+// What is wrong with a Decimal's text, or null when it is a valid Decimal.
+// label names the value in the message; only the first problem is reported.
+export function checkDecimal(value, label = 'Amount') {
+  const text = String(value ?? '').trim();
+  const match = DECIMAL_PATTERN.exec(text);
+  if (!match) {
+    return `${label} must be a number${text ? `, not "${text}"` : ''}.`;
+  }
+  const [, , integer, fraction = ''] = match;
+  if (integer.replace(/^0+/, '').length > MAX_INTEGER_DIGITS) {
+    return `${label} has more than ${MAX_INTEGER_DIGITS} digits before the decimal point.`;
+  }
+  if (fraction.length > DECIMAL_SCALE) {
+    return `${label} has more than ${DECIMAL_SCALE} decimal places.`;
+  }
+  return null;
+}
+
+export function isDecimal(value) {
+  return checkDecimal(value) === null;
+}
+
+// Decimal text -> BigInt in units of 10^-10; throws a RangeError for text that is not a
+// number or has more than 10 decimal places. Larger integer parts are allowed so that
+// sums (e.g. portfolio totals) can be computed; checkDecimal guards what goes to the ledger.
+export function parseDecimal(value) {
+  const match = DECIMAL_PATTERN.exec(String(value ?? '').trim());
+  if (!match || (match[3] || '').length > DECIMAL_SCALE) {
+    throw new RangeError(checkDecimal(value));
+  }
+  const [, sign, integer, fraction = ''] = match;
+  const units = BigInt(integer) * SCALE + BigInt(fraction.padEnd(DECIMAL_SCALE, '0'));
+  return sign ? -units : units;
+}
+
+// BigInt units -> Decimal text the way the JSON API writes it: no trailing zeros,
+// but always a fraction ("100.0")
+export function formatDecimal(units) {
+  const negative = units < ZERO;
+  const absolute = negative ? -units : units;
+  const integer = (absolute / SCALE).toString();
+  const fraction = (absolute % SCALE).toString().padStart(DECIMAL_SCALE, '0').replace(/0+$/, '') || '0';
+  return `${negative ? '-' : ''}${integer}.${fraction}`;
+}
+
+// The canonical text of a Decimal: "0100.50" -> "100.5"
+export function normalizeDecimal(value) {
+  return formatDecimal(parseDecimal(value));
+}
+
+export function addDecimals(...values) {
+  return formatDecimal(values.reduce((sum, value) => sum + parseDecimal(value), ZERO));
+}
+
+export function subtractDecimals(a, b) {
+  return formatDecimal(parseDecimal(a) - parseDecimal(b));
+}
+
+// -1, 0 or 1, for sorting
+export function compareDecimals(a, b) {
+  const difference = parseDecimal(a) - parseDecimal(b);
+  if (difference === ZERO) return 0;
+  return difference < ZERO ? -1 : 1;
+}
+
+export function isPositiveDecimal(value) {
+  return parseDecimal(value) > ZERO;
+}
+
+// Decimal text for display, with the user's locale separators and every digit kept
+export function displayDecimal(value) {
+  const [, sign, integer, fraction] = DECIMAL_PATTERN.exec(normalizeDecimal(value));
+  const parts = new Intl.NumberFormat().formatToParts(1000.5);
+  const group = parts.find(part => part.type === 'group')?.value ?? ',';
+  const point = parts.find(part => part.type === 'decimal')?.value ?? '.';
+  const grouped = integer.replace(/\B(?=(\d{3})+(?!\d))/g, group);
+  return `${sign}${grouped}${fraction === '0' ? '' : `${point}${fraction}`}`;
+}
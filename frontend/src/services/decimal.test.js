@@ -0,0 +1,44 @@
+import {
+  addDecimals,
+  checkDecimal,
+  compareDecimals,
+  displayDecimal,
+  normalizeDecimal,
+  parseDecimal,
+  subtractDecimals,
+} from './decimal';
+
+test('adds without float rounding', () => {
+  expect(addDecimals('0.1', '0.2')).toBe('0.3');
+  expect(addDecimals('9999999999999999999999999999.9999999999', '0.0000000001')).toBe('10000000000000000000000000000.0');
+  expect(subtractDecimals('1000', '1000.25')).toBe('-0.25');
+});
+
+test('normalizes the way the JSON API prints Decimals', () => {
+  expect(normalizeDecimal('0100.50')).toBe('100.5');
+  expect(normalizeDecimal('7')).toBe('7.0');
+  expect(normalizeDecimal('-0.0')).toBe('0.0');
+});
+
+test('enforces the Numeric 10 limits', () => {
+  // The largest Decimal: 28 digits before the point and 10 after it
+  expect(checkDecimal('9999999999999999999999999999.9999999999')).toBeNull();
+  expect(checkDecimal('-9999999999999999999999999999.9999999999')).toBeNull();
+  // Leading zeros are not significant
+  expect(checkDecimal('0001234567890123456789012345678')).toBeNull();
+  expect(checkDecimal('12345678901234567890123456789')).toMatch(/more than 28 digits before/);
+  expect(checkDecimal('0.12345678901')).toMatch(/more than 10 decimal places/);
+  expect(checkDecimal(String(0.1 + 0.2))).toMatch(/more than 10 decimal places/);
+  expect(checkDecimal('1e5', 'Minimum')).toBe('Minimum must be a number, not "1e5".');
+  expect(checkDecimal('')).toBe('Amount must be a number.');
+  expect(() => parseDecimal('abc')).toThrow(RangeError);
+  expect(() => parseDecimal('0.12345678901')).toThrow(RangeError);
+});
+
+test('compares exactly and displays every digit', () => {
+  expect(compareDecimals('10000000000000000000000000000.0000000001', '10000000000000000000000000000')).toBe(1);
+  expect(compareDecimals('2.50', '2.5')).toBe(0);
+  expect(['10', '9.99', '-1'].sort(compareDecimals)).toEqual(['-1', '9.99', '10']);
+  expect(displayDecimal('1234567.1200000000')).toBe('1,234,567.12');
+  expect(displayDecimal('-500.0')).toBe('-500');
+});
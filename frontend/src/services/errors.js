@@ -0,0 +1,92 @@
+// Typed errors for JSON API failures. DamlApi turns every failed response into one of
+// these by parsing the JSON API error body ({ errors: [...], status, warnings? }), so
+// callers can branch with instanceof instead of matching message text.
+//
+// Every error carries:
+//   status  HTTP status code, or null when no response was received
+//   errors  the `errors` array from the body (or the raw body as a single entry)
+//   detail  the raw response body, or the underlying error message
+
+export class DamlApiError extends Error {
+  constructor(message, { status = null, errors = [], detail = null } = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    this.status = status;
+    this.errors = errors;
+    this.detail = detail;
+  }
+}
+
+// Missing, expired or rejected token (HTTP 401), or no session at all
+export class AuthenticationError extends DamlApiError {}
+
+// The token is valid but the party may not do this: missing actAs/readAs rights,
+// or a command that needs authorizers the submitting party cannot provide
+export class AuthorizationError extends DamlApiError {}
+
+// Template ID the ledger does not know: DAR not uploaded, or a stale package ID
+export class UnknownTemplateError extends DamlApiError {}
+
+// The contract does not exist (anymore), usually because it was already archived
+export class ContractNotFoundError extends DamlApiError {}
+
+// A Daml `assert` in a choice, or a template's `ensure` clause, rejected the command
+export class AssertionFailedError extends DamlApiError {}
+
+// The ledger already accepted a command with this command ID within the deduplication
+// period, typically a resubmission of a command whose response was lost
+export class DuplicateCommandError extends DamlApiError {}
+
+// The JSON API could not be reached at all
+export class NetworkError extends DamlApiError {}
+
+const AUTHORIZATION_PATTERN = /PERMISSION_DENIED|DAML_AUTHORIZATION_ERROR|requires authorizers|not authorized to/i;
+const UNKNOWN_TEMPLATE_PATTERN = /unknownTemplateIds|Cannot resolve|TEMPLATES_OR_INTERFACES_NOT_FOUND|Unknown template/i;
+const CONTRACT_NOT_FOUND_PATTERN = /CONTRACT_NOT_FOUND|Contract could not be found|contract .* (is not active|was archived|not found)/i;
+const ASSERTION_PATTERN = /Assertion ?failed|pre-?condition violated|UNHANDLED_EXCEPTION/i;
+const DUPLICATE_COMMAND_PATTERN = /DUPLICATE_COMMAND|command id has already been/i;
+const UNAVAILABLE_PATTERN = /ECONNREFUSED|Could not proxy request|\bUNAVAILABLE\b/i;
+
+function parseBody(text) {
+  try {
+    const body = JSON.parse(text);
+    if (Array.isArray(body.errors) && body.errors.length > 0) {
+      return body.errors.map(String);
+    }
+  } catch (err) {
+    // Not JSON: proxies and crashed servers answer with plain text or HTML
+  }
+  return text ? [text] : [];
+}
+
+function errorClass(status, detail) {
+  if (status === 401) return AuthenticationError;
+  if (DUPLICATE_COMMAND_PATTERN.test(detail)) return DuplicateCommandError;
+  if (status === 403 || AUTHORIZATION_PATTERN.test(detail)) return AuthorizationError;
+  if (UNKNOWN_TEMPLATE_PATTERN.test(detail)) return UnknownTemplateError;
+  if (CONTRACT_NOT_FOUND_PATTERN.test(detail)) return ContractNotFoundError;
+  if (ASSERTION_PATTERN.test(detail)) return AssertionFailedError;
+  if (status === 502 || status === 503 || status === 504 || UNAVAILABLE_PATTERN.test(detail)) return NetworkError;
+  return DamlApiError;
+}
+
+// Build the typed error for a failed response; action names the request, e.g. "Create"
+export async function errorFromResponse(response, action) {
+  const detail = await response.text();
+  const errors = parseBody(detail);
+  const ErrorClass = errorClass(response.status, detail);
+  return new ErrorClass(`${action} failed: ${errors[0] || `HTTP ${response.status}`}`, {
+    status: response.status,
+    errors,
+    detail,
+  });
+}
+
+// fetch that reports an unreachable server as a NetworkError instead of a bare TypeError
+export async function fetchOrFail(url, options) {
+  try {
+    return await fetch(url, options);
+  } catch (err) {
+    throw new NetworkError(`Cannot reach the JSON API at ${url}`, { detail: err.message });
+  }
+}
@@ -0,0 +1,96 @@
+import {
+  errorFromResponse,
+  fetchOrFail,
+  AssertionFailedError,
+  AuthenticationError,
+  AuthorizationError,
+  ContractNotFoundError,
+  DamlApiError,
+  DuplicateCommandError,
+  NetworkError,
+  UnknownTemplateError,
+} from './errors';
+
+// Only what errorFromResponse reads of a fetch Response
+function response(status, body) {
+  return { status, text: async () => body };
+}
+
+const jsonBody = (status, error) => JSON.stringify({ status, errors: [error] });
+
+test.each([
+  [401, jsonBody(401, 'missing Authorization header with OAuth 2.0 Bearer Token'), AuthenticationError],
+  // 401 wins even when the body would match something else
+  [401, jsonBody(401, 'PERMISSION_DENIED(7,0): token expired'), AuthenticationError],
+  [403, jsonBody(403, 'forbidden'), AuthorizationError],
+  [400, jsonBody(400, 'PERMISSION_DENIED(7,0): Claims do not authorize to act as party'), AuthorizationError],
+  [400, jsonBody(400, 'DAML_AUTHORIZATION_ERROR(9,0): Interpretation error'), AuthorizationError],
+  [400, jsonBody(400, 'requires authorizers Alice, Carol, but only Alice were given'), AuthorizationError],
+  [400, jsonBody(400, 'Alice is not authorized to act as Carol'), AuthorizationError],
+  [400, jsonBody(400, 'unknownTemplateIds: [pkg:Main:Asset]'), UnknownTemplateError],
+  [400, jsonBody(400, 'JsonReaderError. Cannot resolve template ID'), UnknownTemplateError],
+  [404, jsonBody(404, 'TEMPLATES_OR_INTERFACES_NOT_FOUND(11,0): Templates do not exist'), UnknownTemplateError],
+  [400, jsonBody(400, 'Unknown template Main:Nothing'), UnknownTemplateError],
+  [404, jsonBody(404, 'CONTRACT_NOT_FOUND(11,0): Contract could not be found with id #1:0'), ContractNotFoundError],
+  [409, jsonBody(409, 'contract #1:0 is not active'), ContractNotFoundError],
+  [409, jsonBody(409, 'the contract #1:0 was archived'), ContractNotFoundError],
+  [409, jsonBody(409, 'Interpretation error: Error: Unhandled Daml exception: AssertionFailed { message = "Assertion failed" }'), AssertionFailedError],
+  [409, jsonBody(409, 'UNHANDLED_EXCEPTION(9,0): Interpretation error'), AssertionFailedError],
+  [400, jsonBody(400, 'Template precondition violated in CollateralLock'), AssertionFailedError],
+  [409, jsonBody(409, 'DUPLICATE_COMMAND(10,0): A command with the given command id has already been successfully processed'), DuplicateCommandError],
+  // Deduplication is checked before authorization, whose pattern a duplicate's text can also match
+  [409, jsonBody(409, 'DUPLICATE_COMMAND(10,0): PERMISSION_DENIED was not the issue'), DuplicateCommandError],
+  [502, 'Bad Gateway', NetworkError],
+  [503, jsonBody(503, 'service unavailable'), NetworkError],
+  [504, '<html>Gateway Timeout</html>', NetworkError],
+  [500, 'Error occurred while trying to proxy: localhost:3000/v1/query\nCould not proxy request (ECONNREFUSED)', NetworkError],
+  [500, jsonBody(500, 'UNAVAILABLE: io exception'), NetworkError],
+  [500, jsonBody(500, 'something else went wrong'), DamlApiError],
+  [400, '', DamlApiError],
+])('HTTP %i with %j is a %p', async (status, body, ErrorClass) => {
+  const error = await errorFromResponse(response(status, body), 'Create');
+
+  expect(error).toBeInstanceOf(ErrorClass);
+  expect(error.constructor).toBe(ErrorClass);
+  expect(error.name).toBe(ErrorClass.name);
+  expect(error.status).toBe(status);
+  expect(error.detail).toBe(body);
+});
+
+test.each([
+  ['the first of the body\'s errors', JSON.stringify({ status: 400, errors: ['first', 'second'] }), 'Create failed: first', ['first', 'second']],
+  ['a plain text body', 'upstream timed out', 'Create failed: upstream timed out', ['upstream timed out']],
+  ['JSON without errors', JSON.stringify({ status: 400, errors: [] }), 'Create failed: {"status":400,"errors":[]}', ['{"status":400,"errors":[]}']],
+  ['the status, for an empty body', '', 'Create failed: HTTP 400', []],
+])('the message names %s', async (_, body, message, errors) => {
+  const error = await errorFromResponse(response(400, body), 'Create');
+
+  expect(error.message).toBe(message);
+  expect(error.errors).toEqual(errors);
+});
+
+describe('fetchOrFail', () => {
+  afterEach(() => {
+    delete global.fetch;
+  });
+
+  test('passes responses through, failed ones included', async () => {
+    const failed = response(500, 'oops');
+    global.fetch = jest.fn(async () => failed);
+
+    expect(await fetchOrFail('http://ledger/v1/query', { method: 'POST' })).toBe(failed);
+    expect(global.fetch).toHaveBeenCalledWith('http://ledger/v1/query', { method: 'POST' });
+  });
+
+  test('reports an unreachable server as a NetworkError without a status', async () => {
+    global.fetch = async () => {
+      throw new TypeError('Failed to fetch');
+    };
+
+    const error = await fetchOrFail('http://ledger/v1/query').catch(err => err);
+    expect(error).toBeInstanceOf(NetworkError);
+    expect(error.status).toBeNull();
+    expect(error.detail).toBe('Failed to fetch');
+    expect(error.message).toBe('Cannot reach the JSON API at http://ledger/v1/query');
+  });
+});
@@ -0,0 +1,29 @@
+// Exports the user can save: CSV text for reports and histories, and a browser
+// download for any text content.
+
+// One CSV cell: empty for null/undefined, objects as JSON, quoted when it holds
+// a quote, comma or line break
+export function csvCell(value) {
+  if (value === null || value === undefined) return '';
+  const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// CSV with a header line of column names and one line per row; cell(row, column)
+// picks a row's value for a column (row[column] by default)
+export function toCsv(columns, rows, cell = (row, column) => row[column]) {
+  return [
+    columns.join(','),
+    ...rows.map(row => columns.map(column => csvCell(cell(row, column))).join(',')),
+  ].join('\n');
+}
+
+// Save content as a file through a temporary object URL
+export function downloadFile(filename, content, type) {
+  const url = URL.createObjectURL(new Blob([content], { type }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  link.click();
+  URL.revokeObjectURL(url);
+}
@@ -0,0 +1,20 @@
+import { csvCell, toCsv } from './fileExport';
+
+test('quotes cells holding quotes, commas or line breaks, and writes objects as JSON', () => {
+  expect(csvCell('plain')).toBe('plain');
+  expect(csvCell(42)).toBe('42');
+  expect(csvCell(null)).toBe('');
+  expect(csvCell(undefined)).toBe('');
+  expect(csvCell('a,b')).toBe('"a,b"');
+  expect(csvCell('say "hi"')).toBe('"say ""hi"""');
+  expect(csvCell('two\nlines')).toBe('"two\nlines"');
+  expect(csvCell({ amount: '5' })).toBe('"{""amount"":""5""}"');
+});
+
+test('writes a header line and one line per row, through an optional cell picker', () => {
+  const rows = [{ owner: 'Bob', amount: '5' }, { owner: 'Carol, Inc.', amount: null }];
+
+  expect(toCsv(['owner', 'amount'], rows)).toBe('owner,amount\nBob,5\n"Carol, Inc.",');
+  expect(toCsv(['owner'], rows, (row, column) => row[column].toUpperCase())).toBe('owner\nBOB\n"CAROL, INC."');
+  expect(toCsv(['owner'], [])).toBe('owner');
+});
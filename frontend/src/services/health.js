@@ -0,0 +1,171 @@
+import { NetworkError } from './errors';
+
+const API_BASE_URL = process.env.REACT_APP_API_URL || '/v1';
+
+// Poll slowly while the ledger is up and quickly while it is not, so recovery is noticed soon
+const POLL_INTERVAL_UP_MS = 15000;
+const POLL_INTERVAL_DOWN_MS = 3000;
+const CHECK_TIMEOUT_MS = 5000;
+
+// How long a command waits for the connection to come back before giving up
+const COMMAND_HOLD_TIMEOUT_MS = 30000;
+
+// The JSON API serves its health endpoints at the root, next to /v1 rather than under it.
+// REACT_APP_HEALTH_URL moves them elsewhere for the dashboard's own JSON API.
+export function healthBaseUrl(apiBaseUrl) {
+  if (apiBaseUrl === API_BASE_URL && process.env.REACT_APP_HEALTH_URL) {
+    return process.env.REACT_APP_HEALTH_URL;
+  }
+  return apiBaseUrl.replace(/\/v1\/?$/, '');
+}
+
+async function probe(url) {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), CHECK_TIMEOUT_MS);
+  try {
+    const response = await fetch(url, { signal: controller.signal });
+    return response.ok;
+  } catch (err) {
+    return false;
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+// Tracks whether the JSON API is reachable by polling /livez and /readyz under baseUrl.
+// status is one of:
+//   'unknown'   not checked yet (or the monitor was never started, as in scripts)
+//   'up'        live and ready
+//   'starting'  live but not ready, e.g. while the ledger is still connecting
+//   'down'      not reachable at all
+// Commands are held while the status is 'starting' or 'down'; see waitUntilUp.
+class HealthMonitor {
+  constructor(baseUrl) {
+    this.baseUrl = baseUrl;
+    this.status = 'unknown';
+    this.lastChecked = null;
+    // Commands currently waiting for the connection to come back
+    this.heldCommands = 0;
+    this.listeners = new Set();
+    this.timer = null;
+    this.running = false;
+    this.checking = null;
+  }
+
+  start() {
+    if (this.running) return;
+    this.running = true;
+    this.check();
+  }
+
+  stop() {
+    this.running = false;
+    clearTimeout(this.timer);
+    this.timer = null;
+  }
+
+  // Back to the state of a new monitor: stopped, unchecked and without listeners
+  reset() {
+    this.stop();
+    this.status = 'unknown';
+    this.lastChecked = null;
+    this.listeners.clear();
+  }
+
+  isUp() {
+    return this.status === 'up' || this.status === 'unknown';
+  }
+
+  // Check both endpoints now; concurrent callers share one check
+  check() {
+    if (!this.checking) {
+      this.checking = (async () => {
+        const live = await probe(`${this.baseUrl}/livez`);
+        const ready = live && await probe(`${this.baseUrl}/readyz`);
+        this.lastChecked = new Date();
+        this.setStatus(ready ? 'up' : live ? 'starting' : 'down');
+      })().finally(() => {
+        this.checking = null;
+        this.schedule();
+      });
+    }
+    return this.checking;
+  }
+
+  schedule() {
+    clearTimeout(this.timer);
+    if (!this.running) return;
+    this.timer = setTimeout(() => this.check(), this.isUp() ? POLL_INTERVAL_UP_MS : POLL_INTERVAL_DOWN_MS);
+  }
+
+  // A request could not reach the JSON API: recheck right away instead of waiting for the next poll
+  reportFailure() {
+    if (this.running) {
+      this.check();
+    }
+  }
+
+  setStatus(status) {
+    if (status !== this.status) {
+      this.status = status;
+      this.notify();
+    }
+  }
+
+  // Resolve once the connection is up; reject with a NetworkError if it stays down too long
+  async waitUntilUp(timeoutMs = COMMAND_HOLD_TIMEOUT_MS) {
+    if (this.isUp()) return;
+
+    this.heldCommands += 1;
+    this.notify();
+    try {
+      await new Promise((resolve, reject) => {
+        const timer = setTimeout(() => {
+          unsubscribe();
+          reject(new NetworkError(
+            `The ledger connection is ${this.status}; the command was not submitted.`,
+            { detail: `Waited ${timeoutMs / 1000}s for the JSON API to become ready` }
+          ));
+        }, timeoutMs);
+        const unsubscribe = this.subscribe(() => {
+          if (this.isUp()) {
+            clearTimeout(timer);
+            unsubscribe();
+            resolve();
+          }
+        });
+      });
+    } finally {
+      this.heldCommands -= 1;
+      this.notify();
+    }
+  }
+
+  subscribe(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  notify() {
+    for (const listener of [...this.listeners]) {
+      listener(this);
+    }
+  }
+}
+
+// One monitor per JSON API, keyed by its health base URL, so clients of the same
+// JSON API share one and a client of another one (e.g. the CLI's --url) probes its own
+const monitors = new Map();
+
+export function healthFor(apiBaseUrl = API_BASE_URL) {
+  const baseUrl = healthBaseUrl(apiBaseUrl);
+  if (!monitors.has(baseUrl)) {
+    monitors.set(baseUrl, new HealthMonitor(baseUrl));
+  }
+  return monitors.get(baseUrl);
+}
+
+// The monitor of the dashboard's own JSON API
+const health = healthFor();
+
+export default health;
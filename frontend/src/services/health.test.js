@@ -0,0 +1,128 @@
+import health, { healthFor } from './health';
+import { NetworkError } from './errors';
+
+// /livez and /readyz answer with the given health, or fail like an unreachable server
+function serve(endpoints) {
+  global.fetch = jest.fn(async (url) => {
+    const path = new URL(url, 'http://localhost').pathname;
+    if (!endpoints[path]) {
+      throw new TypeError('Failed to fetch');
+    }
+    return { ok: endpoints[path] === 'pass' };
+  });
+}
+
+const probes = () => global.fetch.mock.calls.map(([url]) => url);
+
+beforeEach(() => {
+  jest.useFakeTimers();
+  health.reset();
+});
+
+afterEach(() => {
+  health.reset();
+  jest.useRealTimers();
+  delete global.fetch;
+});
+
+test.each([
+  [{ '/livez': 'pass', '/readyz': 'pass' }, 'up'],
+  [{ '/livez': 'pass', '/readyz': 'fail' }, 'starting'],
+  [{ '/livez': 'pass' }, 'starting'],
+  [{ '/livez': 'fail' }, 'down'],
+  [{}, 'down'],
+])('endpoints %j mean the ledger is %s', async (endpoints, status) => {
+  serve(endpoints);
+
+  await health.check();
+
+  expect(health.status).toBe(status);
+  expect(health.isUp()).toBe(status === 'up');
+});
+
+test('polls slowly while up and quickly while down, and notifies on changes only', async () => {
+  serve({ '/livez': 'pass', '/readyz': 'pass' });
+  const statuses = [];
+  health.subscribe(() => statuses.push(health.status));
+
+  health.start();
+  await health.checking;
+  expect(probes()).toEqual(['/livez', '/readyz']);
+
+  serve({});
+  jest.advanceTimersByTime(14999);
+  expect(global.fetch).not.toHaveBeenCalled();
+  jest.advanceTimersByTime(1);
+  await health.checking;
+  expect(health.status).toBe('down');
+
+  serve({ '/livez': 'pass', '/readyz': 'pass' });
+  jest.advanceTimersByTime(3000);
+  await health.checking;
+  expect(probes()).toEqual(['/livez', '/readyz']);
+  expect(statuses).toEqual(['up', 'down', 'up']);
+
+  health.stop();
+  jest.advanceTimersByTime(60000);
+  expect(global.fetch).toHaveBeenCalledTimes(2);
+});
+
+test('a failed request rechecks at once rather than at the next poll', async () => {
+  serve({ '/livez': 'pass', '/readyz': 'pass' });
+  health.start();
+  await health.checking;
+
+  serve({});
+  health.reportFailure();
+  health.reportFailure();
+  await health.checking;
+
+  expect(health.status).toBe('down');
+  // Concurrent reports share one check
+  expect(probes()).toEqual(['/livez']);
+});
+
+test('holds commands until the connection is back', async () => {
+  health.setStatus('down');
+  const released = jest.fn();
+
+  const held = health.waitUntilUp().then(released);
+  expect(health.heldCommands).toBe(1);
+  await Promise.resolve();
+  expect(released).not.toHaveBeenCalled();
+
+  health.setStatus('up');
+  await held;
+  expect(released).toHaveBeenCalled();
+  expect(health.heldCommands).toBe(0);
+});
+
+test('gives up on a held command once the connection stays down too long', async () => {
+  health.setStatus('starting');
+
+  const held = health.waitUntilUp(30000);
+  jest.advanceTimersByTime(30000);
+
+  const error = await held.catch(err => err);
+  expect(error).toBeInstanceOf(NetworkError);
+  expect(error.message).toBe('The ledger connection is starting; the command was not submitted.');
+  expect(health.heldCommands).toBe(0);
+  expect(health.listeners.size).toBe(0);
+});
+
+test('each JSON API has its own monitor, probing next to its /v1', async () => {
+  serve({ '/livez': 'fail' });
+  const other = healthFor('http://ledger.test:7575/v1');
+  try {
+    expect(healthFor('http://ledger.test:7575/v1/')).toBe(other);
+    expect(healthFor()).toBe(health);
+
+    await other.check();
+
+    expect(probes()).toEqual(['http://ledger.test:7575/livez']);
+    expect(other.status).toBe('down');
+    expect(health.status).toBe('unknown');
+  } finally {
+    other.reset();
+  }
+});
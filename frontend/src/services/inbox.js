@@ -0,0 +1,248 @@
+// Activity other parties cause for a party: tokens received, escrows approved, collateral
+// locks closed. The ledger sends no such messages, so the inbox compares the party's active
+// contracts between refreshes and stream batches against the last set it saw (its baseline)
+// and asks the template registry (`activity`) which changes are worth telling. Entries look like:
+//   { id, party, templateKey, contractId, created, archived, at, read }
+// where created/archived are the payloads of the contract that appeared and the one that went
+// away; an archive paired with a create is one change (e.g. an escrow replaced by its
+// approved copy). Entries and baselines are kept in localStorage, so activity that happened
+// while the dashboard was closed shows up on the next load.
+
+import { TEMPLATES, findTemplate } from './templates';
+import lineage from './lineage';
+
+const STORAGE_KEY = 'daml_inbox';
+
+// Oldest entries are dropped beyond this
+const MAX_ENTRIES = 500;
+
+function loadState() {
+  try {
+    const stored = JSON.parse(localStorage.getItem(STORAGE_KEY));
+    return {
+      entries: stored.entries || [],
+      baselines: stored.baselines || {},
+      notifications: !!stored.notifications,
+    };
+  } catch (err) {
+    return { entries: [], baselines: {}, notifications: false };
+  }
+}
+
+function notificationsSupported() {
+  return typeof Notification !== 'undefined';
+}
+
+// Whether two payloads of a template name the same parties, i.e. one plausibly replaced the other
+function sameParties(template, a, b) {
+  return template.fields
+    .filter(field => field.type === 'Party')
+    .every(field => a[field.name] === b[field.name]);
+}
+
+// The message for an entry, or null when its template does not report such changes
+export function describeActivity(entry, partyName = (identifier) => identifier) {
+  const template = TEMPLATES.find(t => t.key === entry.templateKey);
+  if (!template?.activity) {
+    return null;
+  }
+  return template.activity({ created: entry.created, archived: entry.archived }, entry.party, partyName);
+}
+
+class ActivityInbox {
+  constructor() {
+    const state = typeof localStorage !== 'undefined'
+      ? loadState()
+      : { entries: [], baselines: {}, notifications: false };
+    // Oldest first
+    this.entries = state.entries;
+    // Per party: { [contractId]: { templateId, payload } } of the contracts last seen active
+    this.baselines = state.baselines;
+    this.notifications = state.notifications;
+    this.nextId = 1;
+    this.listeners = new Set();
+  }
+
+  // Compare a full query result with the party's baseline. The first result only sets
+  // the baseline; there is nothing to compare it with. Returns the new entries.
+  observeContracts(party, contracts) {
+    const known = this.baselines[party];
+    const current = contracts.filter(contract => findTemplate(contract));
+    this.baselines[party] = Object.fromEntries(current.map(contract =>
+      [contract.contractId, { templateId: contract.templateId, payload: contract.payload }]));
+
+    let added = [];
+    if (known) {
+      const created = current.filter(contract => !known[contract.contractId]);
+      const archived = Object.entries(known)
+        .filter(([contractId]) => !this.baselines[party][contractId])
+        .map(([contractId, contract]) => ({ contractId, ...contract }));
+      added = this.record(party, created, archived);
+    }
+    this.save();
+    return added;
+  }
+
+  // Apply created/archived events from the contract stream to the party's baseline.
+  // Events the baseline already reflects (e.g. the stream's initial snapshot after a
+  // refresh) are not news. Before the first query there is no baseline and events are skipped.
+  observeEvents(party, events) {
+    const known = this.baselines[party];
+    if (!known) {
+      return [];
+    }
+
+    const created = events
+      .filter(event => event.created && findTemplate(event.created) && !known[event.created.contractId])
+      .map(event => event.created);
+    const archived = events
+      .filter(event => event.archived && known[event.archived.contractId])
+      .map(event => ({ contractId: event.archived.contractId, ...known[event.archived.contractId] }));
+    if (created.length === 0 && archived.length === 0) {
+      return [];
+    }
+
+    for (const contract of archived) {
+      delete known[contract.contractId];
+    }
+    for (const contract of created) {
+      known[contract.contractId] = { templateId: contract.templateId, payload: contract.payload };
+    }
+    const added = this.record(party, created, archived);
+    this.save();
+    return added;
+  }
+
+  // Pair archives with the creates that replaced them - by lineage, else by a create of the
+  // same template naming the same parties - and keep the changes the registry describes
+  record(party, created, archived) {
+    const unpaired = [...created];
+    const changes = archived.map(gone => {
+      const template = findTemplate(gone);
+      const successor = unpaired.find(contract => lineage.previous(contract.contractId)?.from === gone.contractId) ||
+        unpaired.find(contract => findTemplate(contract) === template &&
+          sameParties(template, gone.payload || {}, contract.payload || {}));
+      if (successor) {
+        unpaired.splice(unpaired.indexOf(successor), 1);
+      }
+      return { template, created: successor || null, archived: gone };
+    });
+    changes.push(...unpaired.map(contract => ({ template: findTemplate(contract), created: contract, archived: null })));
+
+    const at = new Date().toISOString();
+    const added = changes
+      .map(({ template, created: now, archived: gone }) => ({
+        id: `${Date.now()}-${this.nextId++}`,
+        party,
+        templateKey: template.key,
+        contractId: (now || gone).contractId,
+        created: now?.payload || null,
+        archived: gone?.payload || null,
+        at,
+        read: false,
+      }))
+      .filter(entry => describeActivity(entry) !== null);
+    this.entries.push(...added);
+    return added;
+  }
+
+  // A party's entries, newest first
+  list(party) {
+    return this.entries.filter(entry => entry.party === party).reverse();
+  }
+
+  unreadCount(party) {
+    return this.entries.filter(entry => entry.party === party && !entry.read).length;
+  }
+
+  markRead(party) {
+    let changed = false;
+    for (const entry of this.entries) {
+      if (entry.party === party && !entry.read) {
+        entry.read = true;
+        changed = true;
+      }
+    }
+    if (changed) {
+      this.save();
+    }
+  }
+
+  clear(party) {
+    this.entries = this.entries.filter(entry => entry.party !== party);
+    this.save();
+  }
+
+  // Browser notifications: supported by this browser, switched on here, and allowed by the user
+  notificationsAvailable() {
+    return notificationsSupported();
+  }
+
+  notificationsEnabled() {
+    return this.notifications && notificationsSupported() && Notification.permission === 'granted';
+  }
+
+  notificationsBlocked() {
+    return notificationsSupported() && Notification.permission === 'denied';
+  }
+
+  // Asks the browser for permission if needed; resolves to whether notifications are on
+  async enableNotifications() {
+    if (!notificationsSupported()) {
+      return false;
+    }
+    const permission = Notification.permission === 'granted'
+      ? 'granted'
+      : await Notification.requestPermission();
+    this.notifications = permission === 'granted';
+    this.save();
+    return this.notifications;
+  }
+
+  disableNotifications() {
+    this.notifications = false;
+    this.save();
+  }
+
+  // Show entries as browser notifications. Only while the tab is in the background:
+  // on screen, the unread counts already say it.
+  notify(entries, partyName) {
+    if (entries.length === 0 || !this.notificationsEnabled() || document.visibilityState === 'visible') {
+      return;
+    }
+    for (const entry of entries) {
+      try {
+        new Notification('DAML Application Dashboard', { body: describeActivity(entry, partyName), tag: entry.id });
+      } catch (err) {
+        console.warn('Failed to show a notification:', err);
+      }
+    }
+  }
+
+  save() {
+    if (this.entries.length > MAX_ENTRIES) {
+      this.entries = this.entries.slice(-MAX_ENTRIES);
+    }
+    if (typeof localStorage !== 'undefined') {
+      try {
+        localStorage.setItem(STORAGE_KEY, JSON.stringify({
+          entries: this.entries,
+          baselines: this.baselines,
+          notifications: this.notifications,
+        }));
+      } catch (err) {
+        console.warn('Failed to store the activity inbox:', err);
+      }
+    }
+    this.listeners.forEach(listener => listener());
+  }
+
+  subscribe(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+}
+
+const inbox = new ActivityInbox();
+
+export default inbox;
@@ -0,0 +1,81 @@
+import inbox, { describeActivity } from './inbox';
+import lineage from './lineage';
+
+const TOKEN = 'pkg:SimpleToken:SimpleToken';
+const ESCROW = 'pkg:Escrow:Escrow';
+const LOCK = 'pkg:CollateralLock:CollateralLock';
+
+const names = { 'Alice::1': 'Alice', 'Bob::1': 'Bob', 'Carol::1': 'Carol' };
+const partyName = (identifier) => names[identifier] || identifier;
+
+function escrow(contractId, isApproved) {
+  return {
+    contractId,
+    templateId: ESCROW,
+    payload: { sender: 'Alice::1', receiver: 'Bob::1', amount: '100.0', isApproved, note: '' },
+  };
+}
+
+function messages(party) {
+  return inbox.list(party).map(entry => describeActivity(entry, partyName));
+}
+
+beforeEach(() => {
+  inbox.entries = [];
+  inbox.baselines = {};
+  lineage.links = [];
+  lineage.snapshots = {};
+  lineage.seen.clear();
+  localStorage.clear();
+});
+
+test('the first query only sets the baseline; later ones report incoming tokens', () => {
+  const held = { contractId: '#1', templateId: TOKEN, payload: { issuer: 'Alice::1', owner: 'Bob::1', amount: '5.0' } };
+  expect(inbox.observeContracts('Bob::1', [held])).toEqual([]);
+
+  const received = { contractId: '#2', templateId: TOKEN, payload: { issuer: 'Alice::1', owner: 'Bob::1', amount: '50.0' } };
+  const issuedByBob = { contractId: '#3', templateId: TOKEN, payload: { issuer: 'Bob::1', owner: 'Carol::1', amount: '1.0' } };
+  const added = inbox.observeContracts('Bob::1', [held, received, issuedByBob]);
+
+  expect(added).toHaveLength(1);
+  expect(added[0].contractId).toBe('#2');
+  expect(messages('Bob::1')).toEqual(['Alice sent you 50 tokens.']);
+  expect(inbox.unreadCount('Bob::1')).toBe(1);
+
+  inbox.markRead('Bob::1');
+  expect(inbox.unreadCount('Bob::1')).toBe(0);
+});
+
+test('an escrow replaced by its approved copy is one approval, not a cancellation', () => {
+  inbox.observeContracts('Bob::1', [escrow('#1', false)]);
+  inbox.observeContracts('Bob::1', [escrow('#2', true)]);
+
+  expect(messages('Bob::1')).toEqual(['Escrow of 100 from Alice approved — you can Claim.']);
+
+  inbox.observeContracts('Bob::1', []);
+  expect(messages('Bob::1')).toHaveLength(1);
+});
+
+test('stream events already in the baseline are not news', () => {
+  inbox.observeContracts('Alice::1', [escrow('#1', true)]);
+
+  expect(inbox.observeEvents('Alice::1', [{ created: escrow('#1', true) }])).toEqual([]);
+  inbox.observeEvents('Alice::1', [{ archived: { contractId: '#1', templateId: ESCROW } }]);
+  inbox.observeEvents('Alice::1', [{ archived: { contractId: '#1', templateId: ESCROW } }]);
+
+  expect(messages('Alice::1')).toEqual(['Bob claimed your escrow of 100.']);
+});
+
+test('tells the custodian how much collateral the owner withdrew', () => {
+  const lock = (contractId, amount) => ({
+    contractId,
+    templateId: LOCK,
+    payload: { owner: 'Alice::1', custodian: 'Carol::1', asset: 'USD', amount, minCollateralAmount: '500.0' },
+  });
+  inbox.observeContracts('Carol::1', [lock('#1', '1000.0')]);
+  inbox.observeEvents('Carol::1', [{ archived: { contractId: '#1', templateId: LOCK } }, { created: lock('#2', '750.5') }]);
+  inbox.observeEvents('Alice::1', [{ created: lock('#2', '750.5') }]);
+
+  expect(messages('Carol::1')).toEqual(['Alice withdrew 249.5 USD from the collateral lock.']);
+  expect(messages('Alice::1')).toEqual([]);
+});
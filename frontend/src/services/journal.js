@@ -0,0 +1,94 @@
+// Local journal of every create and exercise the dashboard submits, kept in IndexedDB
+// per party so QA can audit a test session. Entries look like:
+//   { id, party, userId, commandId, kind: 'create' | 'exercise', templateId, choice, contractId,
+//     argument, resultContractIds, submittedAt, completedAt, status: 'succeeded' | 'failed', error }
+// Where IndexedDB is unavailable (tests, private browsing) recording is a no-op.
+
+import { toCsv } from './fileExport';
+
+const DB_NAME = 'daml-journal';
+const DB_VERSION = 1;
+const STORE_NAME = 'entries';
+
+let dbPromise = null;
+
+function requestToPromise(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+function openDb() {
+  if (typeof indexedDB === 'undefined') {
+    return Promise.resolve(null);
+  }
+  if (!dbPromise) {
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+    request.onupgradeneeded = () => {
+      const store = request.result.createObjectStore(STORE_NAME, { keyPath: 'id', autoIncrement: true });
+      store.createIndex('party', 'party');
+    };
+    dbPromise = requestToPromise(request).catch(err => {
+      console.warn('Command journal unavailable:', err);
+      return null;
+    });
+  }
+  return dbPromise;
+}
+
+// Contract IDs created by a command, from a create or exercise response
+export function resultContractIds(response) {
+  const result = response?.result;
+  if (!result) return [];
+  if (result.contractId) return [result.contractId];
+  return (result.events || [])
+    .filter(event => event.created)
+    .map(event => event.created.contractId);
+}
+
+export async function recordEntry(entry) {
+  try {
+    const db = await openDb();
+    if (!db) return;
+    const tx = db.transaction(STORE_NAME, 'readwrite');
+    await requestToPromise(tx.objectStore(STORE_NAME).add(entry));
+  } catch (err) {
+    // The journal must never make a command look failed
+    console.warn('Failed to record journal entry:', err);
+  }
+}
+
+// Entries for one party, newest first
+export async function listEntries(party) {
+  const db = await openDb();
+  if (!db) return [];
+  const tx = db.transaction(STORE_NAME, 'readonly');
+  const entries = await requestToPromise(tx.objectStore(STORE_NAME).index('party').getAll(party));
+  return entries.sort((a, b) => b.id - a.id);
+}
+
+export async function clearEntries(party) {
+  const db = await openDb();
+  if (!db) return;
+  const tx = db.transaction(STORE_NAME, 'readwrite');
+  const store = tx.objectStore(STORE_NAME);
+  const keys = await requestToPromise(store.index('party').getAllKeys(party));
+  await Promise.all(keys.map(key => requestToPromise(store.delete(key))));
+}
+
+const CSV_COLUMNS = [
+  'id', 'party', 'userId', 'commandId', 'kind', 'templateId', 'choice', 'contractId',
+  'argument', 'resultContractIds', 'submittedAt', 'completedAt', 'status', 'error',
+];
+
+export function entriesToCsv(entries) {
+  return toCsv(CSV_COLUMNS, entries, (entry, column) => {
+    const value = entry[column];
+    return column === 'resultContractIds' && Array.isArray(value) ? value.join(' ') : value;
+  });
+}
+
+export function entriesToJson(entries) {
+  return JSON.stringify(entries, null, 2);
+}
@@ -0,0 +1,42 @@
+import { entriesToCsv, entriesToJson, resultContractIds } from './journal';
+
+test('finds the contracts a create or an exercise produced', () => {
+  expect(resultContractIds({ result: { contractId: '#1:0', payload: {} } })).toEqual(['#1:0']);
+  expect(resultContractIds({
+    result: {
+      exerciseResult: '#2:1',
+      events: [{ archived: { contractId: '#1:0' } }, { created: { contractId: '#2:0' } }, { created: { contractId: '#2:1' } }],
+    },
+  })).toEqual(['#2:0', '#2:1']);
+  // A deduplicated command's result is lost
+  expect(resultContractIds({ result: null, deduplicated: true })).toEqual([]);
+  expect(resultContractIds(undefined)).toEqual([]);
+});
+
+test('exports entries as CSV with quoted cells and as JSON', () => {
+  const entries = [{
+    id: 2,
+    party: 'Alice::1',
+    userId: 'alice',
+    commandId: 'cmd-2',
+    kind: 'exercise',
+    templateId: 'pkg:Escrow:Escrow',
+    choice: 'Approve',
+    contractId: '#1:0',
+    argument: {},
+    resultContractIds: ['#2:0', '#2:1'],
+    submittedAt: '2026-01-01T00:00:00.000Z',
+    completedAt: '2026-01-01T00:00:01.000Z',
+    status: 'failed',
+    error: 'Exercise failed: "no", said the ledger,\nthen hung up',
+  }];
+
+  expect(entriesToCsv(entries).split('\n')).toEqual([
+    'id,party,userId,commandId,kind,templateId,choice,contractId,argument,resultContractIds,submittedAt,completedAt,status,error',
+    '2,Alice::1,alice,cmd-2,exercise,pkg:Escrow:Escrow,Approve,#1:0,{},#2:0 #2:1,2026-01-01T00:00:00.000Z,' +
+      '2026-01-01T00:00:01.000Z,failed,"Exercise failed: ""no"", said the ledger,',
+    'then hung up"',
+  ]);
+  expect(entriesToCsv([])).toBe(entriesToCsv([]).split('\n')[0]);
+  expect(JSON.parse(entriesToJson(entries))).toEqual(entries);
+});
@@ -0,0 +1,181 @@
+// Which contracts replaced which. Consuming choices such as Transfer archive a contract
+// and create its successor, so once a contract is gone the ledger's active contracts no
+// longer tell where the current one came from. Links come from two sources:
+//   'command'  the dashboard's own exercise results, which also name the choice
+//   'stream'   stream batches archiving one contract and creating one of the same template
+// Contracts that take part in a link are kept as snapshots ({ contractId, templateId,
+// payload, signatories, observers, archivedBy }), since archived contracts cannot be
+// fetched any more. Everything is kept in localStorage so chains survive a reload.
+
+const STORAGE_KEY = 'daml_lineage';
+
+// Oldest links are dropped beyond this (or twice as many snapshots), along with snapshots no link needs
+const MAX_LINKS = 500;
+
+function loadState() {
+  try {
+    const stored = JSON.parse(localStorage.getItem(STORAGE_KEY));
+    return { links: stored.links || [], snapshots: stored.snapshots || {} };
+  } catch (err) {
+    return { links: [], snapshots: {} };
+  }
+}
+
+function snapshotOf(contract) {
+  return {
+    contractId: contract.contractId,
+    templateId: contract.templateId || null,
+    payload: contract.payload || null,
+    signatories: contract.signatories || [],
+    observers: contract.observers || [],
+  };
+}
+
+class ContractLineage {
+  constructor() {
+    const { links, snapshots } = typeof localStorage !== 'undefined' ? loadState() : { links: [], snapshots: {} };
+    // [{ from, to, choice, source, at }], oldest first
+    this.links = links;
+    // Snapshots of contracts in links, or archived by a command, by contract ID
+    this.snapshots = snapshots;
+    // Every contract the dashboard has listed this session, for snapshotting it once it is linked
+    this.seen = new Map();
+    this.listeners = new Set();
+  }
+
+  // Note contracts on screen so their payload is still known when the stream archives them
+  remember(contracts) {
+    for (const contract of contracts) {
+      this.seen.set(contract.contractId, contract);
+    }
+  }
+
+  // Link the contract a choice was exercised on to the contract it created, if any
+  recordExercise(contract, choice, response) {
+    const events = response?.result?.events || [];
+    const created = events.filter(event => event.created).map(event => event.created);
+    const archived = events.some(event => event.archived && event.archived.contractId === contract.contractId);
+
+    this.keepSnapshot(contract, archived && created.length === 0 ? { archivedBy: choice } : {});
+    for (const successor of created.filter(c => c.templateId === contract.templateId)) {
+      this.keepSnapshot(successor);
+      this.addLink(contract.contractId, successor.contractId, choice, 'command');
+    }
+    this.save();
+  }
+
+  // Link archive/create pairs from one stream batch: per template, exactly one contract
+  // archived and one created. Anything else is ambiguous and left unlinked.
+  recordStreamEvents(events) {
+    const byTemplate = new Map();
+    const entry = (templateId) => {
+      if (!byTemplate.has(templateId)) {
+        byTemplate.set(templateId, { archived: [], created: [] });
+      }
+      return byTemplate.get(templateId);
+    };
+    for (const event of events) {
+      if (event.archived) entry(event.archived.templateId).archived.push(event.archived);
+      if (event.created) entry(event.created.templateId).created.push(event.created);
+    }
+
+    let changed = false;
+    for (const { archived, created } of byTemplate.values()) {
+      this.remember(created);
+      if (archived.length !== 1 || created.length !== 1) continue;
+      const from = archived[0].contractId;
+      const to = created[0].contractId;
+      if (this.links.some(link => link.from === from && link.to === to)) continue;
+
+      this.keepSnapshot(this.seen.get(from) || archived[0]);
+      this.keepSnapshot(created[0]);
+      this.addLink(from, to, null, 'stream');
+      changed = true;
+    }
+    if (changed) {
+      this.save();
+    }
+  }
+
+  keepSnapshot(contract, extra = {}) {
+    const previous = this.snapshots[contract.contractId];
+    const snapshot = snapshotOf(contract);
+    // An archive event carries no payload; do not let it replace one we already have
+    this.snapshots[contract.contractId] = previous && !snapshot.payload
+      ? { ...previous, ...extra }
+      : { ...previous, ...snapshot, ...extra };
+  }
+
+  // A command result and the stream report the same link; the command's choice name wins
+  addLink(from, to, choice, source) {
+    const existing = this.links.find(link => link.from === from && link.to === to);
+    if (existing) {
+      if (choice) {
+        existing.choice = choice;
+        existing.source = source;
+      }
+      return;
+    }
+    this.links.push({ from, to, choice, source, at: new Date().toISOString() });
+  }
+
+  snapshot(contractId) {
+    return this.snapshots[contractId] || (this.seen.has(contractId) ? snapshotOf(this.seen.get(contractId)) : null);
+  }
+
+  previous(contractId) {
+    return this.links.find(link => link.to === contractId) || null;
+  }
+
+  next(contractId) {
+    return this.links.find(link => link.from === contractId) || null;
+  }
+
+  // The contracts before and after this one, oldest first:
+  // { earlier: [{ contractId, link }], later: [{ contractId, link }] }
+  // where link is the one connecting the entry to the contract after it (earlier)
+  // or before it (later).
+  chain(contractId) {
+    const visited = new Set([contractId]);
+    const earlier = [];
+    for (let link = this.previous(contractId); link && !visited.has(link.from); link = this.previous(link.from)) {
+      visited.add(link.from);
+      earlier.unshift({ contractId: link.from, link });
+    }
+    const later = [];
+    for (let link = this.next(contractId); link && !visited.has(link.to); link = this.next(link.to)) {
+      visited.add(link.to);
+      later.push({ contractId: link.to, link });
+    }
+    return { earlier, later };
+  }
+
+  save() {
+    if (this.links.length > MAX_LINKS || Object.keys(this.snapshots).length > 2 * MAX_LINKS) {
+      this.links = this.links.slice(-MAX_LINKS);
+      const linked = new Set(this.links.flatMap(link => [link.from, link.to]));
+      for (const contractId of Object.keys(this.snapshots)) {
+        if (!linked.has(contractId)) {
+          delete this.snapshots[contractId];
+        }
+      }
+    }
+    if (typeof localStorage !== 'undefined') {
+      try {
+        localStorage.setItem(STORAGE_KEY, JSON.stringify({ links: this.links, snapshots: this.snapshots }));
+      } catch (err) {
+        console.warn('Failed to store contract lineage:', err);
+      }
+    }
+    this.listeners.forEach(listener => listener());
+  }
+
+  subscribe(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+}
+
+const lineage = new ContractLineage();
+
+export default lineage;
@@ -0,0 +1,66 @@
+import lineage from './lineage';
+
+const TOKEN = 'pkg:SimpleToken:SimpleToken';
+const ESCROW = 'pkg:Escrow:Escrow';
+
+function token(contractId, owner) {
+  return { contractId, templateId: TOKEN, payload: { issuer: 'Alice', owner, amount: '5.0' }, signatories: ['Alice'], observers: [owner] };
+}
+
+beforeEach(() => {
+  lineage.links = [];
+  lineage.snapshots = {};
+  lineage.seen.clear();
+  localStorage.clear();
+});
+
+test('links an exercised contract to the contract its choice created', () => {
+  lineage.recordExercise(token('#1', 'Bob'), 'Transfer', {
+    result: { exerciseResult: '#2', events: [{ archived: { contractId: '#1', templateId: TOKEN } }, { created: token('#2', 'Carol') }] },
+  });
+  lineage.recordExercise(token('#2', 'Carol'), 'Transfer', {
+    result: { exerciseResult: '#3', events: [{ archived: { contractId: '#2', templateId: TOKEN } }, { created: token('#3', 'Dave') }] },
+  });
+
+  const { earlier, later } = lineage.chain('#2');
+  expect(earlier).toEqual([{ contractId: '#1', link: expect.objectContaining({ from: '#1', to: '#2', choice: 'Transfer', source: 'command' }) }]);
+  expect(later.map(entry => entry.contractId)).toEqual(['#3']);
+  expect(lineage.snapshot('#1').payload.owner).toBe('Bob');
+  expect(JSON.parse(localStorage.getItem('daml_lineage')).links).toHaveLength(2);
+});
+
+test('marks contracts a choice archived without a successor', () => {
+  const escrow = { contractId: '#5', templateId: ESCROW, payload: { sender: 'Alice', receiver: 'Bob' } };
+  lineage.recordExercise(escrow, 'Claim', { result: { exerciseResult: {}, events: [{ archived: { contractId: '#5', templateId: ESCROW } }] } });
+
+  expect(lineage.snapshot('#5').archivedBy).toBe('Claim');
+  expect(lineage.chain('#5')).toEqual({ earlier: [], later: [] });
+});
+
+test('pairs one archive with one create of the same template in a stream batch', () => {
+  lineage.remember([token('#1', 'Bob')]);
+  lineage.recordStreamEvents([
+    { archived: { contractId: '#1', templateId: TOKEN } },
+    { created: token('#2', 'Carol') },
+    { archived: { contractId: '#7', templateId: ESCROW } },
+  ]);
+
+  expect(lineage.previous('#2')).toEqual(expect.objectContaining({ from: '#1', choice: null, source: 'stream' }));
+  expect(lineage.snapshot('#1').payload.owner).toBe('Bob');
+  expect(lineage.next('#7')).toBeNull();
+});
+
+test('leaves ambiguous stream batches unlinked and keeps the command choice name', () => {
+  lineage.recordStreamEvents([
+    { archived: { contractId: '#1', templateId: TOKEN } },
+    { archived: { contractId: '#2', templateId: TOKEN } },
+    { created: token('#3', 'Carol') },
+  ]);
+  expect(lineage.previous('#3')).toBeNull();
+
+  lineage.recordStreamEvents([{ archived: { contractId: '#3', templateId: TOKEN } }, { created: token('#4', 'Bob') }]);
+  lineage.recordExercise(token('#3', 'Carol'), 'Transfer', {
+    result: { events: [{ archived: { contractId: '#3', templateId: TOKEN } }, { created: token('#4', 'Bob') }] },
+  });
+  expect(lineage.links).toEqual([expect.objectContaining({ from: '#3', to: '#4', choice: 'Transfer', source: 'command' })]);
+});
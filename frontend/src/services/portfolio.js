@@ -0,0 +1,68 @@
+// Totals for one party, computed from the grouped contracts the dashboard has loaded
+// (see groupContracts in ./templates). Amounts are summed exactly per bucket as
+// Decimal strings (see ./decimal); every bucket also counts its contracts.
+import { addDecimals, isDecimal, subtractDecimals } from './decimal';
+
+// A malformed amount counts as zero rather than breaking the whole portfolio
+function amountOf(value) {
+  return isDecimal(value) ? value : '0';
+}
+
+function addTo(buckets, key, amount, extra = {}) {
+  const bucket = buckets.get(key) || { ...extra, total: '0.0', count: 0 };
+  bucket.total = addDecimals(bucket.total, amountOf(amount));
+  bucket.count += 1;
+  buckets.set(key, bucket);
+}
+
+function emptyEscrowTotals() {
+  return { total: '0.0', count: 0 };
+}
+
+// Returns:
+//   holdings:   [{ issuer, total, count }]  SimpleTokens owned by the party, per issuer
+//   issued:     [{ owner, total, count }]   SimpleTokens the party issued to other owners
+//   escrows:    { sending: { pending, approved }, receiving: { pending, approved } }
+//   collateral: [{ custodian, asset, total, minimum, headroom, count }]  locks the party owns
+export function computePortfolio(contracts, party) {
+  const holdings = new Map();
+  const issued = new Map();
+  for (const { payload = {} } of contracts.simpleTokens || []) {
+    if (payload.owner === party) {
+      addTo(holdings, payload.issuer, payload.amount, { issuer: payload.issuer });
+    } else if (payload.issuer === party) {
+      addTo(issued, payload.owner, payload.amount, { owner: payload.owner });
+    }
+  }
+
+  const escrows = {
+    sending: { pending: emptyEscrowTotals(), approved: emptyEscrowTotals() },
+    receiving: { pending: emptyEscrowTotals(), approved: emptyEscrowTotals() },
+  };
+  for (const { payload = {} } of contracts.escrows || []) {
+    const status = payload.isApproved ? 'approved' : 'pending';
+    const directions = [];
+    if (payload.sender === party) directions.push('sending');
+    if (payload.receiver === party) directions.push('receiving');
+    for (const direction of directions) {
+      escrows[direction][status].total = addDecimals(escrows[direction][status].total, amountOf(payload.amount));
+      escrows[direction][status].count += 1;
+    }
+  }
+
+  const collateral = new Map();
+  for (const { payload = {} } of contracts.collateralLocks || []) {
+    if (payload.owner !== party) continue;
+    const key = JSON.stringify([payload.custodian, payload.asset]);
+    addTo(collateral, key, payload.amount, { custodian: payload.custodian, asset: payload.asset, minimum: '0.0' });
+    const lock = collateral.get(key);
+    lock.minimum = addDecimals(lock.minimum, amountOf(payload.minCollateralAmount));
+  }
+
+  return {
+    holdings: [...holdings.values()],
+    issued: [...issued.values()],
+    escrows,
+    collateral: [...collateral.values()].map(lock => ({ ...lock, headroom: subtractDecimals(lock.total, lock.minimum) })),
+  };
+}
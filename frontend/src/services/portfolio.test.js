@@ -0,0 +1,91 @@
+import { computePortfolio } from './portfolio';
+
+const token = (issuer, owner, amount) => ({ payload: { issuer, owner, amount } });
+const escrow = (sender, receiver, amount, isApproved) => ({ payload: { sender, receiver, amount, isApproved, note: '' } });
+const lock = (owner, custodian, asset, amount, minCollateralAmount) =>
+  ({ payload: { owner, custodian, asset, amount, minCollateralAmount } });
+
+test('sums held tokens per issuer and issued tokens per owner', () => {
+  const { holdings, issued } = computePortfolio({
+    simpleTokens: [
+      token('Bank', 'Alice', '100.0'),
+      token('Bank', 'Alice', '50.25'),
+      token('Alice', 'Alice', '3.0'),
+      token('Alice', 'Bob', '7.5'),
+      token('Alice', 'Bob', '2.5'),
+      token('Bank', 'Bob', '1000.0'),
+    ],
+  }, 'Alice');
+
+  expect(holdings).toEqual([
+    { issuer: 'Bank', total: '150.25', count: 2 },
+    { issuer: 'Alice', total: '3.0', count: 1 },
+  ]);
+  expect(issued).toEqual([{ owner: 'Bob', total: '10.0', count: 2 }]);
+});
+
+test('adds Decimals exactly, including amounts a float cannot hold', () => {
+  const { holdings } = computePortfolio({
+    simpleTokens: [
+      token('Bank', 'Alice', '0.1'),
+      token('Bank', 'Alice', '0.2'),
+      token('Mint', 'Alice', '9999999999999999999999999999.9999999999'),
+      token('Mint', 'Alice', '0.0000000001'),
+      token('Odd', 'Alice', 'not a number'),
+    ],
+  }, 'Alice');
+
+  expect(holdings).toEqual([
+    { issuer: 'Bank', total: '0.3', count: 2 },
+    { issuer: 'Mint', total: '10000000000000000000000000000.0', count: 2 },
+    // Counted, but a malformed amount adds nothing
+    { issuer: 'Odd', total: '0.0', count: 1 },
+  ]);
+});
+
+test('splits escrows by direction and approval', () => {
+  const { escrows } = computePortfolio({
+    escrows: [
+      escrow('Alice', 'Bob', '10.0', false),
+      escrow('Alice', 'Bob', '5.5', true),
+      escrow('Carol', 'Alice', '20.0', false),
+      escrow('Carol', 'Bob', '99.0', true),
+    ],
+  }, 'Alice');
+
+  expect(escrows).toEqual({
+    sending: { pending: { total: '10.0', count: 1 }, approved: { total: '5.5', count: 1 } },
+    receiving: { pending: { total: '20.0', count: 1 }, approved: { total: '0.0', count: 0 } },
+  });
+});
+
+test('totals collateral per custodian and asset, with what is locked and what is free', () => {
+  const { collateral } = computePortfolio({
+    collateralLocks: [
+      lock('Alice', 'Carol', 'USD', '1000.0', '500.0'),
+      lock('Alice', 'Carol', 'USD', '250.5', '250.5'),
+      lock('Alice', 'Carol', 'EUR', '80.0', '100.0'),
+      lock('Alice', 'Dave', 'USD', '10.0', '0.0'),
+      lock('Bob', 'Carol', 'USD', '5000.0', '0.0'),
+    ],
+  }, 'Alice');
+
+  expect(collateral).toEqual([
+    { custodian: 'Carol', asset: 'USD', total: '1250.5', minimum: '750.5', headroom: '500.0', count: 2 },
+    // The ensure clause keeps real locks above their minimum; a shortfall would show as negative headroom
+    { custodian: 'Carol', asset: 'EUR', total: '80.0', minimum: '100.0', headroom: '-20.0', count: 1 },
+    { custodian: 'Dave', asset: 'USD', total: '10.0', minimum: '0.0', headroom: '10.0', count: 1 },
+  ]);
+});
+
+test('an empty or missing group gives empty totals', () => {
+  expect(computePortfolio({}, 'Alice')).toEqual({
+    holdings: [],
+    issued: [],
+    escrows: {
+      sending: { pending: { total: '0.0', count: 0 }, approved: { total: '0.0', count: 0 } },
+      receiving: { pending: { total: '0.0', count: 0 }, approved: { total: '0.0', count: 0 } },
+    },
+    collateral: [],
+  });
+});
@@ -0,0 +1,120 @@
+// Client-side routes on top of the History API. Paths (under PUBLIC_URL):
+//   /login?next=<path>    log in, then continue to next; ?add=1 logs in another party
+//   /                     the dashboard
+//   /history              the active session's command journal
+//   /inbox                activity other parties caused for the session's party
+//   /sections/<key>       one template section of the dashboard (key from the registry)
+//   /contracts/<id>       one contract's detail page
+//   /parties/<id>         the contracts a party appears in
+// Query parameters other than those above are left alone, so the contract filters
+// (see contractFilters.js) survive navigation, reloads and back/forward.
+// ?as=<sessionId> on any route picks which logged-in session shows it.
+// The dev server already serves index.html for every path; production hosting must too.
+
+const BASE_PATH = (process.env.PUBLIC_URL || '').replace(/\/$/, '');
+
+const ROUTES = [
+  { name: 'login', pattern: /^\/login$/ },
+  { name: 'dashboard', pattern: /^\/$/ },
+  { name: 'history', pattern: /^\/history$/ },
+  { name: 'inbox', pattern: /^\/inbox$/ },
+  { name: 'section', pattern: /^\/sections\/([^/]+)$/, param: 'sectionKey' },
+  { name: 'contract', pattern: /^\/contracts\/([^/]+)$/, param: 'contractId' },
+  { name: 'party', pattern: /^\/parties\/([^/]+)$/, param: 'partyId' },
+];
+
+const listeners = new Set();
+
+function notify() {
+  listeners.forEach(listener => listener());
+}
+
+if (typeof window !== 'undefined') {
+  window.addEventListener('popstate', notify);
+}
+
+// The current route: { name, params, query, path } where path is the app-relative
+// path plus query string, as passed to navigate(). Unknown paths have name 'notFound'.
+export function currentRoute() {
+  const pathname = window.location.pathname.startsWith(BASE_PATH)
+    ? window.location.pathname.slice(BASE_PATH.length) || '/'
+    : window.location.pathname;
+  const query = new URLSearchParams(window.location.search);
+  const path = `${pathname}${window.location.search}`;
+
+  for (const route of ROUTES) {
+    const match = route.pattern.exec(pathname);
+    if (match) {
+      let params = {};
+      if (route.param) {
+        try {
+          params = { [route.param]: decodeURIComponent(match[1]) };
+        } catch (err) {
+          break;
+        }
+      }
+      return { name: route.name, params, query, path };
+    }
+  }
+  return { name: 'notFound', params: {}, query, path };
+}
+
+// Builders for the paths above
+export const paths = {
+  login: ({ next, add } = {}) => {
+    const params = new URLSearchParams();
+    if (next && next !== '/') params.set('next', next);
+    if (add) params.set('add', '1');
+    const query = params.toString();
+    return `/login${query ? `?${query}` : ''}`;
+  },
+  dashboard: () => '/',
+  history: () => '/history',
+  inbox: (sessionId) => `/inbox${sessionId ? `?as=${encodeURIComponent(sessionId)}` : ''}`,
+  section: (sectionKey) => `/sections/${encodeURIComponent(sectionKey)}`,
+  contract: (contractId, sessionId) =>
+    `/contracts/${encodeURIComponent(contractId)}${sessionId ? `?as=${encodeURIComponent(sessionId)}` : ''}`,
+  party: (partyId) => `/parties/${encodeURIComponent(partyId)}`,
+};
+
+// path when it is app-relative, otherwise fallbackPath. For paths read from the URL
+// (?next=): '//host' and '/\host' are protocol-relative to a browser, and anything
+// not starting with '/' may carry a scheme, so either would leave the app.
+export function appPath(path, fallbackPath = '/') {
+  return /^\/(?![/\\])/.test(path ?? '') ? path : fallbackPath;
+}
+
+// The href for an app-relative path, for links that also work when opened in a new tab
+export function href(path) {
+  return `${BASE_PATH}${path}`;
+}
+
+// Go to an app-relative path. Entries pushed here are counted in history.state so
+// goBack knows whether there is an earlier page of this app to return to.
+export function navigate(path, { replace = false } = {}) {
+  const url = href(path);
+  if (url === `${window.location.pathname}${window.location.search}`) {
+    return;
+  }
+  const index = window.history.state?.index ?? 0;
+  if (replace) {
+    window.history.replaceState({ index }, '', url);
+  } else {
+    window.history.pushState({ index: index + 1 }, '', url);
+  }
+  notify();
+}
+
+// Browser back when it stays inside the app, otherwise go to fallbackPath
+export function goBack(fallbackPath = '/') {
+  if ((window.history.state?.index ?? 0) > 0) {
+    window.history.back();
+  } else {
+    navigate(fallbackPath, { replace: true });
+  }
+}
+
+export function subscribe(listener) {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
@@ -0,0 +1,106 @@
+import DamlApi from './damlApi';
+
+const SESSIONS_KEY = 'daml_sessions';
+const ACTIVE_SESSION_KEY = 'daml_active_session';
+
+// Keeps one DamlApi client per logged-in user so several parties can be used at once.
+// Sessions are keyed by user ID and survive a reload through localStorage.
+class SessionManager {
+  constructor() {
+    this.clients = new Map();
+    this.listeners = new Set();
+    this.lobby = null;
+
+    let storedIds = [];
+    try {
+      storedIds = JSON.parse(localStorage.getItem(SESSIONS_KEY)) || [];
+    } catch (err) {
+      storedIds = [];
+    }
+    for (const sessionId of storedIds) {
+      const client = new DamlApi({ sessionId });
+      if (client.isAuthenticated()) {
+        this.clients.set(sessionId, client);
+      }
+    }
+
+    this.activeId = localStorage.getItem(ACTIVE_SESSION_KEY);
+    if (!this.clients.has(this.activeId)) {
+      this.activeId = this.clients.keys().next().value || null;
+    }
+  }
+
+  // Client for calls made before anyone is logged in, such as listing ledger users
+  lobbyClient() {
+    if (!this.lobby) {
+      this.lobby = new DamlApi();
+    }
+    return this.lobby;
+  }
+
+  list() {
+    return [...this.clients.values()];
+  }
+
+  get(sessionId) {
+    return this.clients.get(sessionId) || null;
+  }
+
+  getActive() {
+    return this.get(this.activeId);
+  }
+
+  // Log a user in as a new session (or refresh an existing one) and make it active
+  async login(userId, { token } = {}) {
+    const client = this.clients.get(userId) || new DamlApi({ sessionId: userId });
+    if (token && client.tokenProvider.kind === 'external') {
+      client.tokenProvider.setToken(token);
+    }
+    await client.login(userId);
+
+    this.clients.set(userId, client);
+    this.activeId = userId;
+    this.save();
+    return client;
+  }
+
+  activate(sessionId) {
+    if (!this.clients.has(sessionId)) {
+      throw new Error(`No session for user ${sessionId}`);
+    }
+    this.activeId = sessionId;
+    this.save();
+  }
+
+  logout(sessionId = this.activeId) {
+    const client = this.clients.get(sessionId);
+    if (!client) return;
+
+    client.logout();
+    this.clients.delete(sessionId);
+    if (this.activeId === sessionId) {
+      this.activeId = this.clients.keys().next().value || null;
+    }
+    this.save();
+  }
+
+  // Call listener whenever sessions are added, removed or switched; returns an unsubscribe function
+  subscribe(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  save() {
+    localStorage.setItem(SESSIONS_KEY, JSON.stringify([...this.clients.keys()]));
+    if (this.activeId) {
+      localStorage.setItem(ACTIVE_SESSION_KEY, this.activeId);
+    } else {
+      localStorage.removeItem(ACTIVE_SESSION_KEY);
+    }
+    this.listeners.forEach(listener => listener());
+  }
+}
+
+const sessions = new SessionManager();
+
+export default sessions;
@@ -0,0 +1,421 @@
+// Registry of the Daml templates the dashboard works with. Queries, contract
+// grouping, contract cards, create forms and choice menus are all generated
+// from these entries, so supporting another template means adding one entry here.
+//
+// Field types: 'Party', 'Decimal', 'Text', 'Bool'.
+//
+// Entry shape:
+//   key, moduleName, entityName, title, emptyMessage
+//   fields:  [{ name, type, label, highlight?, trueLabel?, falseLabel? }] in display order
+//   create:  { title, signatory, defaults?, defaultSelf?, excludeSelf?, optional?,
+//              hints?, placeholders?, validate?(payload) } - omit to disable creation
+//   choices: [{ name, label?, icon?, style?, busyLabel?, controllers, when?(payload),
+//              args?, review?, validate?(payload, argument), confirm?(payload, partyName),
+//              describeSuccess?(payload, argument, partyName) }]
+//   activity?({ created, archived }, partyIdentifier, partyName) - the inbox message for a
+//            change another party made: created and archived are payloads (null when the change
+//            only created or only archived a contract). Return null for changes not worth telling.
+// validate functions return an error message, or null when the input is fine.
+// Decimal values are exact strings; compare and combine them with ./decimal, never as floats.
+// A new choice only needs name, controllers and args (if it takes any) to be usable from
+// the generic "Exercise…" dialog on every card; the rest shapes the card's own buttons.
+
+import {
+  checkDecimal,
+  compareDecimals,
+  displayDecimal,
+  isPositiveDecimal,
+  subtractDecimals,
+} from './decimal';
+
+export const TEMPLATES = [
+  {
+    key: 'simpleTokens',
+    moduleName: 'SimpleToken',
+    entityName: 'SimpleToken',
+    title: 'Simple Tokens',
+    emptyMessage: 'No SimpleToken contracts found',
+    fields: [
+      { name: 'issuer', type: 'Party', label: 'Issuer' },
+      { name: 'owner', type: 'Party', label: 'Owner' },
+      { name: 'amount', type: 'Decimal', label: 'Amount', highlight: true },
+    ],
+    create: {
+      title: 'Token',
+      signatory: 'issuer',
+      hints: { owner: 'Select the party who will own the token' },
+      placeholders: { amount: '100.00' },
+    },
+    choices: [
+      {
+        name: 'Transfer',
+        icon: '➜',
+        busyLabel: 'Transferring...',
+        controllers: ['owner'],
+        args: [
+          { name: 'newOwner', type: 'Party', label: 'New Owner', excludeFields: ['owner'] },
+        ],
+        review: ['issuer', 'amount'],
+        describeSuccess: (payload, argument, partyName) =>
+          `Transferred ${displayDecimal(payload.amount)} tokens to ${partyName(argument.newOwner)}.`,
+      },
+    ],
+    // A token's previous owner is only known when it replaced one we saw; otherwise the issuer sent it
+    activity: ({ created, archived }, me, partyName) => {
+      if (!created || created.owner !== me) return null;
+      const sender = archived ? archived.owner : created.issuer;
+      return sender === me ? null : `${partyName(sender)} sent you ${displayDecimal(created.amount)} tokens.`;
+    },
+  },
+  {
+    key: 'escrows',
+    moduleName: 'Escrow',
+    entityName: 'Escrow',
+    title: 'Escrow Contracts',
+    emptyMessage: 'No Escrow contracts found',
+    fields: [
+      { name: 'sender', type: 'Party', label: 'Sender' },
+      { name: 'receiver', type: 'Party', label: 'Receiver' },
+      { name: 'amount', type: 'Decimal', label: 'Amount', highlight: true },
+      { name: 'isApproved', type: 'Bool', label: 'Status', trueLabel: '✓ Approved', falseLabel: '⏳ Pending' },
+      { name: 'note', type: 'Text', label: 'Note' },
+    ],
+    create: {
+      title: 'Escrow',
+      signatory: 'sender',
+      defaults: { isApproved: false },
+      excludeSelf: ['receiver'],
+      optional: ['note'],
+      hints: { receiver: 'The receiver can claim the escrow once you approve it' },
+      placeholders: { amount: '100.00', note: 'What is this escrow for?' },
+    },
+    // Approve and Cancel belong to the sender while pending; Claim to the receiver once approved
+    choices: [
+      {
+        name: 'Approve',
+        icon: '✓',
+        style: 'approve',
+        busyLabel: 'Approving...',
+        controllers: ['sender'],
+        when: (payload) => !payload.isApproved,
+        confirm: (payload, partyName) =>
+          `Approve escrow of ${displayDecimal(payload.amount)} for ${partyName(payload.receiver)}?`,
+        describeSuccess: () => 'Escrow approved.',
+      },
+      {
+        name: 'Cancel',
+        icon: '✕',
+        style: 'danger',
+        busyLabel: 'Cancelling...',
+        controllers: ['sender'],
+        when: (payload) => !payload.isApproved,
+        confirm: (payload, partyName) =>
+          `Cancel escrow of ${displayDecimal(payload.amount)} to ${partyName(payload.receiver)}? This cannot be undone.`,
+        describeSuccess: () => 'Escrow cancelled.',
+      },
+      {
+        name: 'Claim',
+        icon: '⬇',
+        style: 'approve',
+        busyLabel: 'Claiming...',
+        controllers: ['receiver'],
+        when: (payload) => !!payload.isApproved,
+        confirm: (payload, partyName) =>
+          `Claim escrow of ${displayDecimal(payload.amount)} from ${partyName(payload.sender)}?`,
+        describeSuccess: () => 'Escrow claimed.',
+      },
+    ],
+    activity: ({ created, archived }, me, partyName) => {
+      const escrow = created || archived;
+      const amount = displayDecimal(escrow.amount);
+      if (created && created.receiver === me && created.sender !== me) {
+        if (created.isApproved) {
+          return `Escrow of ${amount} from ${partyName(created.sender)} approved — you can Claim.`;
+        }
+        return archived ? null : `${partyName(created.sender)} opened an escrow of ${amount} for you.`;
+      }
+      if (!created && archived.receiver === me && !archived.isApproved && archived.sender !== me) {
+        return `${partyName(archived.sender)} cancelled the escrow of ${amount} for you.`;
+      }
+      if (!created && archived.sender === me && archived.isApproved && archived.receiver !== me) {
+        return `${partyName(archived.receiver)} claimed your escrow of ${amount}.`;
+      }
+      return null;
+    },
+  },
+  {
+    key: 'collateralLocks',
+    moduleName: 'CollateralLock',
+    entityName: 'CollateralLock',
+    title: 'Collateral Locks',
+    emptyMessage: 'No CollateralLock contracts found',
+    fields: [
+      { name: 'owner', type: 'Party', label: 'Owner' },
+      { name: 'custodian', type: 'Party', label: 'Custodian' },
+      { name: 'asset', type: 'Text', label: 'Asset' },
+      { name: 'amount', type: 'Decimal', label: 'Amount', highlight: true },
+      { name: 'minCollateralAmount', type: 'Decimal', label: 'Min Collateral' },
+    ],
+    create: {
+      title: 'Collateral Lock',
+      signatory: 'owner',
+      excludeSelf: ['custodian'],
+      hints: {
+        custodian: 'Both you and the custodian sign the lock, so your user must be allowed to act as the custodian too',
+        minCollateralAmount: 'The lock can never hold less than this amount',
+      },
+      placeholders: { asset: 'USD', amount: '1000.00', minCollateralAmount: '500.00' },
+      // Mirror the template's `ensure amount >= minCollateralAmount`
+      validate: (payload) =>
+        compareDecimals(payload.amount, payload.minCollateralAmount) < 0
+          ? `Amount (${displayDecimal(payload.amount)}) must be at least the minimum collateral ` +
+            `(${displayDecimal(payload.minCollateralAmount)}).`
+          : null,
+    },
+    choices: [
+      {
+        name: 'AddCollateral',
+        label: 'Add Collateral',
+        icon: '➕',
+        style: 'approve',
+        busyLabel: 'Adding...',
+        controllers: ['owner'],
+        args: [{ name: 'addAmount', type: 'Decimal', label: 'Amount to add', positive: true }],
+        review: ['asset', 'amount'],
+      },
+      {
+        name: 'Withdraw',
+        icon: '➖',
+        busyLabel: 'Withdrawing...',
+        controllers: ['owner'],
+        args: [{ name: 'withdrawAmount', type: 'Decimal', label: 'Amount to withdraw', positive: true }],
+        review: ['asset', 'amount', 'minCollateralAmount'],
+        // Mirror the Withdraw assertion so the user never sees a raw Daml assertion failure
+        validate: (payload, argument) => {
+          const remaining = subtractDecimals(payload.amount, argument.withdrawAmount);
+          if (compareDecimals(remaining, payload.minCollateralAmount) >= 0) {
+            return null;
+          }
+          const headroom = subtractDecimals(payload.amount, payload.minCollateralAmount);
+          const maxWithdraw = compareDecimals(headroom, '0') > 0 ? displayDecimal(headroom) : '0';
+          return `Cannot withdraw ${displayDecimal(argument.withdrawAmount)}: the lock must keep at least ` +
+            `${displayDecimal(payload.minCollateralAmount)} ${payload.asset}. You can withdraw at most ${maxWithdraw}.`;
+        },
+      },
+      {
+        name: 'Release',
+        icon: '🔓',
+        style: 'approve',
+        busyLabel: 'Releasing...',
+        controllers: ['custodian'],
+        confirm: (payload) =>
+          `Release this collateral lock of ${displayDecimal(payload.amount)} ${payload.asset} back to the owner?`,
+        describeSuccess: () => 'Release succeeded. The collateral lock has been closed.',
+      },
+      {
+        name: 'Liquidate',
+        icon: '⚠',
+        style: 'danger',
+        busyLabel: 'Liquidating...',
+        controllers: ['custodian'],
+        confirm: (payload) =>
+          `Liquidate this collateral lock of ${displayDecimal(payload.amount)} ${payload.asset}? This cannot be undone.`,
+        describeSuccess: () => 'Liquidate succeeded. The collateral lock has been closed.',
+      },
+    ],
+    // Release and Liquidate both just archive the lock; the events do not say which choice it was
+    activity: ({ created, archived }, me, partyName) => {
+      if (created && archived && created.custodian === me && created.owner !== me) {
+        const change = compareDecimals(created.amount, archived.amount);
+        if (change === 0) return null;
+        return change > 0
+          ? `${partyName(created.owner)} added ${displayDecimal(subtractDecimals(created.amount, archived.amount))} ` +
+            `${created.asset} to the collateral lock.`
+          : `${partyName(created.owner)} withdrew ${displayDecimal(subtractDecimals(archived.amount, created.amount))} ` +
+            `${created.asset} from the collateral lock.`;
+      }
+      if (!created && archived.owner === me && archived.custodian !== me) {
+        return `${partyName(archived.custodian)} released or liquidated your collateral lock of ` +
+          `${displayDecimal(archived.amount)} ${archived.asset}.`;
+      }
+      return null;
+    },
+  },
+  {
+    key: 'assets',
+    moduleName: 'Main',
+    entityName: 'Asset',
+    title: 'Assets',
+    emptyMessage: 'No Asset contracts found',
+    fields: [
+      { name: 'name', type: 'Text', label: 'Name' },
+      { name: 'issuer', type: 'Party', label: 'Issuer' },
+      { name: 'owner', type: 'Party', label: 'Owner' },
+    ],
+    create: {
+      title: 'Asset',
+      signatory: 'issuer',
+      defaultSelf: ['owner'],
+      hints: { owner: 'Defaults to you; the owner can give the asset away' },
+      placeholders: { name: 'TV' },
+      // Mirror the template's `ensure name /= ""`
+      validate: (payload) => (payload.name ? null : 'Please enter a name for the asset.'),
+    },
+    choices: [
+      {
+        name: 'Give',
+        icon: '🎁',
+        busyLabel: 'Giving...',
+        controllers: ['owner'],
+        args: [
+          { name: 'newOwner', type: 'Party', label: 'New Owner', excludeFields: ['owner'] },
+        ],
+        review: ['name'],
+        describeSuccess: (payload, argument, partyName) =>
+          `Gave "${payload.name}" to ${partyName(argument.newOwner)}.`,
+      },
+    ],
+    activity: ({ created, archived }, me, partyName) => {
+      if (!created || created.owner !== me) return null;
+      const giver = archived ? archived.owner : created.issuer;
+      return giver === me ? null : `${partyName(giver)} gave you "${created.name}".`;
+    },
+  },
+];
+
+// "Module:Entity", the package-independent part of a template ID
+export function templateModuleEntity(template) {
+  return `${template.moduleName}:${template.entityName}`;
+}
+
+// templateId is "<packageId>:<Module>:<Entity>"
+export function findTemplate(contract) {
+  const templateId = contract.templateId || '';
+  return TEMPLATES.find(template => templateId.endsWith(`:${templateModuleEntity(template)}`)) || null;
+}
+
+// Split a flat contract list into { [template.key]: contracts }, dropping unknown templates
+export function groupContracts(contracts) {
+  const grouped = Object.fromEntries(TEMPLATES.map(template => [template.key, []]));
+  for (const contract of contracts) {
+    const template = findTemplate(contract);
+    if (template) {
+      grouped[template.key].push(contract);
+    }
+  }
+  return grouped;
+}
+
+// Daml gives every template a consuming Archive choice controlled by its signatories
+const ARCHIVE_CHOICE = {
+  name: 'Archive',
+  icon: '🗑',
+  style: 'danger',
+  controllers: [],
+  signatoriesControl: true,
+  args: [],
+};
+
+// Every choice of a template, including the implicit Archive, for the generic exercise dialog
+export function allChoices(template) {
+  return [...template.choices, ARCHIVE_CHOICE];
+}
+
+// Argument field types the forms can edit; any other type is entered as JSON
+const FORM_FIELD_TYPES = ['Party', 'Decimal', 'Text', 'Bool'];
+
+// Every choice the template's package defines (`signatures`, from DamlApi.getTemplateChoices),
+// with what the registry knows about it (label, controllers, validation) laid over it. The
+// argument form is built from the package's argument fields, labelled from the registry's args
+// where it has them. `args` is null when the argument cannot be a form (a field of another type,
+// or a record the package does not define) and has to be written as JSON; `signature` keeps
+// the package's fields for that. Choices the registry does not know have no `controllers`.
+export function packageChoices(template, signatures) {
+  const known = allChoices(template);
+  return signatures.map(signature => {
+    const registered = known.find(choice => choice.name === signature.name);
+    let args = null;
+    if (signature.argument?.every(field => FORM_FIELD_TYPES.includes(field.type))) {
+      args = signature.argument.map(field => ({
+        label: field.name,
+        ...(registered?.args || []).find(arg => arg.name === field.name),
+        name: field.name,
+        type: field.type,
+      }));
+    } else if (!signature.argument && registered) {
+      args = registered.args;
+    }
+    return { ...registered, name: signature.name, args, signature: signature.argument };
+  });
+}
+
+// Parties that control a choice on this contract, as far as the registry knows
+export function choiceControllers(choice, contract) {
+  if (choice.signatoriesControl) {
+    return contract.signatories || [];
+  }
+  const payload = contract.payload || {};
+  return choice.controllers.map(field => payload[field]).filter(Boolean);
+}
+
+export function choiceLabel(choice) {
+  return choice.label || choice.name;
+}
+
+// Choices the given party controls on this contract right now
+export function availableChoices(template, payload, partyIdentifier) {
+  return template.choices.filter(choice =>
+    choice.controllers.some(field => payload[field] === partyIdentifier) &&
+    (!choice.when || choice.when(payload))
+  );
+}
+
+// Fields the create form asks for: everything but the signatory (the current party) and defaults
+export function createFields(template) {
+  const { signatory, defaults = {} } = template.create;
+  return template.fields.filter(field => field.name !== signatory && !(field.name in defaults));
+}
+
+export function emptyValue(field) {
+  return field.type === 'Bool' ? false : '';
+}
+
+// Check form values against their field types; returns the first problem or null
+export function validateFields(fields, values, optional = []) {
+  for (const field of fields) {
+    const value = values[field.name];
+    if (field.type === 'Bool') {
+      continue;
+    }
+
+    const text = (value ?? '').toString().trim();
+    if (!text) {
+      if (optional.includes(field.name)) continue;
+      return `Please fill in ${field.label}.`;
+    }
+
+    if (field.type === 'Decimal') {
+      const error = checkDecimal(text, field.label);
+      if (error) {
+        return error;
+      }
+      if (field.positive && !isPositiveDecimal(text)) {
+        return `${field.label} must be greater than zero.`;
+      }
+      if (compareDecimals(text, '0') < 0) {
+        return `${field.label} cannot be negative.`;
+      }
+    }
+  }
+  return null;
+}
+
+// Turn form values into a JSON API payload/argument
+export function encodeFields(fields, values) {
+  const encoded = {};
+  for (const field of fields) {
+    const value = values[field.name];
+    encoded[field.name] = field.type === 'Bool' ? !!value : (value ?? '').toString().trim();
+  }
+  return encoded;
+}
@@ -0,0 +1,99 @@
+import {
+  TEMPLATES,
+  allChoices,
+  availableChoices,
+  choiceControllers,
+  createFields,
+  encodeFields,
+  findTemplate,
+  groupContracts,
+  validateFields,
+} from './templates';
+
+const template = (key) => TEMPLATES.find(entry => entry.key === key);
+const contract = (templateId, payload = {}) => ({ contractId: `#${templateId}`, templateId, payload });
+
+test('groups contracts under the registry template their ID ends with, from any package', () => {
+  const token = contract('pkg1:SimpleToken:SimpleToken');
+  const asset = contract('pkg2:Main:Asset');
+  const unknown = contract('pkg1:Main:Other');
+  // Only the module and entity together identify a template
+  const lookalike = contract('pkg1:Main:SimpleToken');
+
+  const grouped = groupContracts([token, asset, unknown, lookalike]);
+
+  expect(Object.keys(grouped)).toEqual(TEMPLATES.map(entry => entry.key));
+  expect(grouped.simpleTokens).toEqual([token]);
+  expect(grouped.assets).toEqual([asset]);
+  expect(grouped.escrows).toEqual([]);
+  expect(findTemplate(unknown)).toBeNull();
+  expect(findTemplate({})).toBeNull();
+});
+
+test('offers the choices the party controls, in the state they apply to', () => {
+  const escrows = template('escrows');
+  const pending = { sender: 'Alice', receiver: 'Bob', amount: '1.0', isApproved: false };
+  const approved = { ...pending, isApproved: true };
+  const names = (payload, party) => availableChoices(escrows, payload, party).map(choice => choice.name);
+
+  expect(names(pending, 'Alice')).toEqual(['Approve', 'Cancel']);
+  expect(names(pending, 'Bob')).toEqual([]);
+  expect(names(approved, 'Alice')).toEqual([]);
+  expect(names(approved, 'Bob')).toEqual(['Claim']);
+  expect(names(pending, 'Carol')).toEqual([]);
+});
+
+test('escrow confirmations name the parties through the given resolver', () => {
+  const escrows = template('escrows');
+  const choice = (name) => escrows.choices.find(entry => entry.name === name);
+  const payload = { sender: 'Alice::1', receiver: 'Bob::1', amount: '1250.50', isApproved: false };
+  const partyName = (identifier) => identifier.split('::')[0];
+
+  expect(choice('Approve').confirm(payload, partyName)).toBe('Approve escrow of 1,250.5 for Bob?');
+  expect(choice('Cancel').confirm(payload, partyName)).toBe('Cancel escrow of 1,250.5 to Bob? This cannot be undone.');
+  expect(choice('Claim').confirm(payload, partyName)).toBe('Claim escrow of 1,250.5 from Alice?');
+});
+
+test('choice controllers come from the payload, Archive\'s from the signatories', () => {
+  const locks = template('collateralLocks');
+  const lock = {
+    payload: { owner: 'Alice', custodian: 'Carol' },
+    signatories: ['Alice', 'Carol'],
+  };
+  const choice = (name) => allChoices(locks).find(entry => entry.name === name);
+
+  expect(choiceControllers(choice('Withdraw'), lock)).toEqual(['Alice']);
+  expect(choiceControllers(choice('Release'), lock)).toEqual(['Carol']);
+  expect(choiceControllers(choice('Archive'), lock)).toEqual(['Alice', 'Carol']);
+});
+
+test('create forms leave out the signatory and the fields with defaults', () => {
+  expect(createFields(template('escrows')).map(field => field.name)).toEqual(['receiver', 'amount', 'note']);
+  expect(createFields(template('assets')).map(field => field.name)).toEqual(['name', 'owner']);
+  expect(createFields(template('collateralLocks')).map(field => field.name))
+    .toEqual(['custodian', 'asset', 'amount', 'minCollateralAmount']);
+});
+
+test('validates form values in field order and encodes them for the JSON API', () => {
+  const fields = createFields(template('escrows'));
+
+  expect(validateFields(fields, { receiver: '', amount: '1' }, ['note'])).toBe('Please fill in Receiver.');
+  expect(validateFields(fields, { receiver: 'Bob', amount: ' ' }, ['note'])).toBe('Please fill in Amount.');
+  expect(validateFields(fields, { receiver: 'Bob', amount: '-1' }, ['note'])).toBe('Amount cannot be negative.');
+  expect(validateFields(fields, { receiver: 'Bob', amount: '1' }, [])).toBe('Please fill in Note.');
+  expect(validateFields(fields, { receiver: 'Bob', amount: '1' }, ['note'])).toBeNull();
+
+  const withdraw = template('collateralLocks').choices.find(choice => choice.name === 'Withdraw');
+  expect(validateFields(withdraw.args, { withdrawAmount: '0' })).toBe('Amount to withdraw must be greater than zero.');
+
+  expect(encodeFields(fields, { receiver: 'Bob', amount: ' 12.50 ' })).toEqual({ receiver: 'Bob', amount: '12.50', note: '' });
+  expect(encodeFields([{ name: 'isApproved', type: 'Bool' }], {})).toEqual({ isApproved: false });
+});
+
+test('a CollateralLock must hold at least its minimum, as its ensure clause says', () => {
+  const { validate } = template('collateralLocks').create;
+
+  expect(validate({ amount: '1000.0', minCollateralAmount: '1000' })).toBeNull();
+  expect(validate({ amount: '999.5', minCollateralAmount: '1000' }))
+    .toBe('Amount (999.5) must be at least the minimum collateral (1,000).');
+});
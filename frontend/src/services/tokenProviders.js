@@ -0,0 +1,216 @@
+// Token providers produce the bearer tokens DamlApi sends to the JSON API.
+// Every provider implements:
+//   getToken({ userId, actAs = [], readAs = [], admin = false }) -> Promise<string>
+//
+// Claims follow one of the two formats the ledger accepts:
+//   - audience-based user tokens, when an audience is configured:
+//       { aud, sub: userId, scope: 'daml_ledger_api', exp }
+//     The participant then takes the parties from the user's rights.
+//   - custom Daml claims otherwise:
+//       { 'https://daml.com/ledger-api': { ledgerId, applicationId, actAs, readAs, admin }, exp }
+//
+// Tokens that cannot be produced or fail their checks throw AuthenticationError.
+import { AuthenticationError } from './errors';
+
+const DAML_CLAIMS_NAMESPACE = 'https://daml.com/ledger-api';
+const TOKEN_LIFETIME_SECONDS = 86400;
+
+// Defaults come from the environment; any of them can be overridden per provider
+const DEFAULT_CONFIG = {
+  ledgerId: process.env.REACT_APP_LEDGER_ID || 'sandbox',
+  applicationId: process.env.REACT_APP_APPLICATION_ID || 'ex-seeding-script',
+  audience: process.env.REACT_APP_LEDGER_AUDIENCE || null,
+  scope: process.env.REACT_APP_LEDGER_SCOPE || 'daml_ledger_api',
+};
+
+function base64UrlEncode(bytes) {
+  let binary = '';
+  for (const byte of bytes) {
+    binary += String.fromCharCode(byte);
+  }
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function base64UrlEncodeJson(value) {
+  return base64UrlEncode(new TextEncoder().encode(JSON.stringify(value)));
+}
+
+// Read the claims of a JWT without verifying it
+export function decodeTokenClaims(token) {
+  const parts = (token || '').split('.');
+  if (parts.length !== 3) {
+    throw new AuthenticationError('Token is not a JWT (expected header.payload.signature)');
+  }
+  const base64 = parts[1].replace(/-/g, '+').replace(/_/g, '/');
+  const binary = atob(base64.padEnd(base64.length + ((4 - (base64.length % 4)) % 4), '='));
+  const bytes = Uint8Array.from(binary, c => c.charCodeAt(0));
+  return JSON.parse(new TextDecoder().decode(bytes));
+}
+
+function buildClaims(config, { userId, actAs = [], readAs = [], admin = false }) {
+  const exp = Math.floor(Date.now() / 1000) + TOKEN_LIFETIME_SECONDS;
+
+  if (config.audience) {
+    return {
+      aud: config.audience,
+      sub: userId,
+      scope: config.scope,
+      exp,
+    };
+  }
+
+  return {
+    [DAML_CLAIMS_NAMESPACE]: {
+      ledgerId: config.ledgerId,
+      applicationId: config.applicationId,
+      actAs,
+      readAs,
+      admin,
+    },
+    exp,
+  };
+}
+
+// Unsigned alg:none tokens, only accepted by a sandbox started with --allow-insecure-tokens
+export class InsecureTokenProvider {
+  constructor(config = {}) {
+    this.kind = 'insecure';
+    this.config = { ...DEFAULT_CONFIG, ...config };
+  }
+
+  async getToken(request) {
+    const header = base64UrlEncodeJson({ alg: 'none', typ: 'JWT' });
+    const payload = base64UrlEncodeJson(buildClaims(this.config, request));
+    return `${header}.${payload}.`;
+  }
+}
+
+// Tokens signed with a shared HS256 secret, for local sandboxes started with --auth-jwt-hs256-unsafe.
+// Development only: REACT_APP_AUTH_SECRET is inlined into the JavaScript bundle, so anyone who
+// loads the dashboard can read the secret and sign tokens for any party.
+export class Hs256TokenProvider {
+  constructor(config = {}) {
+    this.kind = 'hs256';
+    this.config = { ...DEFAULT_CONFIG, ...config };
+    if (!this.config.secret) {
+      throw new AuthenticationError('HS256 token provider needs a secret (REACT_APP_AUTH_SECRET)');
+    }
+  }
+
+  async getToken(request) {
+    const encoder = new TextEncoder();
+    const header = base64UrlEncodeJson({ alg: 'HS256', typ: 'JWT' });
+    const payload = base64UrlEncodeJson(buildClaims(this.config, request));
+    const signingInput = `${header}.${payload}`;
+
+    const key = await crypto.subtle.importKey(
+      'raw',
+      encoder.encode(this.config.secret),
+      { name: 'HMAC', hash: 'SHA-256' },
+      false,
+      ['sign']
+    );
+    const signature = await crypto.subtle.sign('HMAC', key, encoder.encode(signingInput));
+    return `${signingInput}.${base64UrlEncode(new Uint8Array(signature))}`;
+  }
+}
+
+// Tokens issued elsewhere: pasted in by the user, or fetched from a local token endpoint.
+// The endpoint receives the request as JSON and answers { access_token } or { token }.
+// Supplied tokens are checked for expiry and, when configured, audience and scope.
+export class ExternalTokenProvider {
+  constructor(config = {}) {
+    this.kind = 'external';
+    this.config = { ...DEFAULT_CONFIG, ...config };
+    this.token = this.config.token || null;
+  }
+
+  // Without an endpoint the user pastes the token on the login screen
+  usesPastedToken() {
+    return !this.config.tokenEndpoint;
+  }
+
+  // Whether the user still has to paste a token before logging in
+  needsToken() {
+    return this.usesPastedToken() && !this.token;
+  }
+
+  setToken(token) {
+    this.token = token ? token.trim() : null;
+  }
+
+  async getToken(request) {
+    let token = this.token;
+
+    if (this.config.tokenEndpoint) {
+      const response = await fetch(this.config.tokenEndpoint, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({
+          userId: request.userId,
+          actAs: request.actAs || [],
+          readAs: request.readAs || [],
+          admin: !!request.admin,
+          audience: this.config.audience || undefined,
+          scope: this.config.audience ? this.config.scope : undefined,
+        }),
+      });
+
+      if (!response.ok) {
+        const error = await response.text();
+        throw new AuthenticationError(`Token endpoint request failed: ${error}`, {
+          status: response.status,
+          detail: error,
+        });
+      }
+
+      const data = await response.json();
+      token = data.access_token || data.token;
+    }
+
+    if (!token) {
+      throw new AuthenticationError('No access token supplied. Paste a token or configure REACT_APP_TOKEN_ENDPOINT.');
+    }
+
+    this.checkClaims(token);
+    return token;
+  }
+
+  checkClaims(token) {
+    const claims = decodeTokenClaims(token);
+
+    if (claims.exp && claims.exp * 1000 < Date.now()) {
+      throw new AuthenticationError('The supplied access token has expired.');
+    }
+
+    if (this.config.audience) {
+      const audiences = Array.isArray(claims.aud) ? claims.aud : [claims.aud];
+      if (!audiences.includes(this.config.audience)) {
+        throw new AuthenticationError(`The supplied access token is not issued for audience ${this.config.audience}.`);
+      }
+      const scopes = (claims.scope || '').split(' ');
+      if (!scopes.includes(this.config.scope)) {
+        throw new AuthenticationError(`The supplied access token is missing the ${this.config.scope} scope.`);
+      }
+    }
+  }
+}
+
+// Build the provider selected by REACT_APP_AUTH_MODE: 'insecure' (default), 'hs256' or 'external'.
+// Only 'external' belongs in a deployed build; the other two are for local sandboxes.
+export function createTokenProvider(config = {}) {
+  const mode = config.mode || process.env.REACT_APP_AUTH_MODE || 'insecure';
+
+  switch (mode) {
+    case 'hs256':
+      return new Hs256TokenProvider({ secret: process.env.REACT_APP_AUTH_SECRET, ...config });
+    case 'external':
+      return new ExternalTokenProvider({ tokenEndpoint: process.env.REACT_APP_TOKEN_ENDPOINT, ...config });
+    case 'insecure':
+      return new InsecureTokenProvider(config);
+    default:
+      throw new AuthenticationError(`Unknown token provider mode: ${mode}`);
+  }
+}
@@ -0,0 +1,190 @@
+import { createHmac, webcrypto } from 'crypto';
+import {
+  InsecureTokenProvider,
+  Hs256TokenProvider,
+  ExternalTokenProvider,
+  createTokenProvider,
+  decodeTokenClaims,
+} from './tokenProviders';
+import { AuthenticationError } from './errors';
+
+const DAML_CLAIMS_NAMESPACE = 'https://daml.com/ledger-api';
+const NOW = Date.UTC(2026, 0, 1);
+const request = { userId: 'alice', actAs: ['Alice::1'], readAs: ['Public::1'] };
+
+function jwt(claims) {
+  const encode = (value) => Buffer.from(JSON.stringify(value)).toString('base64url');
+  return `${encode({ alg: 'HS256', typ: 'JWT' })}.${encode(claims)}.signature`;
+}
+
+const nowSeconds = () => Math.floor(Date.now() / 1000);
+
+beforeEach(() => {
+  jest.spyOn(Date, 'now').mockReturnValue(NOW);
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+  delete global.fetch;
+});
+
+describe('insecure tokens', () => {
+  test('carry custom Daml claims for the requested parties, unsigned', async () => {
+    const token = await new InsecureTokenProvider({ ledgerId: 'test-ledger', applicationId: 'dashboard' }).getToken(request);
+
+    expect(JSON.parse(Buffer.from(token.split('.')[0], 'base64url').toString())).toEqual({ alg: 'none', typ: 'JWT' });
+    expect(token.endsWith('.')).toBe(true);
+    expect(decodeTokenClaims(token)).toEqual({
+      [DAML_CLAIMS_NAMESPACE]: {
+        ledgerId: 'test-ledger',
+        applicationId: 'dashboard',
+        actAs: ['Alice::1'],
+        readAs: ['Public::1'],
+        admin: false,
+      },
+      exp: nowSeconds() + 86400,
+    });
+  });
+
+  test('become audience-based user tokens once an audience is configured', async () => {
+    const provider = new InsecureTokenProvider({ audience: 'https://daml.com/jwt/aud/participant/p1', scope: 'ledger' });
+
+    expect(decodeTokenClaims(await provider.getToken(request))).toEqual({
+      aud: 'https://daml.com/jwt/aud/participant/p1',
+      sub: 'alice',
+      scope: 'ledger',
+      exp: nowSeconds() + 86400,
+    });
+  });
+
+  test('are minted fresh on every request, so a later one expires later', async () => {
+    const provider = new InsecureTokenProvider();
+    const first = decodeTokenClaims(await provider.getToken(request));
+    Date.now.mockReturnValue(NOW + 3600 * 1000);
+    const second = decodeTokenClaims(await provider.getToken(request));
+
+    expect(second.exp - first.exp).toBe(3600);
+  });
+
+  test('carry the admin flag for the participant admin', async () => {
+    const claims = decodeTokenClaims(await new InsecureTokenProvider().getToken({ userId: 'participant_admin', admin: true }));
+
+    expect(claims[DAML_CLAIMS_NAMESPACE]).toMatchObject({ actAs: [], readAs: [], admin: true });
+  });
+});
+
+describe('HS256 tokens', () => {
+  beforeEach(() => {
+    // jsdom has no WebCrypto; Node's is the same API
+    global.crypto = webcrypto;
+  });
+
+  afterEach(() => {
+    delete global.crypto;
+  });
+
+  test('need a secret', () => {
+    expect(() => new Hs256TokenProvider({ secret: '' })).toThrow('HS256 token provider needs a secret');
+  });
+
+  test('are signed with the secret over header and claims', async () => {
+    const token = await new Hs256TokenProvider({ secret: 'shh' }).getToken(request);
+    const [header, payload, signature] = token.split('.');
+
+    expect(JSON.parse(Buffer.from(header, 'base64url').toString())).toEqual({ alg: 'HS256', typ: 'JWT' });
+    expect(signature).toBe(createHmac('sha256', 'shh').update(`${header}.${payload}`).digest('base64url'));
+    expect(decodeTokenClaims(token)[DAML_CLAIMS_NAMESPACE].actAs).toEqual(['Alice::1']);
+    expect(decodeTokenClaims(token).exp).toBe(nowSeconds() + 86400);
+  });
+
+  test('use the audience format when configured', async () => {
+    const token = await new Hs256TokenProvider({ secret: 'shh', audience: 'aud-1' }).getToken(request);
+
+    expect(decodeTokenClaims(token)).toEqual({ aud: 'aud-1', sub: 'alice', scope: 'daml_ledger_api', exp: nowSeconds() + 86400 });
+  });
+});
+
+describe('external tokens', () => {
+  test('a pasted token is needed, then used as given', async () => {
+    const provider = new ExternalTokenProvider();
+    const token = jwt({ sub: 'alice', exp: nowSeconds() + 60 });
+
+    expect(provider.needsToken()).toBe(true);
+    await expect(provider.getToken(request)).rejects.toThrow('No access token supplied');
+
+    provider.setToken(`  ${token}\n`);
+    expect(provider.needsToken()).toBe(false);
+    expect(await provider.getToken(request)).toBe(token);
+  });
+
+  test('an expired token is refused', async () => {
+    const provider = new ExternalTokenProvider({ token: jwt({ sub: 'alice', exp: nowSeconds() - 1 }) });
+
+    await expect(provider.getToken(request)).rejects.toThrow('The supplied access token has expired.');
+    await expect(provider.getToken(request)).rejects.toBeInstanceOf(AuthenticationError);
+  });
+
+  test('with an audience configured, the token must be for that audience and scope', async () => {
+    const provider = new ExternalTokenProvider({ audience: 'aud-1' });
+
+    provider.setToken(jwt({ aud: ['other', 'aud-1'], scope: 'openid daml_ledger_api' }));
+    await expect(provider.getToken(request)).resolves.toBeTruthy();
+
+    provider.setToken(jwt({ aud: 'other', scope: 'daml_ledger_api' }));
+    await expect(provider.getToken(request)).rejects.toThrow('not issued for audience aud-1');
+
+    provider.setToken(jwt({ aud: 'aud-1', scope: 'openid' }));
+    await expect(provider.getToken(request)).rejects.toThrow('missing the daml_ledger_api scope');
+  });
+
+  test('a token that is not a JWT is refused', async () => {
+    await expect(new ExternalTokenProvider({ token: 'not-a-jwt' }).getToken(request)).rejects.toThrow('Token is not a JWT');
+  });
+
+  test('a token endpoint is asked for the requested parties, audience and scope', async () => {
+    const token = jwt({ aud: 'aud-1', scope: 'daml_ledger_api', exp: nowSeconds() + 60 });
+    global.fetch = jest.fn(async () => ({ ok: true, json: async () => ({ access_token: token }) }));
+    const provider = new ExternalTokenProvider({ tokenEndpoint: 'http://localhost:9000/token', audience: 'aud-1' });
+
+    expect(provider.needsToken()).toBe(false);
+    expect(await provider.getToken(request)).toBe(token);
+    expect(global.fetch).toHaveBeenCalledWith('http://localhost:9000/token', expect.objectContaining({ method: 'POST' }));
+    expect(JSON.parse(global.fetch.mock.calls[0][1].body)).toEqual({
+      userId: 'alice',
+      actAs: ['Alice::1'],
+      readAs: ['Public::1'],
+      admin: false,
+      audience: 'aud-1',
+      scope: 'daml_ledger_api',
+    });
+  });
+
+  test('the endpoint is asked again on every request, so an expiring token gets replaced', async () => {
+    const tokens = [jwt({ sub: 'alice', exp: nowSeconds() + 60 }), jwt({ sub: 'alice', exp: nowSeconds() + 3660 })];
+    const issued = [...tokens];
+    global.fetch = jest.fn(async () => ({ ok: true, json: async () => ({ token: tokens.shift() }) }));
+    const provider = new ExternalTokenProvider({ tokenEndpoint: 'http://localhost:9000/token' });
+
+    expect(await provider.getToken(request)).toBe(issued[0]);
+    expect(await provider.getToken(request)).toBe(issued[1]);
+    expect(global.fetch).toHaveBeenCalledTimes(2);
+  });
+
+  test('a failing endpoint is reported', async () => {
+    global.fetch = jest.fn(async () => ({ ok: false, status: 403, text: async () => 'unknown user' }));
+
+    const error = await new ExternalTokenProvider({ tokenEndpoint: 'http://localhost:9000/token' })
+      .getToken(request)
+      .catch(err => err);
+    expect(error).toBeInstanceOf(AuthenticationError);
+    expect(error.message).toBe('Token endpoint request failed: unknown user');
+    expect(error.status).toBe(403);
+  });
+});
+
+test('createTokenProvider picks the provider by mode', () => {
+  expect(createTokenProvider().kind).toBe('insecure');
+  expect(createTokenProvider({ mode: 'hs256', secret: 'shh' }).kind).toBe('hs256');
+  expect(createTokenProvider({ mode: 'external', token: 'x' }).kind).toBe('external');
+  expect(() => createTokenProvider({ mode: 'oauth' })).toThrow('Unknown token provider mode: oauth');
+});